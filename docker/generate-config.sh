@@ -0,0 +1,86 @@
+#!/bin/sh
+
+# TNL (Travel Nurse Logbook) runtime config generator
+# Runs from /docker-entrypoint.d when the nginx container starts and writes
+# /etc/tnl/config.js from the TNL_* variables in the selected env/*.env file.
+# Variables that are not set are left out so the app's defaults apply (see site/js/config.js).
+
+set -e
+
+OUTPUT_DIR=/etc/tnl
+OUTPUT_FILE="$OUTPUT_DIR/config.js"
+
+# Quote a value as a JavaScript string
+js_string() {
+    printf '"%s"' "$(printf '%s' "$1" | sed -e 's/\\/\\\\/g' -e 's/"/\\"/g')"
+}
+
+# Print `key: value,` only when the variable has a value
+string_setting() {
+    [ -n "$2" ] && printf '        %s: %s,\n' "$1" "$(js_string "$2")"
+    return 0
+}
+
+boolean_setting() {
+    case "$2" in
+        true|false) printf '        %s: %s,\n' "$1" "$2" ;;
+        "") ;;
+        *) echo "generate-config: $1 must be true or false, got '$2'" >&2; exit 1 ;;
+    esac
+}
+
+number_setting() {
+    case "$2" in
+        "") ;;
+        *[!0-9]*) echo "generate-config: $1 must be a whole number, got '$2'" >&2; exit 1 ;;
+        *) printf '        %s: %s,\n' "$1" "$2" ;;
+    esac
+}
+
+# Comma-separated list as a JavaScript array of strings
+list_setting() {
+    [ -z "$2" ] && return 0
+    items=""
+    for item in $(printf '%s' "$2" | tr ',' ' '); do
+        items="$items${items:+, }$(js_string "$item")"
+    done
+    printf '        %s: [%s],\n' "$1" "$items"
+}
+
+mkdir -p "$OUTPUT_DIR"
+
+{
+    echo "// Generated by generate-config.sh for the ${TNL_ENVIRONMENT:-development} environment - do not edit"
+    echo "window.TNL_RUNTIME_CONFIG = {"
+    printf '    environment: %s,\n' "$(js_string "${TNL_ENVIRONMENT:-development}")"
+    echo "    backend: {"
+    string_setting type "$TNL_BACKEND"
+    string_setting supabaseUrl "$TNL_SUPABASE_URL"
+    string_setting supabaseAnonKey "$TNL_SUPABASE_ANON_KEY"
+    echo "    },"
+    echo "    auth: {"
+    list_setting oauthProviders "$TNL_OAUTH_PROVIDERS"
+    echo "    },"
+    echo "    security: {"
+    number_setting idleLockMinutes "$TNL_IDLE_LOCK_MINUTES"
+    echo "    },"
+    # Tile layers are passed through as JSON: [{ "name", "url", "options": { "attribution" } }]
+    if [ -n "$TNL_MAP_TILE_LAYERS" ]; then
+        echo "    map: {"
+        printf '        tileLayers: %s,\n' "$TNL_MAP_TILE_LAYERS"
+        echo "    },"
+    fi
+    echo "    geocoder: {"
+    list_setting providers "$TNL_GEOCODER_PROVIDERS"
+    string_setting nominatimUrl "$TNL_NOMINATIM_URL"
+    string_setting countryCodes "$TNL_GEOCODER_COUNTRY_CODES"
+    string_setting datasetUrl "$TNL_GEOCODER_DATASET_URL"
+    echo "    },"
+    echo "    features: {"
+    boolean_setting testContracts "$TNL_FEATURE_TEST_CONTRACTS"
+    boolean_setting backendSwitch "$TNL_FEATURE_BACKEND_SWITCH"
+    echo "    }"
+    echo "};"
+} > "$OUTPUT_FILE"
+
+echo "generate-config: wrote $OUTPUT_FILE for ${TNL_ENVIRONMENT:-development}"
@@ -3,10 +3,21 @@
 # TNL (Travel Nurse Logbook) Docker Management Script
 # Minimal setup for testing the static site on https://localhost
 
+# Environment for start/restart: development (default), staging or production
+select_environment() {
+    TNL_ENVIRONMENT="${1:-development}"
+    if [ ! -f "env/$TNL_ENVIRONMENT.env" ]; then
+        echo "❌ Unknown environment '$TNL_ENVIRONMENT' (expected a file at docker/env/$TNL_ENVIRONMENT.env)"
+        exit 1
+    fi
+    export TNL_ENV_FILE="./env/$TNL_ENVIRONMENT.env"
+}
+
 case "$1" in
     "start")
-        echo "Starting TNL Docker container..."
         cd "$(dirname "$0")"
+        select_environment "$2"
+        echo "Starting TNL Docker container ($TNL_ENVIRONMENT)..."
         docker-compose up -d
         echo "✅ TNL site is now running at https://localhost"
         echo "   (HTTP requests will be redirected to HTTPS)"
@@ -18,8 +29,9 @@ case "$1" in
         echo "✅ TNL site has been stopped"
         ;;
     "restart")
-        echo "Restarting TNL Docker container..."
         cd "$(dirname "$0")"
+        select_environment "$2"
+        echo "Restarting TNL Docker container ($TNL_ENVIRONMENT)..."
         docker-compose down
         docker-compose up -d
         echo "✅ TNL site has been restarted at https://localhost"
@@ -43,14 +55,17 @@ case "$1" in
         ;;
     *)
         echo "TNL Docker Management"
-        echo "Usage: $0 {start|stop|restart|logs|status}"
+        echo "Usage: $0 {start|stop|restart|logs|status} [development|staging|production]"
         echo ""
         echo "Commands:"
-        echo "  start   - Start the TNL web server on https://localhost:443"
-        echo "  stop    - Stop the TNL web server"
-        echo "  restart - Restart the TNL web server"
-        echo "  logs    - Show container logs"
-        echo "  status  - Show container status and test connectivity"
+        echo "  start [env]   - Start the TNL web server on https://localhost:443"
+        echo "  stop          - Stop the TNL web server"
+        echo "  restart [env] - Restart the TNL web server"
+        echo "  logs          - Show container logs"
+        echo "  status        - Show container status and test connectivity"
+        echo ""
+        echo "The environment (default: development) selects docker/env/<env>.env,"
+        echo "which sets the Supabase project, map tiles, geocoder and feature flags."
         echo ""
         echo "Note: This is a minimal setup for testing the static site only."
         echo "      No database or backend API is included in this configuration."
@@ -0,0 +1,49 @@
+// Runtime configuration for Travel Nurse Logbook
+// Copy to config.js (next to index.html) and fill in the values for this environment.
+// Docker deployments generate config.js from docker/env/*.env instead - see docker/DOCKER-README.md.
+// Anything left out falls back to the defaults in js/config.js.
+
+window.TNL_RUNTIME_CONFIG = {
+    environment: 'development', // 'development' | 'staging' | 'production'
+
+    backend: {
+        type: 'supabase', // 'supabase' or 'local' (browser-only demo data)
+        supabaseUrl: 'https://your-project-id.supabase.co',
+        supabaseAnonKey: 'your-public-anon-key'
+    },
+
+    auth: {
+        oauthProviders: ['google', 'github'] // Enable the same providers in Supabase
+    },
+
+    security: {
+        idleLockMinutes: 15 // 0 turns the screen lock off
+    },
+
+    map: {
+        tileLayers: [
+            {
+                name: 'Default',
+                url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                options: { attribution: '&copy; OpenStreetMap contributors' }
+            },
+            {
+                name: 'Satellite',
+                url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+                options: { attribution: '&copy; Esri' }
+            }
+        ]
+    },
+
+    geocoder: {
+        providers: ['nominatim', 'offline'],
+        nominatimUrl: 'https://nominatim.openstreetmap.org',
+        countryCodes: 'us,gu,pr,vi,as,mp',
+        datasetUrl: 'data/us_geocode_dataset.json'
+    },
+
+    features: {
+        testContracts: true,
+        backendSwitch: true
+    }
+};
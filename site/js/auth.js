@@ -1,19 +1,38 @@
-// Authentication functions for Supabase
+// Authentication functions, backed by the adapter chosen in backend.js
 // Cache refresh: v2.1
 
+// Names shown on sign-in buttons and in the profile's list of sign-in methods
+const AUTH_PROVIDER_LABELS = {
+    email: 'Email',
+    google: 'Google',
+    github: 'GitHub',
+    azure: 'Microsoft',
+    apple: 'Apple',
+    gitlab: 'GitLab'
+};
+
 class Auth {
     constructor() {
-        this.client = window.supabaseClient;
+        this.backend = window.backend;
         this.currentUser = null;
         this.hasRedirected = false; // Flag to prevent multiple redirects
+        // Magic links and OAuth providers send users back with the outcome in the URL,
+        // which the client clears once it has read it - keep a copy
+        this.redirectParams = this.readRedirectParams();
         this.initializeAuth();
     }
 
+    readRedirectParams() {
+        const params = new URLSearchParams(window.location.search);
+        new URLSearchParams(window.location.hash.substring(1)).forEach((value, key) => params.set(key, value));
+        return params;
+    }
+
     // Initialize authentication state
     async initializeAuth() {
         try {
             // Get current session
-            const { data: { session }, error } = await this.client.auth.getSession();
+            const { data: { session }, error } = await this.backend.auth.getSession();
             if (error) {
                 return;
             }
@@ -21,7 +40,7 @@ class Auth {
             this.currentUser = session?.user || null;
             
             // Listen for auth state changes
-            this.client.auth.onAuthStateChange((event, session) => {
+            this.backend.auth.onAuthStateChange((event, session) => {
                 this.currentUser = session?.user || null;
                 this.handleAuthStateChange(event, session);
             });
@@ -34,14 +53,22 @@ class Auth {
     // Handle authentication state changes
     handleAuthStateChange(event, session) {
         const currentPage = window.location.pathname.split('/').pop() || 'index.html';
-        
-        // Only handle specific events and prevent multiple redirects
-        if (event === 'SIGNED_IN' && !this.hasRedirected) {
+        const onSignInPage = ['index.html', ''].includes(currentPage);
+
+        if (event === 'PASSWORD_RECOVERY' || (event === 'INITIAL_SESSION' && session && this.redirectParams.get('type') === 'recovery')) {
+            // A reset link that fell back to the site URL: choose the new password on its own page
+            if (currentPage !== 'reset-password.html') {
+                window.location.href = 'reset-password.html#type=recovery';
+            }
+        } else if ((event === 'SIGNED_IN' || event === 'MFA_CHALLENGE_VERIFIED') && !this.hasRedirected) {
             // User signed in - redirect to logbook if on login pages
-            if (['index.html', ''].includes(currentPage)) {
-                this.hasRedirected = true;
-                window.location.href = 'logbook.html';
+            if (onSignInPage) {
+                this.redirectToLogbook();
             }
+        } else if (event === 'INITIAL_SESSION' && session && onSignInPage && !this.hasRedirected) {
+            // Back from a magic link or OAuth provider: the client signed in from the URL
+            // before this listener was attached, so only the restored session is reported
+            this.redirectToLogbook();
         } else if (event === 'SIGNED_OUT') {
             // User signed out - redirect to login if on protected pages
             this.hasRedirected = false; // Reset flag when signing out
@@ -49,24 +76,24 @@ class Auth {
                 window.location.href = 'index.html';
             }
         }
-        
-        // Don't redirect on INITIAL_SESSION to avoid redirect loops
-        if (event === 'INITIAL_SESSION' && session && currentPage === 'logbook.html') {
-            // User is already on the right page, no need to redirect
+    }
+
+    // Go to the logbook once sign-in is complete. Users with two-factor authentication
+    // stay on the sign-in page until they pass the challenge (see index.js)
+    async redirectToLogbook() {
+        if (await this.needsMfaChallenge()) {
             return;
         }
+        if (!this.hasRedirected) {
+            this.hasRedirected = true;
+            window.location.href = 'logbook.html';
+        }
     }
 
     // Sign up new user
     async signUp(email, password, userData = {}) {
         try {
-            const { data, error } = await this.client.auth.signUp({
-                email,
-                password,
-                options: {
-                    data: userData // Additional user metadata
-                }
-            });
+            const { data, error } = await this.backend.auth.signUp(email, password, userData);
 
             if (error) {
                 throw error;
@@ -81,10 +108,7 @@ class Auth {
     // Sign in user
     async signIn(email, password) {
         try {
-            const { data, error } = await this.client.auth.signInWithPassword({
-                email,
-                password
-            });
+            const { data, error } = await this.backend.auth.signIn(email, password);
 
             if (error) {
                 throw error;
@@ -96,10 +120,62 @@ class Auth {
         }
     }
 
+    // Email a one-time sign-in link; following it signs in (creating the account on first use)
+    async signInWithMagicLink(email) {
+        try {
+            const { error } = await this.backend.auth.signInWithOtp(email, `${window.location.origin}/index.html`);
+
+            if (error) {
+                throw error;
+            }
+
+            return { success: true, message: 'Check your email for a sign-in link.' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Leave for the provider's sign-in page; it returns to index.html signed in
+    async signInWithProvider(provider) {
+        try {
+            const { error } = await this.backend.auth.signInWithOAuth(provider, `${window.location.origin}/index.html`);
+
+            if (error) {
+                throw error;
+            }
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // OAuth providers offered at sign-in (set per environment in the runtime config)
+    getOAuthProviders() {
+        if (this.backend.type === 'local') {
+            return [];
+        }
+        return window.AppConfig.get('auth.oauthProviders', []);
+    }
+
+    getProviderLabel(provider) {
+        return AUTH_PROVIDER_LABELS[provider] || provider.charAt(0).toUpperCase() + provider.slice(1);
+    }
+
+    // Error a magic link or provider sent back instead of a session (expired link,
+    // cancelled consent, identity already linked to another account...)
+    getRedirectError() {
+        const description = this.redirectParams.get('error_description');
+        if (!description && !this.redirectParams.get('error')) {
+            return null;
+        }
+        return (description || this.redirectParams.get('error')).replace(/\+/g, ' ');
+    }
+
     // Sign out user
     async signOut() {
         try {
-            const { error } = await this.client.auth.signOut();
+            const { error } = await this.backend.auth.signOut();
             if (error) {
                 throw error;
             }
@@ -112,9 +188,7 @@ class Auth {
     // Reset password
     async resetPassword(email) {
         try {
-            const { data, error } = await this.client.auth.resetPasswordForEmail(email, {
-                redirectTo: `${window.location.origin}/reset-password.html`
-            });
+            const { data, error } = await this.backend.auth.resetPassword(email, `${window.location.origin}/reset-password.html`);
 
             if (error) {
                 throw error;
@@ -126,10 +200,25 @@ class Auth {
         }
     }
 
+    // Password rules shared by sign-up, password recovery and change password;
+    // returns an error message, or null when the password is acceptable
+    validatePassword(password, confirm) {
+        if (!password || !confirm) {
+            return 'Please fill in all fields';
+        }
+        if (password !== confirm) {
+            return 'Passwords do not match';
+        }
+        if (password.length < 6) {
+            return 'Password must be at least 6 characters';
+        }
+        return null;
+    }
+
     // Update password (for logged-in users)
     async updatePassword(newPassword) {
         try {
-            const { data, error } = await this.client.auth.updateUser({
+            const { data, error } = await this.backend.auth.updateUser({
                 password: newPassword
             });
 
@@ -143,6 +232,187 @@ class Auth {
         }
     }
 
+    // Linked accounts
+    // Sign-in methods attached to this account: 'email' for the password, plus one per provider
+    async getIdentities() {
+        try {
+            const { data, error } = await this.backend.auth.getIdentities();
+            if (error) {
+                throw error;
+            }
+            return { success: true, identities: data.identities || [] };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Attach a provider to the signed-in account; the provider returns to the logbook
+    async linkProvider(provider) {
+        try {
+            const { error } = await this.backend.auth.linkIdentity(provider, `${window.location.origin}/logbook.html`);
+            if (error) {
+                throw error;
+            }
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async unlinkProvider(provider) {
+        try {
+            const identities = await this.getIdentities();
+            if (!identities.success) {
+                throw new Error(identities.error);
+            }
+
+            const identity = identities.identities.find(item => item.provider === provider);
+            if (!identity) {
+                throw new Error(`${this.getProviderLabel(provider)} is not linked to this account`);
+            }
+            if (identities.identities.length < 2) {
+                throw new Error('This is the only way to sign in to this account');
+            }
+
+            const { error } = await this.backend.auth.unlinkIdentity(identity);
+            if (error) {
+                throw error;
+            }
+            return { success: true, message: `${this.getProviderLabel(provider)} unlinked.` };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Multi-factor authentication
+    // True when a factor is enrolled but this session has only passed the password step
+    async needsMfaChallenge() {
+        try {
+            const { data, error } = await this.backend.auth.mfaAssuranceLevel();
+            if (error || !data) {
+                return false;
+            }
+            return data.nextLevel === 'aal2' && data.currentLevel !== 'aal2';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // TOTP factors on the account: verified ones protect sign-in, unverified ones
+    // are enrollments that were started but never confirmed
+    async getMfaFactors() {
+        try {
+            const { data, error } = await this.backend.auth.mfaListFactors();
+            if (error) {
+                throw error;
+            }
+
+            const totp = (data.all || []).filter(factor => factor.factor_type === 'totp');
+            return {
+                success: true,
+                verified: totp.filter(factor => factor.status === 'verified'),
+                unverified: totp.filter(factor => factor.status !== 'verified')
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Start enrollment: returns the QR code and secret for the authenticator app
+    async enrollMfa() {
+        try {
+            // Abandoned enrollments would otherwise pile up and block new ones
+            const factors = await this.getMfaFactors();
+            if (!factors.success) {
+                throw new Error(factors.error);
+            }
+            for (const factor of factors.unverified) {
+                await this.backend.auth.mfaUnenroll(factor.id);
+            }
+
+            const { data, error } = await this.backend.auth.mfaEnroll(`Authenticator ${new Date().toLocaleDateString()}`);
+            if (error) {
+                throw error;
+            }
+
+            return { success: true, factorId: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Check a 6-digit code; used both to confirm enrollment and for the sign-in challenge
+    async verifyMfa(code, factorId = null) {
+        try {
+            if (!factorId) {
+                const factors = await this.getMfaFactors();
+                if (!factors.success) {
+                    throw new Error(factors.error);
+                }
+                if (factors.verified.length === 0) {
+                    throw new Error('No authenticator app is set up for this account');
+                }
+                factorId = factors.verified[0].id;
+            }
+
+            const { error } = await this.backend.auth.mfaVerify(factorId, code.replace(/\s+/g, ''));
+            if (error) {
+                throw error;
+            }
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async unenrollMfa(factorId) {
+        try {
+            const { error } = await this.backend.auth.mfaUnenroll(factorId);
+            if (error) {
+                throw error;
+            }
+            return { success: true, message: 'Two-factor authentication turned off.' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Recovery codes are generated and checked by the mfa-recovery edge function;
+    // only their hashes are stored
+    async generateRecoveryCodes() {
+        try {
+            const { data, error } = await this.backend.invokeFunction('mfa-recovery', { action: 'generate' });
+            if (error) {
+                throw error;
+            }
+            return { success: true, codes: data.codes };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A recovery code turns two-factor authentication off so the user can sign in
+    // with their password alone and set it up again
+    async redeemRecoveryCode(code) {
+        try {
+            const { error } = await this.backend.invokeFunction('mfa-recovery', { action: 'redeem', code });
+            if (error) {
+                throw error;
+            }
+
+            // The session still carries the removed factor until it is refreshed
+            const { error: refreshError } = await this.backend.auth.refreshSession();
+            if (refreshError) {
+                throw refreshError;
+            }
+
+            return { success: true, message: 'Two-factor authentication has been turned off. Set it up again from your profile.' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     // Check if user is authenticated
     isAuthenticated() {
         return this.currentUser !== null;
@@ -156,7 +426,7 @@ class Auth {
     // Get current session
     async getCurrentSession() {
         try {
-            const { data: { session }, error } = await this.client.auth.getSession();
+            const { data: { session }, error } = await this.backend.auth.getSession();
             if (error) {
                 console.error('Error getting session:', error);
                 return null;
@@ -167,15 +437,6 @@ class Auth {
             return null;
         }
     }
-
-    // Protect pages - call this on pages that require authentication
-    requireAuth() {
-        if (!this.isAuthenticated()) {
-            window.location.href = 'index.html';
-            return false;
-        }
-        return true;
-    }
 }
 
 // Initialize auth immediately (synchronously)
@@ -0,0 +1,475 @@
+// Local backend adapter for Travel Nurse Logbook
+// Implements the backend interface described in backend.js entirely in the browser:
+// users, sessions and tables in localStorage, document files in IndexedDB.
+// For demos, development and automated tests only - nothing leaves this browser and
+// there is no row-level security, so never point real users at it.
+
+class LocalBackend {
+    constructor() {
+        this.type = 'local';
+        this.tablesKey = 'tnl_local_tables';
+        this.usersKey = 'tnl_local_users';
+        this.sessionKey = 'tnl_local_session';
+        this.filesDbName = 'tnl_local_files';
+        this.listeners = [];
+
+        // Conflict column used by upsert for each table
+        this.primaryKeys = { user_profiles: 'user_id' };
+
+        this.auth = {
+            getSession: async () => ({ data: { session: this.readSession() }, error: null }),
+
+            onAuthStateChange: (callback) => {
+                this.listeners.push(callback);
+                // Supabase reports the restored session to every new listener
+                setTimeout(() => callback('INITIAL_SESSION', this.readSession()), 0);
+                return {
+                    data: {
+                        subscription: {
+                            unsubscribe: () => {
+                                this.listeners = this.listeners.filter(listener => listener !== callback);
+                            }
+                        }
+                    }
+                };
+            },
+
+            signUp: (email, password, metadata = {}) => this.signUp(email, password, metadata),
+
+            signIn: (email, password) => this.signIn(email, password),
+
+            signInWithOtp: async () => ({ data: null, error: this.providerUnavailable('Email sign-in links') }),
+
+            signInWithOAuth: async () => ({ data: null, error: this.providerUnavailable('Social sign-in') }),
+
+            signOut: async () => {
+                localStorage.removeItem(this.sessionKey);
+                this.emit('SIGNED_OUT', null);
+                return { error: null };
+            },
+
+            resetPassword: async () => ({
+                data: null,
+                error: this.error('Password reset emails are not available with the local backend')
+            }),
+
+            updateUser: (attributes) => this.updateUser(attributes),
+
+            refreshSession: async () => ({ data: { session: this.readSession() }, error: null }),
+
+            // Local accounts only ever have their email and password
+            getIdentities: async () => {
+                const session = this.readSession();
+                const identities = session ? [{
+                    id: session.user.id,
+                    identity_id: session.user.id,
+                    provider: 'email',
+                    identity_data: { email: session.user.email },
+                    created_at: session.user.created_at
+                }] : [];
+                return { data: { identities }, error: null };
+            },
+
+            linkIdentity: async () => ({ data: null, error: this.providerUnavailable('Linking accounts') }),
+
+            unlinkIdentity: async () => ({ data: null, error: this.providerUnavailable('Unlinking accounts') }),
+
+            // No second factor locally: nobody is enrolled, so password sessions are fully signed in
+            mfaListFactors: async () => ({ data: { all: [], totp: [] }, error: null }),
+
+            mfaEnroll: async () => ({ data: null, error: this.mfaUnavailable() }),
+
+            mfaVerify: async () => ({ data: null, error: this.mfaUnavailable() }),
+
+            mfaUnenroll: async () => ({ data: null, error: this.mfaUnavailable() }),
+
+            mfaAssuranceLevel: async () => ({ data: { currentLevel: 'aal1', nextLevel: 'aal1' }, error: null })
+        };
+    }
+
+    error(message, code = null) {
+        return { message, code };
+    }
+
+    mfaUnavailable() {
+        return this.error('Two-factor authentication is not available with the local backend');
+    }
+
+    providerUnavailable(feature) {
+        return this.error(`${feature} are not available with the local backend`);
+    }
+
+    emit(event, session) {
+        this.listeners.forEach(listener => listener(event, session));
+    }
+
+    readJson(key, fallback) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    // Auth Functions
+    readSession() {
+        return this.readJson(this.sessionKey, null);
+    }
+
+    // Passwords are hashed even here so a local demo never stores them in plain text
+    async hashPassword(password) {
+        const bytes = new TextEncoder().encode(password);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    publicUser(user) {
+        const { password_hash, ...rest } = user;
+        return rest;
+    }
+
+    startSession(user) {
+        const session = {
+            access_token: crypto.randomUUID(),
+            token_type: 'bearer',
+            user: this.publicUser(user)
+        };
+        localStorage.setItem(this.sessionKey, JSON.stringify(session));
+        this.emit('SIGNED_IN', session);
+        return session;
+    }
+
+    async signUp(email, password, metadata) {
+        const users = this.readJson(this.usersKey, []);
+        const normalizedEmail = (email || '').trim().toLowerCase();
+
+        if (users.some(user => user.email === normalizedEmail)) {
+            return { data: { user: null, session: null }, error: this.error('User already registered') };
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            email: normalizedEmail,
+            password_hash: await this.hashPassword(password),
+            user_metadata: metadata,
+            created_at: new Date().toISOString(),
+            last_sign_in_at: new Date().toISOString()
+        };
+        users.push(user);
+        localStorage.setItem(this.usersKey, JSON.stringify(users));
+
+        // No confirmation email locally: the new user is signed in straight away
+        const session = this.startSession(user);
+        return { data: { user: session.user, session }, error: null };
+    }
+
+    async signIn(email, password) {
+        const users = this.readJson(this.usersKey, []);
+        const user = users.find(candidate => candidate.email === (email || '').trim().toLowerCase());
+
+        if (!user || user.password_hash !== await this.hashPassword(password)) {
+            return { data: { user: null, session: null }, error: this.error('Invalid login credentials') };
+        }
+
+        // Supabase stamps every sign-in; the route guard uses it to tell a new sign-in from a restored one
+        user.last_sign_in_at = new Date().toISOString();
+        localStorage.setItem(this.usersKey, JSON.stringify(users));
+
+        const session = this.startSession(user);
+        return { data: { user: session.user, session }, error: null };
+    }
+
+    async updateUser(attributes) {
+        const session = this.readSession();
+        if (!session) {
+            return { data: { user: null }, error: this.error('Auth session missing!') };
+        }
+
+        const users = this.readJson(this.usersKey, []);
+        const user = users.find(candidate => candidate.id === session.user.id);
+        if (!user) {
+            return { data: { user: null }, error: this.error('User not found') };
+        }
+
+        if (attributes.email) user.email = attributes.email.trim().toLowerCase();
+        if (attributes.password) user.password_hash = await this.hashPassword(attributes.password);
+        if (attributes.data) user.user_metadata = { ...user.user_metadata, ...attributes.data };
+        localStorage.setItem(this.usersKey, JSON.stringify(users));
+
+        session.user = this.publicUser(user);
+        localStorage.setItem(this.sessionKey, JSON.stringify(session));
+        this.emit('USER_UPDATED', session);
+
+        return { data: { user: session.user }, error: null };
+    }
+
+    // Table Functions
+    readTables() {
+        return this.readJson(this.tablesKey, {});
+    }
+
+    writeTables(tables) {
+        localStorage.setItem(this.tablesKey, JSON.stringify(tables));
+    }
+
+    matches(row, filters = {}) {
+        return Object.entries(filters).every(([column, value]) => row[column] === value);
+    }
+
+    // Shape rows like a Supabase query result: all rows, exactly one, or one or none
+    finish(rows, options = {}) {
+        if (options.single) {
+            return rows.length === 1
+                ? { data: rows[0], error: null }
+                : { data: null, error: this.error('JSON object requested, multiple (or no) rows returned', 'PGRST116') };
+        }
+        if (options.maybeSingle) {
+            return { data: rows[0] || null, error: null };
+        }
+        return { data: rows, error: null };
+    }
+
+    async select(table, options = {}) {
+        let rows = (this.readTables()[table] || []).filter(row => this.matches(row, options.filters));
+
+        if (options.order) {
+            const { column, ascending } = options.order;
+            const direction = ascending === false ? -1 : 1;
+            rows = rows.sort((a, b) => direction * String(a[column] ?? '').localeCompare(String(b[column] ?? '')));
+        }
+
+        return this.finish(rows, options);
+    }
+
+    newRow(row) {
+        const now = new Date().toISOString();
+        return { id: crypto.randomUUID(), created_at: now, updated_at: now, ...row };
+    }
+
+    async insert(table, rows, options = {}) {
+        const tables = this.readTables();
+        const inserted = (Array.isArray(rows) ? rows : [rows]).map(row => this.newRow(row));
+        tables[table] = [...(tables[table] || []), ...inserted];
+        this.writeTables(tables);
+        return this.finish(inserted, options);
+    }
+
+    async upsert(table, rows, options = {}) {
+        const tables = this.readTables();
+        const key = options.onConflict || this.primaryKeys[table] || 'id';
+        const existing = tables[table] || [];
+        const saved = [];
+
+        (Array.isArray(rows) ? rows : [rows]).forEach(row => {
+            const index = existing.findIndex(current => row[key] !== undefined && current[key] === row[key]);
+            if (index === -1) {
+                existing.push(this.newRow(row));
+                saved.push(existing[existing.length - 1]);
+            } else {
+                existing[index] = { ...existing[index], ...row };
+                saved.push(existing[index]);
+            }
+        });
+
+        tables[table] = existing;
+        this.writeTables(tables);
+        return options.returning === false ? { data: null, error: null } : this.finish(saved, options);
+    }
+
+    async update(table, values, filters, options = {}) {
+        const tables = this.readTables();
+        const updated = [];
+
+        tables[table] = (tables[table] || []).map(row => {
+            if (!this.matches(row, filters)) return row;
+            const changed = { ...row, ...values };
+            updated.push(changed);
+            return changed;
+        });
+
+        this.writeTables(tables);
+        return options.returning === false ? { data: null, error: null } : this.finish(updated, options);
+    }
+
+    async remove(table, filters) {
+        const tables = this.readTables();
+        const rows = tables[table] || [];
+        const removed = rows.filter(row => this.matches(row, filters));
+
+        tables[table] = rows.filter(row => !this.matches(row, filters));
+
+        // Extensions go with their original assignment, like ON DELETE CASCADE
+        if (table === 'contracts') {
+            const removedIds = removed.map(row => row.id);
+            tables.contracts = tables.contracts.filter(row => !removedIds.includes(row.parent_contract_id));
+        }
+
+        this.writeTables(tables);
+        return { data: null, error: null };
+    }
+
+    // Storage Functions
+    openFiles() {
+        if (!this.filesDb) {
+            this.filesDb = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.filesDbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('files');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.filesDb;
+    }
+
+    async filesRequest(mode, action) {
+        const db = await this.openFiles();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('files', mode);
+            const request = action(transaction.objectStore('files'));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async uploadFile(bucket, path, file, options = {}) {
+        try {
+            await this.filesRequest('readwrite', store => store.put(file, `${bucket}/${path}`));
+            if (options.onProgress) {
+                options.onProgress(100);
+            }
+            return { data: { path }, error: null };
+        } catch (error) {
+            return { data: null, error: this.error(error.message) };
+        }
+    }
+
+    async removeFiles(bucket, paths) {
+        try {
+            await this.filesRequest('readwrite', store => {
+                paths.forEach(path => store.delete(`${bucket}/${path}`));
+            });
+            return { data: paths, error: null };
+        } catch (error) {
+            return { data: null, error: this.error(error.message) };
+        }
+    }
+
+    // Object URLs stand in for signed URLs; they last until the page is closed
+    async getFileUrl(bucket, path) {
+        try {
+            const file = await this.filesRequest('readonly', store => store.get(`${bucket}/${path}`));
+            if (!file) {
+                return { data: null, error: this.error('Object not found') };
+            }
+            return { data: { signedUrl: URL.createObjectURL(file) }, error: null };
+        } catch (error) {
+            return { data: null, error: this.error(error.message) };
+        }
+    }
+
+    // Edge Functions
+    async invokeFunction(name, body = {}) {
+        const session = this.readSession();
+        if (!session) {
+            return { data: null, error: this.error('Auth session missing!') };
+        }
+
+        if (name === 'delete-user') {
+            return this.deleteUser(session.user, body);
+        }
+
+        if (name === 'export-user-data') {
+            return this.exportUserData(session.user);
+        }
+
+        return { data: null, error: this.error(`Function ${name} is not available with the local backend`) };
+    }
+
+    userRows(tables, userId) {
+        const rows = {};
+        Object.keys(tables).forEach(table => {
+            rows[table] = tables[table].filter(row => row.user_id === userId);
+        });
+        return rows;
+    }
+
+    // Stand-in for the ZIP the edge functions build: a JSON file of the user's rows,
+    // without the uploaded files, linked through an object URL
+    buildArchive(user, rows, prefix) {
+        const blob = new Blob([JSON.stringify({ user: user.email, created: new Date().toISOString(), data: rows }, null, 2)], { type: 'application/json' });
+        return {
+            url: URL.createObjectURL(blob),
+            file_name: `${prefix}-${new Date().toISOString().slice(0, 10)}.json`,
+            size: blob.size,
+            expires_at: null
+        };
+    }
+
+    // Local equivalent of the export-user-data edge function
+    async exportUserData(user) {
+        const rows = this.userRows(this.readTables(), user.id);
+        return {
+            data: {
+                success: true,
+                archive: this.buildArchive(user, rows, 'travel-nurse-logbook-export'),
+                counts: {
+                    contracts: (rows.contracts || []).length,
+                    licenses: (rows.licenses || []).length,
+                    documents: 0
+                },
+                missing: (rows.contract_documents || []).map(row => row.file_name)
+            },
+            error: null
+        };
+    }
+
+    // Local equivalent of the delete-user edge function, with the same per-step report
+    async deleteUser(user, options = {}) {
+        const tables = this.readTables();
+        const rows = this.userRows(tables, user.id);
+        const report = [];
+
+        let archive = null;
+        if (options.archive) {
+            archive = this.buildArchive(user, rows, 'travel-nurse-logbook-archive');
+            report.push({ step: 'Create data archive', status: 'done', count: 0 });
+        } else {
+            report.push({ step: 'Create data archive', status: 'skipped' });
+        }
+
+        const documentPaths = (rows.contract_documents || []).map(row => row.file_path);
+        const { error: filesError } = await this.removeFiles('documents', documentPaths);
+        if (filesError) {
+            report.push({ step: 'Delete uploaded documents', status: 'failed', error: filesError.message });
+            const error = 'Some data could not be deleted. Your account was kept so you can try again.';
+            return { data: { success: false, error, report, archive }, error: this.error(error) };
+        }
+        report.push({ step: 'Delete uploaded documents', status: 'done', count: documentPaths.length });
+
+        [
+            ['Delete document records', 'contract_documents'],
+            ['Delete licenses', 'licenses'],
+            ['Delete contracts', 'contracts'],
+            ['Delete profile', 'user_profiles']
+        ].forEach(([step, table]) => {
+            report.push({ step, status: 'done', count: (rows[table] || []).length });
+        });
+
+        Object.keys(tables).forEach(table => {
+            tables[table] = tables[table].filter(row => row.user_id !== user.id);
+        });
+        this.writeTables(tables);
+
+        const users = this.readJson(this.usersKey, []).filter(candidate => candidate.id !== user.id);
+        localStorage.setItem(this.usersKey, JSON.stringify(users));
+        report.push({ step: 'Delete sign-in account', status: 'done' });
+
+        return {
+            data: { success: true, message: 'Local account and all its data deleted', report, archive },
+            error: null
+        };
+    }
+}
+
+window.LocalBackend = LocalBackend;
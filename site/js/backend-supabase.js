@@ -0,0 +1,184 @@
+// Supabase backend adapter for Travel Nurse Logbook
+// Implements the backend interface described in backend.js on top of the hosted Supabase project
+
+class SupabaseBackend {
+    constructor(client) {
+        this.type = 'supabase';
+        this.client = client;
+
+        this.auth = {
+            getSession: () => this.client.auth.getSession(),
+
+            onAuthStateChange: (callback) => this.client.auth.onAuthStateChange(callback),
+
+            signUp: (email, password, metadata = {}) => this.client.auth.signUp({
+                email,
+                password,
+                options: {
+                    data: metadata // Additional user metadata
+                }
+            }),
+
+            signIn: (email, password) => this.client.auth.signInWithPassword({ email, password }),
+
+            // Passwordless: an emailed one-time link, or a redirect to an OAuth provider.
+            // Both come back to redirectTo with the session in the URL
+            signInWithOtp: (email, redirectTo) => this.client.auth.signInWithOtp({
+                email,
+                options: { emailRedirectTo: redirectTo }
+            }),
+
+            signInWithOAuth: (provider, redirectTo) => this.client.auth.signInWithOAuth({
+                provider,
+                options: { redirectTo }
+            }),
+
+            signOut: () => this.client.auth.signOut(),
+
+            resetPassword: (email, redirectTo) => this.client.auth.resetPasswordForEmail(email, { redirectTo }),
+
+            updateUser: (attributes) => this.client.auth.updateUser(attributes),
+
+            refreshSession: () => this.client.auth.refreshSession(),
+
+            // Linked sign-in methods (identities) of the signed-in user
+            getIdentities: () => this.client.auth.getUserIdentities(),
+
+            linkIdentity: (provider, redirectTo) => this.client.auth.linkIdentity({
+                provider,
+                options: { redirectTo }
+            }),
+
+            unlinkIdentity: (identity) => this.client.auth.unlinkIdentity(identity),
+
+            // Multi-factor authentication (TOTP authenticator apps)
+            mfaListFactors: () => this.client.auth.mfa.listFactors(),
+
+            mfaEnroll: (friendlyName) => this.client.auth.mfa.enroll({ factorType: 'totp', friendlyName }),
+
+            mfaVerify: (factorId, code) => this.client.auth.mfa.challengeAndVerify({ factorId, code }),
+
+            mfaUnenroll: (factorId) => this.client.auth.mfa.unenroll({ factorId }),
+
+            mfaAssuranceLevel: () => this.client.auth.mfa.getAuthenticatorAssuranceLevel()
+        };
+    }
+
+    // Apply { column: value } equality filters to a query
+    applyFilters(query, filters = {}) {
+        Object.entries(filters).forEach(([column, value]) => {
+            query = query.eq(column, value);
+        });
+        return query;
+    }
+
+    // Finish a query that returns rows: all of them, exactly one, or one or none
+    finish(query, options = {}) {
+        if (options.single) return query.single();
+        if (options.maybeSingle) return query.maybeSingle();
+        return query;
+    }
+
+    // Table Functions
+    select(table, options = {}) {
+        let query = this.applyFilters(this.client.from(table).select(options.columns || '*'), options.filters);
+        if (options.order) {
+            query = query.order(options.order.column, { ascending: options.order.ascending !== false });
+        }
+        return this.finish(query, options);
+    }
+
+    insert(table, rows, options = {}) {
+        return this.finish(this.client.from(table).insert(rows).select(), options);
+    }
+
+    upsert(table, rows, options = {}) {
+        const query = this.client.from(table).upsert(rows, options.onConflict ? { onConflict: options.onConflict } : undefined);
+        return options.returning === false ? query : this.finish(query.select(), options);
+    }
+
+    update(table, values, filters, options = {}) {
+        const query = this.applyFilters(this.client.from(table).update(values), filters);
+        return options.returning === false ? query : this.finish(query.select(), options);
+    }
+
+    remove(table, filters) {
+        return this.applyFilters(this.client.from(table).delete(), filters);
+    }
+
+    // Storage Functions
+    async uploadFile(bucket, path, file, options = {}) {
+        if (!options.onProgress) {
+            return this.client.storage.from(bucket).upload(path, file, {
+                cacheControl: '3600',
+                upsert: false
+            });
+        }
+
+        // Signed upload URL lets us report byte-level progress through XHR
+        const { data, error } = await this.client.storage.from(bucket).createSignedUploadUrl(path);
+        if (error) {
+            return { data: null, error };
+        }
+
+        const formData = new FormData();
+        formData.append('cacheControl', '3600');
+        formData.append('', file);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                xhr.open('PUT', data.signedUrl);
+                xhr.setRequestHeader('x-upsert', 'false');
+
+                xhr.upload.addEventListener('progress', (event) => {
+                    if (event.lengthComputable) {
+                        options.onProgress(Math.round((event.loaded / event.total) * 100));
+                    }
+                });
+
+                xhr.addEventListener('load', () => {
+                    if (xhr.status >= 200 && xhr.status < 300) {
+                        options.onProgress(100);
+                        resolve();
+                    } else {
+                        reject(new Error(`Upload failed: ${xhr.status} ${xhr.statusText}`));
+                    }
+                });
+
+                xhr.addEventListener('error', () => reject(new Error('Upload failed: network error')));
+                xhr.send(formData);
+            });
+            return { data: { path }, error: null };
+        } catch (uploadError) {
+            return { data: null, error: uploadError };
+        }
+    }
+
+    removeFiles(bucket, paths) {
+        return this.client.storage.from(bucket).remove(paths);
+    }
+
+    getFileUrl(bucket, path, expiresIn) {
+        return this.client.storage.from(bucket).createSignedUrl(path, expiresIn);
+    }
+
+    // Edge Functions (the user's session token is sent automatically)
+    async invokeFunction(name, body = {}) {
+        const { data, error } = await this.client.functions.invoke(name, { body });
+
+        // Error responses still carry the function's JSON body (e.g. a deletion report)
+        if (error && error.context && typeof error.context.json === 'function') {
+            try {
+                const details = await error.context.json();
+                return { data: details, error: details.error ? { message: details.error, code: null } : error };
+            } catch (parseError) {
+                return { data: null, error };
+            }
+        }
+
+        return { data, error };
+    }
+}
+
+window.SupabaseBackend = SupabaseBackend;
@@ -0,0 +1,167 @@
+//=============================================================================
+// BACKEND SELECTION - Travel Nurse Logbook
+// Chooses the storage backend the rest of the app talks to through window.backend
+//
+// Every backend adapter implements the same interface. Calls resolve to
+// Supabase-style { data, error } results, with error = { message, code } or null:
+//
+//   auth.getSession()                      -> { data: { session } }
+//   auth.onAuthStateChange(callback)       callback(event, session)
+//   auth.signUp(email, password, metadata) -> { data: { user, session } }
+//   auth.signIn(email, password)           -> { data: { user, session } }
+//   auth.signInWithOtp(email, redirectTo)  emails a one-time sign-in link
+//   auth.signInWithOAuth(provider, redirectTo)  navigates to the provider
+//   auth.signOut()
+//   auth.resetPassword(email, redirectTo)
+//   auth.updateUser({ email, password, data })
+//   auth.refreshSession()
+//   auth.getIdentities()                   -> { data: { identities } }
+//   auth.linkIdentity(provider, redirectTo)  navigates to the provider
+//   auth.unlinkIdentity(identity)
+//   auth.mfaListFactors()                  -> { data: { all, totp } }
+//   auth.mfaEnroll(friendlyName)           -> { data: { id, totp: { qr_code, secret, uri } } }
+//   auth.mfaVerify(factorId, code)         challenge and verify in one step
+//   auth.mfaUnenroll(factorId)
+//   auth.mfaAssuranceLevel()               -> { data: { currentLevel, nextLevel } }
+//
+//   select(table, { filters, order: { column, ascending }, single, maybeSingle })
+//   insert(table, rows, { single })
+//   upsert(table, rows, { single, onConflict, returning })
+//   update(table, values, filters, { single, returning })
+//   remove(table, filters)                 filters are { column: value } equality checks
+//
+//   uploadFile(bucket, path, file, { onProgress })
+//   removeFiles(bucket, paths)
+//   getFileUrl(bucket, path, expiresIn)    -> { data: { signedUrl } }
+//   invokeFunction(name, body)             -> { data }; error responses keep their body in data
+//
+// Backends: 'supabase' (hosted project) and 'local' (this browser only). The runtime
+// config picks one per environment (backend.type, or Supabase whenever a project URL
+// is configured). Where the backendSwitch feature is on, ?backend=local or
+// ?backend=supabase overrides it and the choice is remembered.
+//
+// Only development falls back to the local backend when Supabase is unavailable.
+// Elsewhere the local backend must be chosen explicitly; otherwise the page is blocked
+// with a configuration error, so nobody keeps a logbook that never leaves the browser.
+//=============================================================================
+
+const BACKEND_STORAGE_KEY = 'tnl_backend';
+const BACKEND_TYPES = ['supabase', 'local'];
+
+function selectBackendType() {
+    if (window.AppConfig.isFeatureEnabled('backendSwitch')) {
+        const requested = new URLSearchParams(window.location.search).get('backend');
+        if (BACKEND_TYPES.includes(requested)) {
+            localStorage.setItem(BACKEND_STORAGE_KEY, requested);
+            return requested;
+        }
+
+        const stored = localStorage.getItem(BACKEND_STORAGE_KEY);
+        if (BACKEND_TYPES.includes(stored)) {
+            return stored;
+        }
+    }
+
+    const configured = window.AppConfig.get('backend.type');
+    if (BACKEND_TYPES.includes(configured)) {
+        return configured;
+    }
+    return window.AppConfig.get('backend.supabaseUrl') || !allowsLocalFallback() ? 'supabase' : 'local';
+}
+
+function allowsLocalFallback() {
+    return window.AppConfig.environment === 'development';
+}
+
+// Why the Supabase backend cannot start, or null when it can
+function getSupabaseConfigError() {
+    if (window.supabaseClient) {
+        return null;
+    }
+    if (!window.AppConfig.get('backend.supabaseUrl') || !window.AppConfig.get('backend.supabaseAnonKey')) {
+        return 'No Supabase project is configured for this environment. Set backend.supabaseUrl and ' +
+            'backend.supabaseAnonKey in config.js (TNL_SUPABASE_URL and TNL_SUPABASE_ANON_KEY for Docker).';
+    }
+    return 'The Supabase client library could not be loaded. Check your connection and reload the page.';
+}
+
+// Returns the backend, or null after showing the configuration error
+function createBackend(type) {
+    if (type === 'local') {
+        return new window.LocalBackend();
+    }
+
+    const configError = getSupabaseConfigError();
+    if (!configError) {
+        return new window.SupabaseBackend(window.supabaseClient);
+    }
+
+    if (allowsLocalFallback()) {
+        console.warn(`${configError} Using the local backend.`);
+        return new window.LocalBackend();
+    }
+
+    console.error(configError);
+    showConfigError(configError);
+    return null;
+}
+
+// Cover the page with the error; nothing behind it can be used without a backend
+function showConfigError(message) {
+    const render = () => {
+        Array.from(document.body.children).forEach(element => {
+            element.inert = true;
+        });
+
+        const screen = document.createElement('div');
+        screen.className = 'config-error-screen';
+        screen.setAttribute('role', 'alert');
+
+        const card = document.createElement('div');
+        card.className = 'config-error-card';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Travel Nurse Logbook is not available';
+
+        const text = document.createElement('p');
+        text.textContent = message;
+
+        card.append(title, text);
+        screen.appendChild(card);
+        document.body.appendChild(screen);
+    };
+
+    if (document.body) {
+        render();
+    } else {
+        document.addEventListener('DOMContentLoaded', render);
+    }
+}
+
+// Clear this browser's app data on sign-out or account deletion, keeping the
+// backend choice and the local backend's own store of accounts
+function clearLocalAppData() {
+    Object.keys(localStorage)
+        .filter(key => key !== BACKEND_STORAGE_KEY && !key.startsWith('tnl_local_'))
+        .forEach(key => localStorage.removeItem(key));
+    sessionStorage.clear();
+}
+
+// Make it obvious when the app is running on data that only lives in this browser
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.backend && window.backend.type === 'local') {
+        document.body.classList.add('local-backend');
+    }
+});
+
+//=============================================================================
+// BACKEND API - Public Interface for External Access
+//=============================================================================
+
+window.backend = createBackend(selectBackendType());
+
+window.Backend = {
+    types: BACKEND_TYPES,
+    type: window.backend ? window.backend.type : null,
+    clearLocalData: clearLocalAppData
+};
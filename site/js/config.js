@@ -0,0 +1,102 @@
+//=============================================================================
+// APP CONFIGURATION - Travel Nurse Logbook
+// Per-environment settings: backend, sign-in providers, screen lock, map tiles, geocoder
+// and feature flags
+//
+// The runtime file /config.js sets window.TNL_RUNTIME_CONFIG for the environment
+// being served (generated from environment variables by docker/generate-config.sh,
+// or copied from config.example.js for other hosting). Anything it leaves out
+// falls back to the environment presets below, then to the defaults.
+//=============================================================================
+
+const DEFAULT_APP_CONFIG = {
+    environment: 'development',
+    backend: {
+        type: '',              // 'supabase' | 'local'; empty uses Supabase when a URL is configured
+        supabaseUrl: '',
+        supabaseAnonKey: ''
+    },
+    auth: {
+        // OAuth providers shown on the sign-in page, e.g. ['google', 'github'];
+        // each must also be enabled under Authentication > Providers in Supabase
+        oauthProviders: []
+    },
+    security: {
+        idleLockMinutes: 15    // Lock the logbook after this long without activity; 0 turns it off
+    },
+    map: {
+        // First layer is shown by default; the rest appear in the layer switcher
+        tileLayers: [
+            {
+                name: 'Default',
+                url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                options: { attribution: '&copy; OpenStreetMap contributors' }
+            },
+            {
+                name: 'Satellite',
+                url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+                options: { attribution: '&copy; Esri' }
+            }
+        ]
+    },
+    geocoder: {
+        providers: ['nominatim', 'offline'], // Tried in order
+        nominatimUrl: 'https://nominatim.openstreetmap.org',
+        countryCodes: 'us,gu,pr,vi,as,mp',
+        datasetUrl: 'data/us_geocode_dataset.json'
+    },
+    features: {
+        testContracts: true,   // Show the #load-test-contracts developer button
+        backendSwitch: true    // Allow ?backend=local|supabase to override the configured backend
+    }
+};
+
+// Production hides developer tools unless its runtime config turns them back on
+const ENVIRONMENT_PRESETS = {
+    development: {},
+    staging: {},
+    production: {
+        features: { testContracts: false, backendSwitch: false }
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge for nested settings; arrays (like tile layers) are replaced, not merged
+function mergeConfig(base, override) {
+    const merged = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+    });
+    return merged;
+}
+
+function buildAppConfig(runtimeConfig) {
+    const environment = runtimeConfig.environment || DEFAULT_APP_CONFIG.environment;
+    const preset = ENVIRONMENT_PRESETS[environment] || {};
+    return mergeConfig(mergeConfig(DEFAULT_APP_CONFIG, preset), runtimeConfig);
+}
+
+const appConfig = buildAppConfig(window.TNL_RUNTIME_CONFIG || {});
+
+// Read a setting by dotted path, e.g. getConfigValue('map.tileLayers')
+function getConfigValue(path, fallback = undefined) {
+    const value = path.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), appConfig);
+    return value === undefined ? fallback : value;
+}
+
+function isFeatureEnabled(name) {
+    return getConfigValue(`features.${name}`, false) === true;
+}
+
+//=============================================================================
+// APP CONFIG API - Public Interface for External Access
+//=============================================================================
+
+window.AppConfig = {
+    environment: appConfig.environment,
+    get: getConfigValue,
+    isFeatureEnabled: isFeatureEnabled
+};
@@ -0,0 +1,126 @@
+//=============================================================================
+// CONTRACT VALIDATION - Travel Nurse Logbook
+// Field, date-order and coordinate checks for contracts, plus overlap detection
+//
+// validateContract returns:
+//   errors   - [{ field, message }] that must be fixed before saving
+//   overlaps - existing contracts whose dates overlap (allowed with an explicit override)
+//=============================================================================
+
+const CONTRACT_FIELD_LABELS = {
+    hospital_name: 'Hospital name',
+    address: 'Hospital address',
+    start_date: 'Start date',
+    end_date: 'End date',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    hourly_rate: 'Taxable hourly rate',
+    guaranteed_hours: 'Guaranteed hours',
+    overtime_rate: 'Overtime rate',
+    housing_stipend: 'Housing stipend',
+    meals_stipend: 'M&IE stipend',
+    bonuses: 'Bonuses'
+};
+
+const REQUIRED_CONTRACT_FIELDS = ['hospital_name', 'address', 'start_date', 'end_date'];
+
+const NON_NEGATIVE_CONTRACT_FIELDS = ['hourly_rate', 'guaranteed_hours', 'overtime_rate', 'housing_stipend', 'meals_stipend', 'bonuses'];
+
+function isBlankValue(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// Accepts YYYY-MM-DD strings for real calendar dates only
+function isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function validateCoordinate(field, value, limit, errors) {
+    if (isBlankValue(value)) return;
+
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        errors.push({ field, message: `${CONTRACT_FIELD_LABELS[field]} must be a number` });
+    } else if (number < -limit || number > limit) {
+        errors.push({ field, message: `${CONTRACT_FIELD_LABELS[field]} must be between -${limit} and ${limit}` });
+    }
+}
+
+// Existing contracts whose dates overlap this one (both ends inclusive)
+function findOverlappingContracts(contract, contracts = []) {
+    if (!isValidDateString(contract.start_date) || !isValidDateString(contract.end_date)) {
+        return [];
+    }
+
+    return contracts.filter(other => {
+        if (contract.id && other.id === contract.id) return false;
+        if (!isValidDateString(other.start_date)) return false;
+
+        // Assignments cancelled before they started never took up those dates
+        if (window.ContractLifecycle && !window.ContractLifecycle.wasWorked(other)) return false;
+
+        // Contracts without an end date are still running
+        const otherEnd = other.end_date || '9999-12-31';
+        return contract.start_date <= otherEnd && other.start_date <= contract.end_date;
+    });
+}
+
+// Check a contract before it is saved; contracts is the rest of the logbook
+function validateContract(contract, contracts = []) {
+    const errors = [];
+
+    REQUIRED_CONTRACT_FIELDS.forEach(field => {
+        if (isBlankValue(contract[field])) {
+            errors.push({ field, message: `${CONTRACT_FIELD_LABELS[field]} is required` });
+        }
+    });
+
+    ['start_date', 'end_date'].forEach(field => {
+        if (!isBlankValue(contract[field]) && !isValidDateString(contract[field])) {
+            errors.push({ field, message: `${CONTRACT_FIELD_LABELS[field]} is not a valid date` });
+        }
+    });
+
+    if (isValidDateString(contract.start_date) && isValidDateString(contract.end_date) &&
+        contract.end_date < contract.start_date) {
+        errors.push({ field: 'end_date', message: 'End date cannot be before the start date' });
+    }
+
+    validateCoordinate('latitude', contract.latitude, 90, errors);
+    validateCoordinate('longitude', contract.longitude, 180, errors);
+
+    if (isBlankValue(contract.latitude) !== isBlankValue(contract.longitude)) {
+        const missing = isBlankValue(contract.latitude) ? 'latitude' : 'longitude';
+        errors.push({ field: missing, message: 'Latitude and longitude must be entered together' });
+    }
+
+    NON_NEGATIVE_CONTRACT_FIELDS.forEach(field => {
+        const value = contract[field];
+        if (isBlankValue(value)) return;
+
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            errors.push({ field, message: `${CONTRACT_FIELD_LABELS[field]} must be a positive number` });
+        }
+    });
+
+    return {
+        errors,
+        overlaps: errors.length === 0 ? findOverlappingContracts(contract, contracts) : []
+    };
+}
+
+//=============================================================================
+// CONTRACT VALIDATION API - Public Interface for External Access
+//=============================================================================
+
+window.ContractValidation = {
+    labels: CONTRACT_FIELD_LABELS,
+    validate: validateContract,
+    findOverlaps: findOverlappingContracts,
+    isValidDate: isValidDateString
+};
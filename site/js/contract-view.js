@@ -0,0 +1,160 @@
+//=============================================================================
+// CONTRACT VIEW - Travel Nurse Logbook
+// Search, filter and sort settings for the contract list, applied to contract data
+//=============================================================================
+
+const CONTRACT_VIEW_STORAGE_KEY = 'tnl_contract_view';
+
+const DEFAULT_CONTRACT_VIEW = {
+    search: '',
+    state: '',
+    year: '',
+    taxStatus: '',
+    agency: '',
+    sortBy: 'date',       // 'date' | 'name'
+    sortDirection: 'desc', // 'asc' | 'desc'
+    layout: 'cards'       // 'cards' | 'timeline' | 'stats'
+};
+
+let contractViewState = loadContractViewState();
+
+//=============================================================================
+// VIEW STATE
+//=============================================================================
+
+function loadContractViewState() {
+    try {
+        const stored = localStorage.getItem(CONTRACT_VIEW_STORAGE_KEY);
+        return { ...DEFAULT_CONTRACT_VIEW, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+        return { ...DEFAULT_CONTRACT_VIEW };
+    }
+}
+
+function getContractViewState() {
+    return contractViewState;
+}
+
+// Merge changes into the view and remember it across reloads
+function updateContractViewState(changes) {
+    contractViewState = { ...contractViewState, ...changes };
+    localStorage.setItem(CONTRACT_VIEW_STORAGE_KEY, JSON.stringify(contractViewState));
+    return contractViewState;
+}
+
+// Clear search and filters but keep the chosen sort
+function clearContractFilters() {
+    return updateContractViewState({
+        search: '',
+        state: '',
+        year: '',
+        taxStatus: '',
+        agency: ''
+    });
+}
+
+// Clicking the active sort flips its direction; a new sort starts in its natural direction
+function toggleContractSort(sortBy) {
+    if (contractViewState.sortBy === sortBy) {
+        return updateContractViewState({ sortDirection: contractViewState.sortDirection === 'asc' ? 'desc' : 'asc' });
+    }
+    return updateContractViewState({ sortBy, sortDirection: sortBy === 'name' ? 'asc' : 'desc' });
+}
+
+function hasActiveContractFilters(view = contractViewState) {
+    return !!(view.search || view.state || view.year || view.taxStatus || view.agency);
+}
+
+//=============================================================================
+// FILTERING AND SORTING
+//=============================================================================
+
+function contractStateCode(contract) {
+    return window.Licenses ? window.Licenses.getContractState(contract) : null;
+}
+
+// Calendar years a contract touches (a contract from Nov 2023 to Feb 2024 counts in both)
+function contractYears(contract) {
+    const startYear = parseInt((contract.start_date || '').slice(0, 4), 10);
+    const endYear = parseInt((contract.end_date || '').slice(0, 4), 10) || startYear;
+    if (isNaN(startYear)) return [];
+
+    const years = [];
+    for (let year = startYear; year <= endYear; year++) {
+        years.push(year);
+    }
+    return years;
+}
+
+function matchesContractView(contract, view, allContracts) {
+    if (view.search) {
+        const haystack = `${contract.hospital_name || ''} ${contract.address || ''}`.toLowerCase();
+        const terms = view.search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!terms.every(term => haystack.includes(term))) return false;
+    }
+
+    if (view.state && contractStateCode(contract) !== view.state) return false;
+
+    if (view.year && !contractYears(contract).includes(parseInt(view.year, 10))) return false;
+
+    if (view.agency && (contract.agency || '') !== view.agency) return false;
+
+    // Tax status depends on the whole logbook, not just the filtered set
+    if (view.taxStatus && window.TaxRules) {
+        if (window.TaxRules.evaluate(contract, allContracts).status !== view.taxStatus) return false;
+    }
+
+    return true;
+}
+
+function compareContracts(a, b, view) {
+    const direction = view.sortDirection === 'asc' ? 1 : -1;
+
+    if (view.sortBy === 'name') {
+        return direction * (a.hospital_name || '').localeCompare(b.hospital_name || '');
+    }
+
+    // Dates are YYYY-MM-DD so string order is date order
+    return direction * (a.start_date || '').localeCompare(b.start_date || '');
+}
+
+// Contracts to show for the current view, filtered and sorted
+function applyContractView(contracts, view = contractViewState) {
+    return contracts
+        .filter(contract => matchesContractView(contract, view, contracts))
+        .sort((a, b) => compareContracts(a, b, view));
+}
+
+// Values available in the filter dropdowns for this logbook
+function getContractFilterOptions(contracts) {
+    const states = new Set();
+    const years = new Set();
+    const agencies = new Set();
+
+    contracts.forEach(contract => {
+        const state = contractStateCode(contract);
+        if (state) states.add(state);
+        contractYears(contract).forEach(year => years.add(year));
+        if (contract.agency) agencies.add(contract.agency);
+    });
+
+    return {
+        states: [...states].sort(),
+        years: [...years].sort((a, b) => b - a),
+        agencies: [...agencies].sort((a, b) => a.localeCompare(b))
+    };
+}
+
+//=============================================================================
+// CONTRACT VIEW API - Public Interface for External Access
+//=============================================================================
+
+window.ContractView = {
+    getState: getContractViewState,
+    update: updateContractViewState,
+    clearFilters: clearContractFilters,
+    toggleSort: toggleContractSort,
+    hasActiveFilters: hasActiveContractFilters,
+    apply: applyContractView,
+    getFilterOptions: getContractFilterOptions
+};
@@ -8,6 +8,19 @@ class ContractFormController {
     this.currentContract = null;
     this.form = null;
     this.slideout = null;
+    this.addressFromMap = false; // True while the address came from reverse geocoding
+    this.overlapConfirmedFor = null; // Overlap the user accepted (see getOverlapKey)
+    
+    // Pay package inputs: form element id, contract column, display format
+    this.payFields = [
+      { id: 'contract-agency', key: 'agency', format: 'text' },
+      { id: 'contract-hourly-rate', key: 'hourly_rate', format: 'rate' },
+      { id: 'contract-guaranteed-hours', key: 'guaranteed_hours', format: 'hours' },
+      { id: 'contract-overtime-rate', key: 'overtime_rate', format: 'rate' },
+      { id: 'contract-housing-stipend', key: 'housing_stipend', format: 'weekly' },
+      { id: 'contract-meals-stipend', key: 'meals_stipend', format: 'weekly' },
+      { id: 'contract-bonuses', key: 'bonuses', format: 'currency' }
+    ];
     
     // Initialize after DOM is ready
     if (document.readyState === 'loading') {
@@ -80,6 +93,64 @@ class ContractFormController {
       });
     }
     
+    // Get Coordinates button (CREATE/EDIT modes)
+    const getCoordinatesBtn = document.getElementById('get-coordinates-btn');
+    if (getCoordinatesBtn) {
+      getCoordinatesBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.geocodeAddress();
+      });
+    }
+    
+    // Pick on Map button hides the form so the map can be clicked
+    const pickOnMapBtn = document.getElementById('pick-on-map-btn');
+    if (pickOnMapBtn) {
+      pickOnMapBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.startMapPicking();
+      });
+    }
+    
+    const finishPickingBtn = document.getElementById('finish-map-picking');
+    if (finishPickingBtn) {
+      finishPickingBtn.addEventListener('click', () => {
+        this.finishMapPicking();
+      });
+    }
+    
+    // Keep the map pin in sync with manually typed coordinates
+    ['contract-latitude', 'contract-longitude'].forEach(inputId => {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener('change', () => {
+          this.syncMapPicker();
+          this.updateTaxHomeWarning();
+        });
+      }
+    });
+    
+    // Recalculate earnings as pay fields change
+    this.payFields.forEach(field => {
+      const input = document.getElementById(field.id);
+      if (input) {
+        input.addEventListener('input', () => this.updatePaySummary());
+      }
+    });
+    ['contract-start-date', 'contract-end-date'].forEach(inputId => {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener('change', () => this.updatePaySummary());
+      }
+    });
+    
+    // A typed address should never be overwritten by reverse geocoding
+    const addressInput = document.getElementById('contract-hospital-address');
+    if (addressInput) {
+      addressInput.addEventListener('input', () => {
+        this.addressFromMap = false;
+      });
+    }
+    
     // Delete Contract button (EDIT mode)
     const deleteBtn = document.getElementById('delete-contract-btn');
     
@@ -133,17 +204,37 @@ class ContractFormController {
   openCreateMode() {
     this.currentMode = 'create';
     this.currentContract = null;
+    this.overlapConfirmedFor = null;
+    this.clearValidationErrors();
     this.clearForm();      // Clear all form fields for new contract
     this.setCreateMode();  // Set form to create mode
     this.openForm();
+    this.enableMapPicking();
+    
+    // Documents can only be attached once the contract exists
+    if (window.documentVault) {
+      window.documentVault.hide();
+    }
+    if (window.contractLifecycle) {
+      window.contractLifecycle.hide();
+    }
   }
   
   openDisplayMode(contract) {
     this.currentMode = 'display';
     this.currentContract = contract;
+    this.overlapConfirmedFor = null;
+    this.clearValidationErrors();
     this.populateFormBasic(contract);
     this.setDisplayMode();  // Set form to display mode
     this.openForm();
+    
+    if (window.documentVault) {
+      window.documentVault.showForContract(contract);
+    }
+    if (window.contractLifecycle) {
+      window.contractLifecycle.showForContract(contract);
+    }
   }
   
   updateDebugInfo() {
@@ -230,6 +321,24 @@ class ContractFormController {
       longitudeDisplay.textContent = contract.longitude || '';
     }
     
+    // Populate pay package fields and their display values
+    this.payFields.forEach(field => {
+      const input = document.getElementById(field.id);
+      const display = document.getElementById(`${field.id}-display`);
+      const value = contract[field.key];
+      
+      if (input) {
+        input.value = value ?? '';
+      }
+      
+      if (display) {
+        display.textContent = this.formatPayValue(value, field.format);
+      }
+    });
+    
+    this.updatePaySummary();
+    this.updateTaxHomeWarning();
+    
     // Populate contract info fields (for display) - using correct IDs
     const contractIdEl = document.getElementById('contract-id-display');
     const createdEl = document.getElementById('contract-created-display');
@@ -250,6 +359,60 @@ class ContractFormController {
     }
   }
   
+  // Format a pay field for read-only display
+  formatPayValue(value, format) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+    
+    const formatCurrency = window.PayPackage ? window.PayPackage.formatCurrency : (amount) => `$${amount}`;
+    
+    switch (format) {
+      case 'rate':
+        return `${formatCurrency(value, 2)}/hr`;
+      case 'weekly':
+        return `${formatCurrency(value)}/week`;
+      case 'hours':
+        return `${value} hrs/week`;
+      case 'currency':
+        return formatCurrency(value);
+      default:
+        return String(value);
+    }
+  }
+  
+  // Show blended weekly gross and total contract value for the current form values
+  updatePaySummary() {
+    const weeklyGrossEl = document.getElementById('contract-weekly-gross');
+    const totalValueEl = document.getElementById('contract-total-value');
+    
+    if (!weeklyGrossEl || !totalValueEl || !window.PayPackage) {
+      return;
+    }
+    
+    const draft = {
+      start_date: document.getElementById('contract-start-date')?.value,
+      end_date: document.getElementById('contract-end-date')?.value
+    };
+    this.payFields.forEach(field => {
+      draft[field.key] = document.getElementById(field.id)?.value;
+    });
+    
+    if (!window.PayPackage.hasPayPackage(draft)) {
+      weeklyGrossEl.textContent = 'No pay data';
+      totalValueEl.textContent = 'No pay data';
+      return;
+    }
+    
+    const pay = window.PayPackage.calculate(draft);
+    const blended = pay.blendedHourlyRate > 0 ? ` (${window.PayPackage.formatCurrency(pay.blendedHourlyRate, 2)}/hr blended)` : '';
+    
+    weeklyGrossEl.textContent = `${window.PayPackage.formatCurrency(pay.weeklyGross)}${blended}`;
+    totalValueEl.textContent = pay.weeks > 0 ?
+      `${window.PayPackage.formatCurrency(pay.totalContractValue)} over ${pay.weeks.toFixed(1)} weeks` :
+      'Set contract dates to calculate';
+  }
+  
   setDisplayMode() {
     
     // Hide all input fields, show display values
@@ -269,6 +432,10 @@ class ContractFormController {
       actions.style.display = 'none';
     });
     
+    // Geocoding and map picking only make sense while coordinates are editable
+    this.setGeocodingVisible(false);
+    this.disableMapPicking();
+    
     // Show only display actions
     const displayActions = this.form.querySelector('.display-actions');
     if (displayActions) {
@@ -295,6 +462,8 @@ class ContractFormController {
       actions.style.display = 'none';
     });
     
+    this.setGeocodingVisible(true);
+    
     // Show only create actions
     const createActions = this.form.querySelector('.create-actions');
     if (createActions) {
@@ -321,6 +490,8 @@ class ContractFormController {
       actions.style.display = 'none';
     });
     
+    this.setGeocodingVisible(true);
+    
     // Show only edit actions
     const editActions = this.form.querySelector('.edit-actions');
     if (editActions) {
@@ -332,6 +503,293 @@ class ContractFormController {
     }
   }
   
+  setGeocodingVisible(visible) {
+    const geocodingControls = this.form.querySelector('.geocoding-controls');
+    if (geocodingControls) {
+      geocodingControls.style.display = visible ? 'block' : 'none';
+    }
+    
+    this.clearGeocodeCandidates();
+  }
+  
+  //===========================================================================
+  // GEOCODING
+  //===========================================================================
+  
+  // Look up coordinates for the address field and fill the coordinate inputs
+  async geocodeAddress() {
+    const hospitalName = document.getElementById('contract-hospital-name')?.value?.trim();
+    const hospitalAddress = document.getElementById('contract-hospital-address')?.value?.trim();
+    
+    if (!hospitalAddress) {
+      this.showContractError('Enter the hospital address before looking up coordinates');
+      return;
+    }
+    
+    if (!window.geocoder) {
+      this.showContractError('Geocoding service is not available');
+      return;
+    }
+    
+    const button = document.getElementById('get-coordinates-btn');
+    const originalText = button ? button.textContent : '';
+    if (button) {
+      button.textContent = 'Looking up...';
+      button.disabled = true;
+    }
+    
+    this.clearGeocodeCandidates();
+    
+    try {
+      // Try the address on its own first, then with the hospital name for context
+      let result = await window.geocoder.geocode(hospitalAddress);
+      if (result.success && result.data.length === 0 && hospitalName) {
+        result = await window.geocoder.geocode(`${hospitalName}, ${hospitalAddress}`);
+      }
+      
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      
+      if (result.data.length === 0) {
+        this.showContractError('No coordinates found for this address. Check the address or enter them manually.');
+      } else if (result.data.length === 1) {
+        this.applyCoordinates(result.data[0]);
+      } else {
+        this.showGeocodeCandidates(result.data);
+      }
+    } catch (error) {
+      this.showContractError('Failed to look up coordinates: ' + error.message);
+    } finally {
+      if (button) {
+        button.textContent = originalText;
+        button.disabled = false;
+      }
+    }
+  }
+  
+  // Write a geocoding candidate into the coordinate fields
+  applyCoordinates(candidate) {
+    const latitudeInput = document.getElementById('contract-latitude');
+    const longitudeInput = document.getElementById('contract-longitude');
+    
+    if (latitudeInput) {
+      latitudeInput.value = candidate.latitude.toFixed(4);
+    }
+    
+    if (longitudeInput) {
+      longitudeInput.value = candidate.longitude.toFixed(4);
+    }
+    
+    this.clearGeocodeCandidates();
+    this.syncMapPicker();
+    this.updateTaxHomeWarning();
+    this.showContractSuccess(`Coordinates set from ${candidate.label}`);
+  }
+  
+  // List ambiguous matches so the user can pick the right one
+  showGeocodeCandidates(candidates) {
+    const container = document.getElementById('geocode-candidates');
+    if (!container) {
+      this.applyCoordinates(candidates[0]);
+      return;
+    }
+    
+    container.innerHTML = '<div class="geocode-candidates-title">Multiple matches found - choose one:</div>';
+    
+    candidates.forEach(candidate => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'geocode-candidate';
+      option.textContent = `${candidate.label} (${candidate.latitude.toFixed(4)}, ${candidate.longitude.toFixed(4)})`;
+      option.title = `Source: ${candidate.source}`;
+      option.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.applyCoordinates(candidate);
+      });
+      container.appendChild(option);
+    });
+    
+    container.style.display = 'block';
+  }
+  
+  clearGeocodeCandidates() {
+    const container = document.getElementById('geocode-candidates');
+    if (container) {
+      container.innerHTML = '';
+      container.style.display = 'none';
+    }
+  }
+  
+  //===========================================================================
+  // TAX HOME EXCLUSION ZONE
+  //===========================================================================
+  
+  // Check coordinates against the tax home; returns the distance check or null
+  checkTaxHome(latitude, longitude) {
+    if (!window.TaxHome) {
+      return null;
+    }
+    
+    return window.TaxHome.checkDistance(latitude, longitude);
+  }
+  
+  // Show an inline warning while the coordinates sit inside the exclusion zone
+  updateTaxHomeWarning() {
+    const warning = document.getElementById('tax-home-warning');
+    if (!warning) {
+      return;
+    }
+    
+    const latitude = document.getElementById('contract-latitude')?.value;
+    const longitude = document.getElementById('contract-longitude')?.value;
+    const check = latitude && longitude ? this.checkTaxHome(latitude, longitude) : null;
+    
+    if (check && check.withinExclusionZone) {
+      warning.textContent = `⚠️ This location is ${check.miles.toFixed(1)} miles from your tax home. ` +
+        `Stipends for assignments within ${check.radiusMiles} miles of your tax home are generally taxable.`;
+      warning.style.display = 'block';
+    } else {
+      warning.textContent = '';
+      warning.style.display = 'none';
+    }
+  }
+  
+  // Ask for confirmation before saving a contract inside the exclusion zone
+  confirmTaxHomeDistance(formData) {
+    const check = this.checkTaxHome(formData.latitude, formData.longitude);
+    
+    if (!check || !check.withinExclusionZone) {
+      return true;
+    }
+    
+    return confirm(`⚠️ ${formData.hospital_name} is ${check.miles.toFixed(1)} miles from your tax home.\n\n` +
+      `Taking tax-free stipends within ${check.radiusMiles} miles of your tax home is a common audit trigger.\n\n` +
+      'Save this contract anyway?');
+  }
+  
+  //===========================================================================
+  // MAP LOCATION PICKING
+  //===========================================================================
+  
+  // Let clicks on the map set this contract's coordinates
+  enableMapPicking() {
+    if (!window.MapController) {
+      return;
+    }
+    
+    window.MapController.enableLocationPicking((latitude, longitude) => {
+      this.onMapLocationPicked(latitude, longitude);
+    });
+    this.syncMapPicker();
+  }
+  
+  disableMapPicking() {
+    this.finishMapPicking();
+    if (window.MapController) {
+      window.MapController.disableLocationPicking();
+    }
+  }
+  
+  // Move the picker pin to whatever the coordinate fields currently hold
+  syncMapPicker() {
+    const latitude = document.getElementById('contract-latitude')?.value;
+    const longitude = document.getElementById('contract-longitude')?.value;
+    
+    if (window.MapController && latitude && longitude) {
+      window.MapController.setPickerLocation(latitude, longitude);
+    }
+  }
+  
+  // Temporarily hide the slideout so the map underneath can be clicked
+  startMapPicking() {
+    if (this.slideout) {
+      this.slideout.classList.add('picking-location');
+    }
+    
+    const banner = document.getElementById('map-picking-banner');
+    if (banner) {
+      banner.style.display = 'flex';
+    }
+  }
+  
+  finishMapPicking() {
+    if (this.slideout) {
+      this.slideout.classList.remove('picking-location');
+    }
+    
+    const banner = document.getElementById('map-picking-banner');
+    if (banner) {
+      banner.style.display = 'none';
+    }
+  }
+  
+  // Write a map-picked point into the form and look up its address
+  async onMapLocationPicked(latitude, longitude) {
+    const latitudeInput = document.getElementById('contract-latitude');
+    const longitudeInput = document.getElementById('contract-longitude');
+    
+    if (latitudeInput) {
+      latitudeInput.value = latitude;
+    }
+    
+    if (longitudeInput) {
+      longitudeInput.value = longitude;
+    }
+    
+    this.updateTaxHomeWarning();
+    
+    const addressInput = document.getElementById('contract-hospital-address');
+    if (!window.geocoder || !addressInput) {
+      return;
+    }
+    
+    // Only fill the address when it is empty or was filled from the map earlier
+    if (addressInput.value.trim() && !this.addressFromMap) {
+      return;
+    }
+    
+    const result = await window.geocoder.reverseGeocode(latitude, longitude);
+    
+    // Ignore the result if the form was closed or the user started typing meanwhile
+    if (!this.currentMode || (addressInput.value.trim() && !this.addressFromMap)) {
+      return;
+    }
+    
+    if (result.success && result.data) {
+      addressInput.value = result.data.label;
+      this.addressFromMap = true;
+    }
+  }
+  
+  // Show contract form error message
+  showContractError(message) {
+    const errorDiv = document.getElementById('contract-error');
+    if (!errorDiv) {
+      return;
+    }
+    clearTimeout(this.errorTimeout);
+    errorDiv.classList.remove('validation-errors');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+    this.errorTimeout = setTimeout(() => {
+      errorDiv.style.display = 'none';
+    }, 5000);
+  }
+  
+  // Show contract form success message
+  showContractSuccess(message) {
+    const successDiv = document.getElementById('contract-success');
+    if (!successDiv) {
+      return;
+    }
+    successDiv.textContent = message;
+    successDiv.style.display = 'block';
+    setTimeout(() => {
+      successDiv.style.display = 'none';
+    }, 3000);
+  }
+  
   openForm() {
     if (this.slideout) {
       this.slideout.classList.add('open');
@@ -346,29 +804,10 @@ class ContractFormController {
       const hospitalAddress = document.getElementById('contract-hospital-address')?.value?.trim();
       const startDate = document.getElementById('contract-start-date')?.value;
       const endDate = document.getElementById('contract-end-date')?.value;
-      const latitude = document.getElementById('contract-latitude')?.value;
-      const longitude = document.getElementById('contract-longitude')?.value;
+      const latitude = document.getElementById('contract-latitude')?.value?.trim();
+      const longitude = document.getElementById('contract-longitude')?.value?.trim();
       
-      // Basic validation
-      if (!hospitalName) {
-        alert('Hospital name is required');
-        return null;
-      }
-      
-      if (!hospitalAddress) {
-        alert('Hospital address is required');
-        return null;
-      }
-      
-      if (!startDate) {
-        alert('Start date is required');
-        return null;
-      }
-      
-      if (!endDate) {
-        alert('End date is required');
-        return null;
-      }
+      this.clearValidationErrors();
       
       const formData = {
         hospital_name: hospitalName,
@@ -377,23 +816,166 @@ class ContractFormController {
         end_date: endDate
       };
       
-      // Add coordinates if provided
-      if (latitude && !isNaN(parseFloat(latitude))) {
+      // Add coordinates if provided (validation reports a half-entered pair)
+      if (latitude) {
         formData.latitude = parseFloat(latitude);
       }
       
-      if (longitude && !isNaN(parseFloat(longitude))) {
+      if (longitude) {
         formData.longitude = parseFloat(longitude);
       }
       
+      // Pay package fields are optional; blanks are stored as null so edits can clear them
+      for (const field of this.payFields) {
+        const rawValue = document.getElementById(field.id)?.value?.trim() || '';
+        
+        if (field.format === 'text') {
+          formData[field.key] = rawValue || null;
+        } else {
+          formData[field.key] = rawValue ? parseFloat(rawValue) : null;
+        }
+      }
+      
+      const otherContracts = window.logbookApp ? window.logbookApp.contracts : [];
+      const { errors, overlaps } = window.ContractValidation.validate(
+        { ...formData, id: this.currentContract?.id },
+        otherContracts
+      );
+      
+      if (errors.length > 0) {
+        this.showValidationErrors(errors);
+        return null;
+      }
+      
+      // Overlaps are allowed (PRN, per diem) but only when explicitly confirmed,
+      // and only for the dates and contracts the user saw in the warning
+      const overlapKey = this.getOverlapKey(formData, overlaps);
+      if (overlaps.length > 0 && overlapKey !== this.overlapConfirmedFor) {
+        this.showOverlapWarning(overlaps, overlapKey);
+        return null;
+      }
+      
+      // Store the lifecycle state so it follows date edits; cancellations are kept
+      if (window.ContractLifecycle) {
+        formData.status = window.ContractLifecycle.getStatus(
+          { ...this.currentContract, ...formData },
+          otherContracts
+        );
+      }
+      
       return formData;
       
     } catch (error) {
+      console.error('Error reading contract form:', error);
+      this.showContractError('Could not read the contract form: ' + error.message);
       return null;
     }
   }
 
+  // Identifies one overlap: the entered dates and the contracts they overlap
+  getOverlapKey(formData, overlaps) {
+    const ids = overlaps.map(contract => contract.id).sort().join(',');
+    return `${formData.start_date}|${formData.end_date}|${ids}`;
+  }
+
+  // Input ids for contract fields that can carry a validation error
+  getFieldInputId(field) {
+    const ids = {
+      hospital_name: 'contract-hospital-name',
+      address: 'contract-hospital-address',
+      start_date: 'contract-start-date',
+      end_date: 'contract-end-date',
+      latitude: 'contract-latitude',
+      longitude: 'contract-longitude'
+    };
+    const payField = this.payFields.find(payField => payField.key === field);
+    return ids[field] || (payField ? payField.id : null);
+  }
+
+  // Mark invalid fields inline and list every problem in the error area
+  showValidationErrors(errors) {
+    errors.forEach(error => {
+      const input = document.getElementById(this.getFieldInputId(error.field));
+      if (!input) {
+        return;
+      }
+      
+      input.classList.add('field-invalid');
+      
+      const message = document.createElement('div');
+      message.className = 'field-error-message';
+      message.textContent = error.message;
+      input.insertAdjacentElement('afterend', message);
+      
+      // Clear a field's error as soon as it is edited
+      input.addEventListener('input', () => {
+        input.classList.remove('field-invalid');
+        message.remove();
+      }, { once: true });
+    });
+    
+    this.showPersistentError(`
+      <strong>Please fix the following:</strong>
+      <ul>${errors.map(error => `<li>${escapeHtml(error.message)}</li>`).join('')}</ul>
+    `);
+    
+    const firstInvalid = this.form.querySelector('.field-invalid');
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+  }
+
+  // Overlaps need an explicit override, offered as a checkbox in the error area.
+  // Checking it confirms this overlap until the dates change or the form is closed
+  showOverlapWarning(overlaps, overlapKey) {
+    const items = overlaps.map(contract =>
+      `<li>${escapeHtml(contract.hospital_name || 'Unnamed')} (${contract.start_date} → ${contract.end_date || 'Ongoing'})</li>`
+    ).join('');
+    
+    this.showPersistentError(`
+      <strong>These dates overlap ${overlaps.length === 1 ? 'another contract' : `${overlaps.length} other contracts`}:</strong>
+      <ul>${items}</ul>
+      <label class="overlap-override">
+        <input type="checkbox" id="contract-overlap-override">
+        This overlap is intentional (PRN or per diem work). Check this and save again.
+      </label>
+    `);
+    
+    document.getElementById('contract-overlap-override')?.addEventListener('change', (e) => {
+      this.overlapConfirmedFor = e.target.checked ? overlapKey : null;
+    });
+  }
+
+  // Validation messages stay until fixed rather than fading like other messages
+  showPersistentError(html) {
+    const errorDiv = document.getElementById('contract-error');
+    if (!errorDiv) {
+      return;
+    }
+    clearTimeout(this.errorTimeout);
+    errorDiv.innerHTML = html;
+    errorDiv.classList.add('validation-errors');
+    errorDiv.style.display = 'block';
+  }
+
+  clearValidationErrors() {
+    if (!this.form) {
+      return;
+    }
+    
+    this.form.querySelectorAll('.field-invalid').forEach(input => input.classList.remove('field-invalid'));
+    this.form.querySelectorAll('.field-error-message').forEach(message => message.remove());
+    
+    const errorDiv = document.getElementById('contract-error');
+    if (errorDiv && errorDiv.classList.contains('validation-errors')) {
+      errorDiv.classList.remove('validation-errors');
+      errorDiv.innerHTML = '';
+      errorDiv.style.display = 'none';
+    }
+  }
+
   clearForm() {
+    this.addressFromMap = false;
     
     // Clear all input fields
     const inputs = this.form.querySelectorAll('input[type="text"], input[type="date"], input[type="number"]');
@@ -413,6 +995,9 @@ class ContractFormController {
       titleEl.textContent = 'New Contract';
     }
     
+    this.updatePaySummary();
+    this.updateTaxHomeWarning();
+    
     // Log clear operation instead of updating debug area
     
   }
@@ -424,8 +1009,15 @@ class ContractFormController {
     
     this.currentMode = 'edit';
     this.updateDebugInfo();
+    this.clearValidationErrors();
     this.populateFormBasic(this.currentContract);
     this.setEditMode();
+    this.enableMapPicking();
+    
+    // Extensions and cancellations are recorded from display mode
+    if (window.contractLifecycle) {
+      window.contractLifecycle.hide();
+    }
   }
 
 
@@ -438,6 +1030,9 @@ class ContractFormController {
       return;
     }
     
+    if (!this.confirmTaxHomeDistance(formData)) {
+      return;
+    }
     
     // Save to database
     const user = window.auth?.getCurrentUser();
@@ -474,6 +1069,9 @@ class ContractFormController {
       return;
     }
     
+    if (!this.confirmTaxHomeDistance(formData)) {
+      return;
+    }
     
     // Update in database
     const user = window.auth?.getCurrentUser();
@@ -519,7 +1117,13 @@ class ContractFormController {
 
     // Confirm deletion
     const hospitalName = this.currentContract.hospital_name || 'Unknown Hospital';
-    const confirmMessage = `⚠️ Are you sure you want to DELETE this contract?\n\nHospital: ${hospitalName}\n\nThis action CANNOT be undone!`;
+    const extensionCount = window.ContractLifecycle && window.logbookApp
+      ? window.ContractLifecycle.getExtensions(this.currentContract, window.logbookApp.contracts).length
+      : 0;
+    const extensionNote = extensionCount > 0
+      ? `\n\nIts ${extensionCount} extension${extensionCount === 1 ? '' : 's'} will be deleted too.`
+      : '';
+    const confirmMessage = `⚠️ Are you sure you want to DELETE this contract?\n\nHospital: ${hospitalName}${extensionNote}\n\nThis action CANNOT be undone!`;
     
     const userConfirmed = confirm(confirmMessage);
     
@@ -574,6 +1178,14 @@ class ContractFormController {
   }
 
   closeForm() {
+    this.clearValidationErrors();
+    this.disableMapPicking();
+    if (window.documentVault) {
+      window.documentVault.hide();
+    }
+    if (window.contractLifecycle) {
+      window.contractLifecycle.hide();
+    }
     if (this.slideout) {
       this.slideout.classList.remove('open');
     }
@@ -1,45 +1,55 @@
 // Database utility functions for Travel Nurse Logbook
+// All storage goes through the backend adapter chosen in backend.js
 
 class Database {
     constructor() {
-        this.client = window.supabaseClient;
+        this.backend = window.backend;
     }
 
     // User Profile Functions
     async getUserProfile(userId) {
         try {
-            const { data, error } = await this.client
-                .from('user_profiles')
-                .select('*')
-                .eq('user_id', userId)
-                .single();
-
-            if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-                throw error;
+            const { data, error } = await this.backend.select('user_profiles', {
+                filters: { user_id: userId },
+                maybeSingle: true
+            });
+
+            if (error) throw error;
+
+            if (data) {
+                await this.mirror(store => store.putProfile(data));
             }
 
             return { success: true, data };
         } catch (error) {
+            if (this.isOffline(error)) {
+                return this.readOffline(store => store.getProfile(userId));
+            }
             return { success: false, error: error.message };
         }
     }
 
     async updateUserProfile(userId, profileData) {
+        if (this.isOffline()) {
+            return this.queueProfileUpdate(userId, profileData);
+        }
+
         try {
-            const { data, error } = await this.client
-                .from('user_profiles')
-                .upsert({
-                    user_id: userId,
-                    ...profileData,
-                    updated_at: new Date().toISOString()
-                })
-                .select()
-                .single();
+            const { data, error } = await this.backend.upsert('user_profiles', {
+                user_id: userId,
+                ...profileData,
+                updated_at: new Date().toISOString()
+            }, { single: true });
 
             if (error) throw error;
 
+            await this.mirror(store => store.putProfile(data));
+
             return { success: true, data };
         } catch (error) {
+            if (this.isOffline(error)) {
+                return this.queueProfileUpdate(userId, profileData);
+            }
             return { success: false, error: error.message };
         }
     }
@@ -47,99 +57,208 @@ class Database {
     // Contract Functions
     async getContracts(userId) {
         try {
-            const { data, error } = await this.client
-                .from('contracts')
-                .select('*')
-                .eq('user_id', userId)
-                .order('start_date', { ascending: false });
+            // Send changes made offline first so the server copy is current
+            if (window.syncManager) {
+                await window.syncManager.sync();
+            }
+
+            const { data, error } = await this.backend.select('contracts', {
+                filters: { user_id: userId },
+                order: { column: 'start_date', ascending: false }
+            });
 
             if (error) throw error;
 
+            await this.mirror(store => store.replaceContracts(userId, data || []));
+
             return { success: true, data: data || [] };
         } catch (error) {
+            if (this.isOffline(error)) {
+                return this.readOffline(store => store.getContracts(userId));
+            }
             return { success: false, error: error.message };
         }
     }
 
     async getContract(contractId, userId) {
         try {
-            const { data, error } = await this.client
-                .from('contracts')
-                .select('*')
-                .eq('id', contractId)
-                .eq('user_id', userId)
-                .single();
+            const { data, error } = await this.backend.select('contracts', {
+                filters: { id: contractId, user_id: userId },
+                single: true
+            });
 
             if (error) throw error;
 
             return { success: true, data };
         } catch (error) {
+            if (this.isOffline(error)) {
+                return this.readOffline(store => store.getContract(contractId, userId));
+            }
             return { success: false, error: error.message };
         }
     }
 
     async createContract(userId, contractData) {
+        if (this.isOffline()) {
+            return this.queueContractCreate(userId, contractData);
+        }
+
         try {
-            const { data, error } = await this.client
-                .from('contracts')
-                .insert({
-                    user_id: userId,
-                    ...contractData
-                })
-                .select()
-                .single();
+            const { data, error } = await this.backend.insert('contracts', {
+                user_id: userId,
+                ...contractData
+            }, { single: true });
 
             if (error) throw error;
 
+            await this.mirror(store => store.putContract(data));
+
             return { success: true, data };
         } catch (error) {
+            if (this.isOffline(error)) {
+                return this.queueContractCreate(userId, contractData);
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Insert several contracts in one request (used by the CSV importer)
+    async createContracts(userId, contractsData) {
+        if (this.isOffline()) {
+            return this.queueContractCreates(userId, contractsData);
+        }
+
+        try {
+            const { data, error } = await this.backend.insert('contracts', contractsData.map(contractData => ({
+                user_id: userId,
+                ...contractData
+            })));
+
+            if (error) throw error;
+
+            await this.mirror(store => Promise.all(data.map(contract => store.putContract(contract))));
+
+            return { success: true, data };
+        } catch (error) {
+            if (this.isOffline(error)) {
+                return this.queueContractCreates(userId, contractsData);
+            }
             return { success: false, error: error.message };
         }
     }
 
     async updateContract(contractId, userId, contractData) {
+        if (this.isOffline()) {
+            return this.queueContractUpdate(contractId, userId, contractData);
+        }
+
         try {
-            const { data, error } = await this.client
-                .from('contracts')
-                .update({
-                    ...contractData,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', contractId)
-                .eq('user_id', userId)
-                .select()
-                .single();
+            const { data, error } = await this.backend.update('contracts', {
+                ...contractData,
+                updated_at: new Date().toISOString()
+            }, { id: contractId, user_id: userId }, { single: true });
 
             if (error) throw error;
 
+            await this.mirror(store => store.putContract(data));
+
             return { success: true, data };
         } catch (error) {
+            if (this.isOffline(error)) {
+                return this.queueContractUpdate(contractId, userId, contractData);
+            }
             return { success: false, error: error.message };
         }
     }
 
     async deleteContract(contractId, userId) {
+        if (this.isOffline()) {
+            return this.queueContractDelete(contractId, userId);
+        }
+
         try {
-            const { error } = await this.client
-                .from('contracts')
-                .delete()
-                .eq('id', contractId)
-                .eq('user_id', userId);
+            const { error } = await this.backend.remove('contracts', { id: contractId, user_id: userId });
 
             if (error) throw error;
 
+            await this.mirror(store => store.deleteContract(contractId));
+
             return { success: true };
         } catch (error) {
+            if (this.isOffline(error)) {
+                return this.queueContractDelete(contractId, userId);
+            }
             return { success: false, error: error.message };
         }
     }
 
     async deleteAllContracts(userId) {
+        if (this.isOffline()) {
+            return { success: false, error: 'You are offline. Removing all contracts needs a connection.' };
+        }
+
+        try {
+            const { error } = await this.backend.remove('contracts', { user_id: userId });
+
+            if (error) throw error;
+
+            await this.mirror(store => store.replaceContracts(userId, []));
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // License Functions
+    async getLicenses(userId) {
+        try {
+            const { data, error } = await this.backend.select('licenses', {
+                filters: { user_id: userId },
+                order: { column: 'expiry_date', ascending: true }
+            });
+
+            if (error) throw error;
+
+            return { success: true, data: data || [] };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createLicense(userId, licenseData) {
+        try {
+            const { data, error } = await this.backend.insert('licenses', {
+                user_id: userId,
+                ...licenseData
+            }, { single: true });
+
+            if (error) throw error;
+
+            return { success: true, data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async updateLicense(licenseId, userId, licenseData) {
+        try {
+            const { data, error } = await this.backend.update('licenses', {
+                ...licenseData,
+                updated_at: new Date().toISOString()
+            }, { id: licenseId, user_id: userId }, { single: true });
+
+            if (error) throw error;
+
+            return { success: true, data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteLicense(licenseId, userId) {
         try {
-            const { error } = await this.client
-                .from('contracts')
-                .delete()
-                .eq('user_id', userId);
+            const { error } = await this.backend.remove('licenses', { id: licenseId, user_id: userId });
 
             if (error) throw error;
 
@@ -152,12 +271,10 @@ class Database {
     // Contract Document Functions  
     async getContractDocuments(contractId, userId) {
         try {
-            const { data, error } = await this.client
-                .from('contract_documents')
-                .select('*')
-                .eq('contract_id', contractId)
-                .eq('user_id', userId)
-                .order('created_at', { ascending: false });
+            const { data, error } = await this.backend.select('contract_documents', {
+                filters: { contract_id: contractId, user_id: userId },
+                order: { column: 'created_at', ascending: false }
+            });
 
             if (error) throw error;
 
@@ -167,37 +284,44 @@ class Database {
         }
     }
 
-    async uploadContractDocument(contractId, userId, file, documentType = 'other') {
+    // Document metadata for every contract (used for backups)
+    async getUserDocuments(userId) {
+        try {
+            const { data, error } = await this.backend.select('contract_documents', {
+                filters: { user_id: userId },
+                order: { column: 'created_at', ascending: false }
+            });
+
+            if (error) throw error;
+
+            return { success: true, data: data || [] };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async uploadContractDocument(contractId, userId, file, documentType = 'other', onProgress = null) {
         try {
             // Generate unique file name
             const fileExt = file.name.split('.').pop();
             const fileName = `${Date.now()}_${Math.random().toString(36).substring(2)}.${fileExt}`;
             const filePath = `contracts/${contractId}/${fileName}`;
 
-            // Upload file to Supabase Storage
-            const { data: uploadData, error: uploadError } = await this.client.storage
-                .from('documents')
-                .upload(filePath, file, {
-                    cacheControl: '3600',
-                    upsert: false
-                });
+            // Upload file to the documents bucket, reporting progress when asked
+            const { error: uploadError } = await this.backend.uploadFile('documents', filePath, file, { onProgress });
 
             if (uploadError) throw uploadError;
 
             // Save document metadata to database
-            const { data, error } = await this.client
-                .from('contract_documents')
-                .insert({
-                    contract_id: contractId,
-                    user_id: userId,
-                    file_name: file.name,
-                    file_path: filePath,
-                    file_type: file.type,
-                    file_size: file.size,
-                    document_type: documentType
-                })
-                .select()
-                .single();
+            const { data, error } = await this.backend.insert('contract_documents', {
+                contract_id: contractId,
+                user_id: userId,
+                file_name: file.name,
+                file_path: filePath,
+                file_type: file.type,
+                file_size: file.size,
+                document_type: documentType
+            }, { single: true });
 
             if (error) throw error;
 
@@ -210,30 +334,23 @@ class Database {
     async deleteContractDocument(documentId, userId) {
         try {
             // First get the document to find the file path
-            const { data: document, error: fetchError } = await this.client
-                .from('contract_documents')
-                .select('file_path')
-                .eq('id', documentId)
-                .eq('user_id', userId)
-                .single();
+            const { data: document, error: fetchError } = await this.backend.select('contract_documents', {
+                columns: 'file_path',
+                filters: { id: documentId, user_id: userId },
+                single: true
+            });
 
             if (fetchError) throw fetchError;
 
             // Delete file from storage
-            const { error: storageError } = await this.client.storage
-                .from('documents')
-                .remove([document.file_path]);
+            const { error: storageError } = await this.backend.removeFiles('documents', [document.file_path]);
 
             if (storageError) {
                 // Continue with database deletion even if storage deletion fails
             }
 
             // Delete document record from database
-            const { error } = await this.client
-                .from('contract_documents')
-                .delete()
-                .eq('id', documentId)
-                .eq('user_id', userId);
+            const { error } = await this.backend.remove('contract_documents', { id: documentId, user_id: userId });
 
             if (error) throw error;
 
@@ -245,9 +362,7 @@ class Database {
 
     async getDocumentUrl(filePath) {
         try {
-            const { data, error } = await this.client.storage
-                .from('documents')
-                .createSignedUrl(filePath, 3600); // 1 hour expiry
+            const { data, error } = await this.backend.getFileUrl('documents', filePath, 3600); // 1 hour expiry
 
             if (error) throw error;
 
@@ -256,6 +371,187 @@ class Database {
             return { success: false, error: error.message };
         }
     }
+
+    // Offline Support
+
+    // Offline when the browser says so, or when a request never reached Supabase
+    isOffline(error = null) {
+        // The local backend never needs the network
+        if (this.backend.type === 'local') {
+            return false;
+        }
+        if (!navigator.onLine) {
+            return true;
+        }
+        const message = error ? String(error.message || error) : '';
+        return /Failed to fetch|NetworkError|Load failed/i.test(message);
+    }
+
+    // Keep the local mirror current; a mirror failure never fails the server call
+    async mirror(action) {
+        if (!window.offlineStore) {
+            return;
+        }
+        try {
+            await action(window.offlineStore);
+        } catch (error) {
+            console.warn('Offline mirror update failed:', error);
+        }
+    }
+
+    async readOffline(loader) {
+        if (!window.offlineStore) {
+            return { success: false, error: 'You are offline and no local copy is available' };
+        }
+        try {
+            return { success: true, data: await loader(window.offlineStore), offline: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Save a change locally and queue it for the server
+    async queueOffline(apply) {
+        if (!window.offlineStore) {
+            return { success: false, error: 'You are offline and changes cannot be saved on this device' };
+        }
+        try {
+            const data = await apply(window.offlineStore, new Date().toISOString());
+            if (window.syncManager) {
+                window.syncManager.updateIndicator();
+            }
+            return { success: true, data, queued: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    queueProfileUpdate(userId, profileData) {
+        return this.queueOffline(async (store, now) => {
+            const existing = await store.getProfile(userId);
+            const profile = { ...existing, user_id: userId, ...profileData, updated_at: now };
+            await store.putProfile(profile);
+            await store.queueChange({
+                table: 'user_profiles',
+                action: 'upsert',
+                user_id: userId,
+                record_id: userId,
+                data: { ...profileData, updated_at: now }
+            });
+            return profile;
+        });
+    }
+
+    queueContractCreate(userId, contractData) {
+        return this.queueOffline(async (store, now) => {
+            // Client-side id so the contract keeps it once synced and can be edited meanwhile
+            const contract = {
+                id: contractData.id || crypto.randomUUID(),
+                user_id: userId,
+                ...contractData,
+                created_at: now,
+                updated_at: now
+            };
+            await store.putContract(contract);
+            await store.queueChange({
+                table: 'contracts',
+                action: 'create',
+                user_id: userId,
+                record_id: contract.id,
+                data: contract
+            });
+            return contract;
+        });
+    }
+
+    async queueContractCreates(userId, contractsData) {
+        const created = [];
+        for (const contractData of contractsData) {
+            const result = await this.queueContractCreate(userId, contractData);
+            if (!result.success) {
+                return result;
+            }
+            created.push(result.data);
+        }
+        return { success: true, data: created, queued: true };
+    }
+
+    queueContractUpdate(contractId, userId, contractData) {
+        return this.queueOffline(async (store, now) => {
+            const existing = await store.getContract(contractId, userId);
+            const contract = { ...existing, ...contractData, id: contractId, user_id: userId, updated_at: now };
+            await store.putContract(contract);
+            await store.queueChange({
+                table: 'contracts',
+                action: 'update',
+                user_id: userId,
+                record_id: contractId,
+                data: { ...contractData, updated_at: now }
+            });
+            return contract;
+        });
+    }
+
+    queueContractDelete(contractId, userId) {
+        return this.queueOffline(async (store) => {
+            await store.deleteContract(contractId);
+            await store.queueChange({
+                table: 'contracts',
+                action: 'delete',
+                user_id: userId,
+                record_id: contractId
+            });
+            return null;
+        });
+    }
+
+    // Send one queued change to Supabase. Conflicts are resolved by updated_at:
+    // when the server copy changed after the offline edit, the server copy wins.
+    async applyQueuedChange(change) {
+        try {
+            const idColumn = change.table === 'user_profiles' ? 'user_id' : 'id';
+
+            if (change.action !== 'create') {
+                const { data: current, error } = await this.backend.select(change.table, {
+                    columns: 'updated_at',
+                    filters: { [idColumn]: change.record_id, user_id: change.user_id },
+                    maybeSingle: true
+                });
+
+                if (error) throw error;
+
+                const localTime = Date.parse(change.action === 'delete' ? change.queued_at : change.data.updated_at);
+                const serverTime = current && current.updated_at ? Date.parse(current.updated_at) : 0;
+
+                if (!current && change.action !== 'upsert') {
+                    return { success: true, conflict: 'deleted elsewhere' };
+                }
+                if (serverTime > localTime) {
+                    return { success: true, conflict: 'changed elsewhere after this edit' };
+                }
+            }
+
+            const filters = { id: change.record_id, user_id: change.user_id };
+            let request;
+            if (change.action === 'create') {
+                // Upsert so a create that reached the server before a dropped connection is not duplicated
+                request = this.backend.upsert('contracts', change.data, { returning: false });
+            } else if (change.action === 'upsert') {
+                request = this.backend.upsert('user_profiles', { user_id: change.user_id, ...change.data }, { returning: false });
+            } else if (change.action === 'update') {
+                request = this.backend.update('contracts', change.data, filters, { returning: false });
+            } else {
+                request = this.backend.remove('contracts', filters);
+            }
+
+            const { error } = await request;
+            if (error) throw error;
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message, offline: this.isOffline(error) };
+        }
+    }
 }
 
 // Initialize database when DOM is loaded
@@ -0,0 +1,328 @@
+/**
+ * Document Vault
+ * Manages the documents attached to a contract inside the contract slideout
+ */
+
+class DocumentVault {
+  constructor() {
+    this.contract = null;
+    this.documents = [];
+    this.initialized = false;
+    this.maxFileSize = 10 * 1024 * 1024; // 10 MB
+    this.documentTypeLabels = {
+      contract: 'Contract',
+      pay_stub: 'Pay Stub',
+      housing_lease: 'Housing Lease',
+      license: 'License',
+      certification: 'Certification',
+      timesheet: 'Timesheet',
+      other: 'Other'
+    };
+  }
+
+  // Bind event handlers once the contract form component is in the DOM
+  initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    const dropzone = document.getElementById('document-dropzone');
+    const fileInput = document.getElementById('document-file-input');
+
+    if (!dropzone || !fileInput) {
+      return false;
+    }
+
+    dropzone.addEventListener('click', () => fileInput.click());
+
+    // Stop clicks on the hidden input from re-opening the picker
+    fileInput.addEventListener('click', (e) => e.stopPropagation());
+
+    fileInput.addEventListener('change', () => {
+      this.uploadFiles(Array.from(fileInput.files));
+      fileInput.value = '';
+    });
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+      dropzone.addEventListener(eventName, (e) => {
+        e.preventDefault();
+        dropzone.classList.add('drag-over');
+      });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+      dropzone.addEventListener(eventName, (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('drag-over');
+      });
+    });
+
+    dropzone.addEventListener('drop', (e) => {
+      this.uploadFiles(Array.from(e.dataTransfer.files));
+    });
+
+    this.initialized = true;
+    return true;
+  }
+
+  // Show the documents section for a saved contract and load its files
+  async showForContract(contract) {
+    const section = document.querySelector('.contract-documents-section');
+    if (!section || !contract || !contract.id) {
+      this.hide();
+      return;
+    }
+
+    this.initialize();
+    this.contract = contract;
+    section.style.display = 'block';
+    this.closePreview();
+    await this.loadDocuments();
+  }
+
+  // Hide the documents section (new contracts have nothing to attach to yet)
+  hide() {
+    const section = document.querySelector('.contract-documents-section');
+    if (section) {
+      section.style.display = 'none';
+    }
+
+    this.contract = null;
+    this.documents = [];
+    this.closePreview();
+    this.renderDocuments();
+  }
+
+  getUserId() {
+    const user = window.auth?.getCurrentUser();
+    return user ? user.id : null;
+  }
+
+  // Fetch document metadata for the current contract
+  async loadDocuments() {
+    const userId = this.getUserId();
+    if (!this.contract || !userId || !window.database) {
+      return;
+    }
+
+    const contractId = this.contract.id;
+    const result = await window.database.getContractDocuments(contractId, userId);
+
+    // Ignore the response if another contract was opened while loading
+    if (!this.contract || this.contract.id !== contractId) {
+      return;
+    }
+
+    if (result.success) {
+      this.documents = result.data;
+    } else {
+      this.documents = [];
+      this.showError('Failed to load documents: ' + result.error);
+    }
+
+    this.renderDocuments();
+  }
+
+  // Validate and upload files one by one with a shared progress bar
+  async uploadFiles(files) {
+    const userId = this.getUserId();
+    if (!this.contract || !userId) {
+      this.showError('Save the contract before attaching documents');
+      return;
+    }
+
+    const documentType = document.getElementById('document-type')?.value || 'other';
+    const validFiles = files.filter(file => {
+      if (file.size > this.maxFileSize) {
+        this.showError(`${file.name} is larger than 10 MB and was skipped`);
+        return false;
+      }
+      return true;
+    });
+
+    if (validFiles.length === 0) {
+      return;
+    }
+
+    let failCount = 0;
+
+    for (const [index, file] of validFiles.entries()) {
+      const label = `Uploading ${file.name} (${index + 1}/${validFiles.length})`;
+      this.updateProgress(label, 0);
+
+      const result = await window.database.uploadContractDocument(
+        this.contract.id,
+        userId,
+        file,
+        documentType,
+        (percent) => this.updateProgress(label, percent)
+      );
+
+      if (!result.success) {
+        failCount++;
+        this.showError(`Failed to upload ${file.name}: ${result.error}`);
+      }
+    }
+
+    this.hideProgress();
+
+    if (failCount === 0) {
+      this.showSuccess(`${validFiles.length} document${validFiles.length === 1 ? '' : 's'} uploaded`);
+    }
+
+    await this.loadDocuments();
+  }
+
+  updateProgress(label, percent) {
+    const container = document.getElementById('document-upload-progress');
+    const labelEl = document.getElementById('document-progress-label');
+    const bar = document.getElementById('document-progress-bar');
+
+    if (container) container.style.display = 'block';
+    if (labelEl) labelEl.textContent = `${label} - ${percent}%`;
+    if (bar) bar.style.width = `${percent}%`;
+  }
+
+  hideProgress() {
+    const container = document.getElementById('document-upload-progress');
+    if (container) {
+      container.style.display = 'none';
+    }
+  }
+
+  // Render the document list for the current contract
+  renderDocuments() {
+    const list = document.getElementById('document-list');
+    const count = document.getElementById('document-count');
+
+    if (count) {
+      count.textContent = this.documents.length > 0 ? `(${this.documents.length})` : '';
+    }
+
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = '';
+
+    if (this.documents.length === 0) {
+      list.innerHTML = '<div class="document-empty">No documents attached yet</div>';
+      return;
+    }
+
+    this.documents.forEach(doc => {
+      const item = document.createElement('div');
+      item.className = 'document-item';
+      item.innerHTML = `
+        <div class="document-info">
+          <div class="document-name">${escapeHtml(doc.file_name || 'Untitled')}</div>
+          <div class="document-meta">
+            <span class="document-type-badge">${escapeHtml(this.documentTypeLabels[doc.document_type] || doc.document_type || 'Other')}</span>
+            ${this.formatFileSize(doc.file_size)} · ${doc.created_at ? new Date(doc.created_at).toLocaleDateString() : ''}
+          </div>
+        </div>
+        <div class="document-actions">
+          <button type="button" class="document-preview-btn">Preview</button>
+          <button type="button" class="document-delete-btn">Delete</button>
+        </div>
+      `;
+
+      item.querySelector('.document-preview-btn').addEventListener('click', () => this.previewDocument(doc));
+      item.querySelector('.document-delete-btn').addEventListener('click', () => this.deleteDocument(doc));
+
+      list.appendChild(item);
+    });
+  }
+
+  // Show a document inline using a short-lived signed URL
+  async previewDocument(doc) {
+    const preview = document.getElementById('document-preview');
+    if (!preview) {
+      return;
+    }
+
+    const result = await window.database.getDocumentUrl(doc.file_path);
+    if (!result.success) {
+      this.showError('Failed to open document: ' + result.error);
+      return;
+    }
+
+    const fileType = doc.file_type || '';
+    let content;
+
+    if (fileType.startsWith('image/')) {
+      content = `<img src="${result.url}" alt="${escapeHtml(doc.file_name || 'Document preview')}">`;
+    } else if (fileType === 'application/pdf') {
+      content = `<iframe src="${result.url}" title="${escapeHtml(doc.file_name || 'Document preview')}"></iframe>`;
+    } else {
+      content = '<div class="document-empty">Preview is not available for this file type</div>';
+    }
+
+    preview.innerHTML = `
+      <div class="document-preview-header">
+        <span>${escapeHtml(doc.file_name || 'Document')}</span>
+        <a href="${result.url}" target="_blank" rel="noopener">Open in new tab</a>
+        <button type="button" class="document-preview-close">Close</button>
+      </div>
+      ${content}
+    `;
+    preview.querySelector('.document-preview-close').addEventListener('click', () => this.closePreview());
+    preview.style.display = 'block';
+  }
+
+  closePreview() {
+    const preview = document.getElementById('document-preview');
+    if (preview) {
+      preview.innerHTML = '';
+      preview.style.display = 'none';
+    }
+  }
+
+  async deleteDocument(doc) {
+    const userId = this.getUserId();
+    if (!userId) {
+      return;
+    }
+
+    const confirmed = confirm(`Delete ${doc.file_name}?\n\nThis action CANNOT be undone!`);
+    if (!confirmed) {
+      return;
+    }
+
+    const result = await window.database.deleteContractDocument(doc.id, userId);
+
+    if (result.success) {
+      this.closePreview();
+      this.showSuccess('Document deleted');
+      await this.loadDocuments();
+    } else {
+      this.showError('Failed to delete document: ' + result.error);
+    }
+  }
+
+  formatFileSize(bytes) {
+    if (!bytes) {
+      return '0 KB';
+    }
+    if (bytes < 1024 * 1024) {
+      return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // Messages share the contract form's message area
+  showError(message) {
+    if (window.contractForm) {
+      window.contractForm.showContractError(message);
+    }
+  }
+
+  showSuccess(message) {
+    if (window.contractForm) {
+      window.contractForm.showContractSuccess(message);
+    }
+  }
+}
+
+// Create global instance
+window.documentVault = new DocumentVault();
@@ -0,0 +1,288 @@
+/**
+ * Logbook Exporter
+ * Exports the logbook as CSV, a versioned JSON backup or a printable work-history report
+ */
+
+class LogbookExporter {
+  constructor() {
+    // Identifies backup files; bump the version when the backup layout changes
+    this.backupFormat = 'travel-nurse-logbook-backup';
+    this.backupVersion = 2; // 2 added licenses
+    this.initialized = false;
+  }
+
+  // Bind the export menu in the contract list header
+  initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    const menuButton = document.getElementById('export-menu-btn');
+    const menu = document.getElementById('export-menu');
+    if (!menuButton || !menu) {
+      return;
+    }
+
+    menuButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.classList.toggle('open');
+    });
+
+    menu.querySelectorAll('button[data-export]').forEach(button => {
+      button.addEventListener('click', async () => {
+        menu.classList.remove('open');
+        await this.runExport(button.dataset.export, menuButton);
+      });
+    });
+
+    // Close the menu when clicking anywhere else
+    document.addEventListener('click', () => menu.classList.remove('open'));
+
+    this.initialized = true;
+  }
+
+  async runExport(type, button) {
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Exporting...';
+
+    let result;
+    if (type === 'csv') {
+      result = await this.exportCsv();
+    } else if (type === 'json') {
+      result = await this.exportJson();
+    } else if (type === 'report') {
+      result = await this.printReport();
+    } else {
+      result = { success: false, error: `Unknown export type: ${type}` };
+    }
+
+    button.disabled = false;
+    button.textContent = originalText;
+
+    if (!result.success) {
+      alert('Export failed: ' + result.error);
+    }
+
+    return result;
+  }
+
+  getUserId() {
+    const user = window.auth?.getCurrentUser();
+    return user ? user.id : null;
+  }
+
+  // Fetch fresh contracts rather than the possibly re-sorted list on screen
+  async loadContracts(userId) {
+    const result = await window.database.getContracts(userId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  }
+
+  //===========================================================================
+  // CSV
+  //===========================================================================
+
+  // Columns match the importer's field labels so exports can be imported again
+  buildCsv(contracts) {
+    const fields = window.ContractCsv.fields;
+    const lines = [fields.map(field => this.csvValue(field.label)).join(',')];
+
+    contracts.forEach(contract => {
+      lines.push(fields.map(field => this.csvValue(contract[field.key])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // Quote values containing separators, quotes or line breaks
+  csvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async exportCsv() {
+    try {
+      const userId = this.getUserId();
+      if (!userId) throw new Error('No authenticated user found');
+
+      const contracts = await this.loadContracts(userId);
+      this.download(this.buildCsv(contracts), this.fileName('contracts', 'csv'), 'text/csv;charset=utf-8');
+
+      return { success: true, count: contracts.length };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  //===========================================================================
+  // JSON BACKUP
+  //===========================================================================
+
+  // Everything needed to rebuild the logbook; document files themselves stay in storage
+  async buildBackup(userId) {
+    const [contracts, profileResult, licensesResult, documentsResult] = await Promise.all([
+      this.loadContracts(userId),
+      window.database.getUserProfile(userId),
+      window.database.getLicenses(userId),
+      window.database.getUserDocuments(userId)
+    ]);
+
+    if (!profileResult.success) throw new Error(profileResult.error);
+    if (!licensesResult.success) throw new Error(licensesResult.error);
+    if (!documentsResult.success) throw new Error(documentsResult.error);
+
+    return {
+      format: this.backupFormat,
+      version: this.backupVersion,
+      exported_at: new Date().toISOString(),
+      profile: profileResult.data || null,
+      contracts,
+      licenses: licensesResult.data,
+      documents: documentsResult.data
+    };
+  }
+
+  async exportJson() {
+    try {
+      const userId = this.getUserId();
+      if (!userId) throw new Error('No authenticated user found');
+
+      const backup = await this.buildBackup(userId);
+      this.download(JSON.stringify(backup, null, 2), this.fileName('backup', 'json'), 'application/json');
+
+      return { success: true, count: backup.contracts.length };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  //===========================================================================
+  // WORK HISTORY REPORT
+  //===========================================================================
+
+  formatReportDate(value) {
+    if (!value) return '';
+    // Date-only strings are parsed as UTC; format them in UTC too so the day does not shift
+    return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  buildReportHtml(contracts, profile, email) {
+    const name = profile?.full_name ||
+      [profile?.first_name, profile?.last_name].filter(Boolean).join(' ') ||
+      email || 'Travel Nurse';
+
+    const sorted = [...contracts].sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
+    const totalWeeks = sorted.reduce((total, contract) => total + window.PayPackage.contractWeeks(contract), 0);
+
+    const rows = sorted.map(contract => `
+        <tr>
+          <td>
+            <strong>${escapeHtml(contract.hospital_name || '')}</strong>
+            <div class="address">${escapeHtml(contract.address || '')}</div>
+          </td>
+          <td>${escapeHtml(contract.agency || '')}</td>
+          <td>${this.formatReportDate(contract.start_date)}</td>
+          <td>${this.formatReportDate(contract.end_date)}</td>
+          <td class="number">${Math.round(window.PayPackage.contractWeeks(contract))}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Work History - ${escapeHtml(name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 32px; }
+    h1 { margin: 0 0 4px 0; font-size: 1.6em; }
+    .meta { color: #555; margin-bottom: 20px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+    th, td { text-align: left; padding: 8px 6px; border-bottom: 1px solid #ccc; vertical-align: top; }
+    th { background: #f0f0f0; }
+    .address { color: #555; font-size: 0.9em; }
+    .number { text-align: right; }
+    .print-actions { margin-bottom: 20px; }
+    @media print {
+      body { margin: 0; }
+      .print-actions { display: none; }
+      tr { page-break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <div class="print-actions">
+    <button onclick="window.print()">Print / Save as PDF</button>
+  </div>
+  <h1>Work History</h1>
+  <div class="meta">
+    ${escapeHtml(name)}${email ? ` &middot; ${escapeHtml(email)}` : ''}<br>
+    ${sorted.length} assignment${sorted.length === 1 ? '' : 's'} &middot; ${Math.round(totalWeeks)} weeks &middot;
+    Generated ${this.formatReportDate(new Date().toISOString().split('T')[0])}
+  </div>
+  <table>
+    <thead>
+      <tr><th>Facility</th><th>Agency</th><th>Start</th><th>End</th><th class="number">Weeks</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+  }
+
+  // Open the report in a new window and bring up the print dialog
+  async printReport() {
+    // Open the window before awaiting so popup blockers treat it as user-initiated
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+      return { success: false, error: 'Allow pop-ups for this site to open the report' };
+    }
+
+    try {
+      const user = window.auth.getCurrentUser();
+      if (!user) throw new Error('No authenticated user found');
+
+      const contracts = await this.loadContracts(user.id);
+      const profile = window.profileManager ? window.profileManager.getUserProfile() : null;
+
+      reportWindow.document.open();
+      reportWindow.document.write(this.buildReportHtml(contracts, profile, user.email));
+      reportWindow.document.close();
+      reportWindow.focus();
+      reportWindow.print();
+
+      return { success: true, count: contracts.length };
+    } catch (error) {
+      reportWindow.close();
+      return { success: false, error: error.message };
+    }
+  }
+
+  //===========================================================================
+  // HELPERS
+  //===========================================================================
+
+  fileName(kind, extension) {
+    return `travel-nurse-logbook-${kind}-${new Date().toISOString().split('T')[0]}.${extension}`;
+  }
+
+  download(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Create global instance
+window.logbookExporter = new LogbookExporter();
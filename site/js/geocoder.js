@@ -0,0 +1,374 @@
+/**
+ * Geocoding Module
+ * Resolves hospital addresses to coordinates through pluggable providers
+ *
+ * Every provider exposes the same interface:
+ *   name                    - short identifier shown next to candidate matches
+ *   async geocode(query)    - resolves to an array of candidates
+ *   async reverse(lat, lng) - resolves to a single candidate or null (optional)
+ *
+ * A candidate looks like { latitude, longitude, label, source }.
+ */
+
+//=============================================================================
+// NOMINATIM PROVIDER - OpenStreetMap compatible HTTP geocoder
+//=============================================================================
+
+class NominatimProvider {
+  constructor(options = {}) {
+    this.name = 'nominatim';
+    this.baseUrl = options.baseUrl || 'https://nominatim.openstreetmap.org';
+    this.countryCodes = options.countryCodes || 'us,gu,pr,vi,as,mp';
+    this.limit = options.limit || 5;
+  }
+
+  async geocode(query) {
+    const params = new URLSearchParams({
+      q: query,
+      format: 'jsonv2',
+      addressdetails: '1',
+      countrycodes: this.countryCodes,
+      limit: String(this.limit)
+    });
+
+    const response = await fetch(`${this.baseUrl}/search?${params.toString()}`, {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Geocoding request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const results = await response.json();
+
+    return (results || []).map(result => ({
+      latitude: parseFloat(result.lat),
+      longitude: parseFloat(result.lon),
+      label: result.display_name,
+      source: this.name
+    })).filter(candidate => !isNaN(candidate.latitude) && !isNaN(candidate.longitude));
+  }
+
+  async reverse(latitude, longitude) {
+    const params = new URLSearchParams({
+      lat: String(latitude),
+      lon: String(longitude),
+      format: 'jsonv2',
+      zoom: '18'
+    });
+
+    const response = await fetch(`${this.baseUrl}/reverse?${params.toString()}`, {
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Reverse geocoding request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+
+    if (!result || result.error || !result.display_name) {
+      return null;
+    }
+
+    return {
+      latitude: parseFloat(result.lat),
+      longitude: parseFloat(result.lon),
+      label: result.display_name,
+      source: this.name
+    };
+  }
+}
+
+//=============================================================================
+// OFFLINE PROVIDER - Bundled US hospital and ZIP centroid dataset
+//=============================================================================
+
+class OfflineProvider {
+  constructor(options = {}) {
+    this.name = 'offline';
+    this.dataUrl = options.dataUrl || 'data/us_geocode_dataset.json';
+    this.dataset = null; // Loaded lazily on first lookup
+  }
+
+  // Load the bundled dataset once and keep it in memory
+  async loadDataset() {
+    if (this.dataset) {
+      return this.dataset;
+    }
+
+    const response = await fetch(this.dataUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load geocoding dataset: ${response.status} ${response.statusText}`);
+    }
+
+    this.dataset = await response.json();
+    return this.dataset;
+  }
+
+  // Split text into lowercase comparison tokens
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token.length > 1);
+  }
+
+  async geocode(query) {
+    const dataset = await this.loadDataset();
+    const queryTokens = this.tokenize(query);
+    const candidates = [];
+
+    if (queryTokens.length === 0) {
+      return candidates;
+    }
+
+    // Score hospitals by how many query tokens appear in their name or address
+    const scoredHospitals = (dataset.hospitals || []).map(hospital => {
+      const hospitalTokens = new Set(this.tokenize(`${hospital.name} ${hospital.address}`));
+      const matches = queryTokens.filter(token => hospitalTokens.has(token)).length;
+      return { hospital, score: matches / queryTokens.length };
+    }).filter(entry => entry.score >= 0.6);
+
+    scoredHospitals.sort((a, b) => b.score - a.score);
+
+    scoredHospitals.slice(0, 5).forEach(({ hospital }) => {
+      candidates.push({
+        latitude: hospital.latitude,
+        longitude: hospital.longitude,
+        label: `${hospital.name}, ${hospital.address}`,
+        source: this.name
+      });
+    });
+
+    // Fall back to the ZIP centroid when the address carries a known ZIP code
+    const zipMatch = query.match(/\b(\d{5})(?:-\d{4})?\b/);
+    const zipEntry = zipMatch && dataset.zips ? dataset.zips[zipMatch[1]] : null;
+
+    if (zipEntry) {
+      candidates.push({
+        latitude: zipEntry.latitude,
+        longitude: zipEntry.longitude,
+        label: `ZIP ${zipMatch[1]} centroid (${zipEntry.city}, ${zipEntry.state})`,
+        source: this.name
+      });
+    }
+
+    return candidates;
+  }
+
+  // Great-circle distance in kilometers between two points
+  distanceKm(lat1, lng1, lat2, lng2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  async reverse(latitude, longitude) {
+    const dataset = await this.loadDataset();
+
+    // A hospital within a kilometer is almost certainly the intended facility
+    let nearestHospital = null;
+    let nearestHospitalDistance = Infinity;
+    (dataset.hospitals || []).forEach(hospital => {
+      const distance = this.distanceKm(latitude, longitude, hospital.latitude, hospital.longitude);
+      if (distance < nearestHospitalDistance) {
+        nearestHospital = hospital;
+        nearestHospitalDistance = distance;
+      }
+    });
+
+    if (nearestHospital && nearestHospitalDistance <= 1) {
+      return {
+        latitude: nearestHospital.latitude,
+        longitude: nearestHospital.longitude,
+        label: nearestHospital.address,
+        source: this.name
+      };
+    }
+
+    // Otherwise settle for the closest ZIP centroid in the same area
+    let nearestZip = null;
+    let nearestZipDistance = Infinity;
+    Object.entries(dataset.zips || {}).forEach(([zip, entry]) => {
+      const distance = this.distanceKm(latitude, longitude, entry.latitude, entry.longitude);
+      if (distance < nearestZipDistance) {
+        nearestZip = { zip, ...entry };
+        nearestZipDistance = distance;
+      }
+    });
+
+    if (nearestZip && nearestZipDistance <= 30) {
+      return {
+        latitude: nearestZip.latitude,
+        longitude: nearestZip.longitude,
+        label: `${nearestZip.city}, ${nearestZip.state} ${nearestZip.zip}`,
+        source: this.name
+      };
+    }
+
+    return null;
+  }
+}
+
+//=============================================================================
+// GEOCODER - Provider chain with result caching
+//=============================================================================
+
+class Geocoder {
+  constructor(providers = []) {
+    this.providers = providers;
+    this.cacheKey = 'tnl_geocode_cache';
+    this.maxCacheEntries = 200;
+    this.cache = this.loadCache();
+  }
+
+  // Add a provider to the end of the lookup chain
+  registerProvider(provider) {
+    this.providers.push(provider);
+  }
+
+  // Normalize an address so small formatting differences share a cache entry
+  normalizeQuery(query) {
+    return (query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  loadCache() {
+    try {
+      const stored = localStorage.getItem(this.cacheKey);
+      return new Map(stored ? JSON.parse(stored) : []);
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  saveCache() {
+    try {
+      // Drop the oldest entries once the cache grows past its limit
+      const entries = Array.from(this.cache.entries()).slice(-this.maxCacheEntries);
+      localStorage.setItem(this.cacheKey, JSON.stringify(entries));
+    } catch (error) {
+      // Storage may be full or unavailable - the in-memory cache still works
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+    localStorage.removeItem(this.cacheKey);
+  }
+
+  // Resolve an address to candidate coordinates, trying each provider in order
+  async geocode(address) {
+    const query = this.normalizeQuery(address);
+
+    if (!query) {
+      return { success: false, error: 'Address is required' };
+    }
+
+    if (this.cache.has(query)) {
+      return { success: true, data: this.cache.get(query), cached: true };
+    }
+
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      try {
+        const candidates = await provider.geocode(address.trim());
+
+        if (candidates.length > 0) {
+          this.cache.set(query, candidates);
+          this.saveCache();
+          return { success: true, data: candidates, cached: false };
+        }
+      } catch (error) {
+        // Remember the failure and move on to the next provider
+        lastError = error;
+        console.warn(`⚠️ Geocoding provider "${provider.name}" failed:`, error.message);
+      }
+    }
+
+    if (lastError) {
+      return { success: false, error: lastError.message };
+    }
+
+    return { success: true, data: [], cached: false };
+  }
+
+  // Resolve coordinates to the nearest known address
+  async reverseGeocode(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (isNaN(lat) || isNaN(lng)) {
+      return { success: false, error: 'Valid coordinates are required' };
+    }
+
+    const query = `reverse:${lat.toFixed(4)},${lng.toFixed(4)}`;
+
+    if (this.cache.has(query)) {
+      return { success: true, data: this.cache.get(query), cached: true };
+    }
+
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      // Reverse lookups are optional for providers
+      if (typeof provider.reverse !== 'function') {
+        continue;
+      }
+
+      try {
+        const candidate = await provider.reverse(lat, lng);
+
+        if (candidate) {
+          this.cache.set(query, candidate);
+          this.saveCache();
+          return { success: true, data: candidate, cached: false };
+        }
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️ Reverse geocoding provider "${provider.name}" failed:`, error.message);
+      }
+    }
+
+    if (lastError) {
+      return { success: false, error: lastError.message };
+    }
+
+    return { success: true, data: null, cached: false };
+  }
+}
+
+// Build the provider chain from the runtime config, in the order listed
+// (by default: online lookup first, bundled dataset as fallback)
+function createGeocoderProviders() {
+  const settings = window.AppConfig.get('geocoder', {});
+  const factories = {
+    nominatim: () => new NominatimProvider({
+      baseUrl: settings.nominatimUrl,
+      countryCodes: settings.countryCodes
+    }),
+    offline: () => new OfflineProvider({ dataUrl: settings.datasetUrl })
+  };
+
+  return (settings.providers || ['nominatim', 'offline'])
+    .filter(name => {
+      if (!factories[name]) {
+        console.warn(`Unknown geocoder provider in config: ${name}`);
+      }
+      return Boolean(factories[name]);
+    })
+    .map(name => factories[name]());
+}
+
+// Create global instance
+window.geocoder = new Geocoder(createGeocoderProviders());
+
+// Expose provider classes so other providers can be registered
+window.Geocoder = Geocoder;
+window.NominatimProvider = NominatimProvider;
+window.OfflineProvider = OfflineProvider;
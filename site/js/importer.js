@@ -0,0 +1,538 @@
+/**
+ * Contract Importer
+ * Imports historical contracts from CSV with column mapping, validation and preview
+ */
+
+//=============================================================================
+// CSV PARSING AND ROW VALIDATION
+//=============================================================================
+
+// Contract fields a CSV column can be mapped to, with header names we recognize
+const IMPORT_FIELDS = [
+  { key: 'hospital_name', label: 'Hospital Name', required: true, aliases: ['hospital', 'hospitalname', 'facility', 'facilityname', 'name'] },
+  { key: 'address', label: 'Address', required: true, aliases: ['address', 'addr', 'streetaddress', 'hospitaladdress', 'location', 'facilityaddress'] },
+  { key: 'start_date', label: 'Start Date', required: true, aliases: ['start', 'startdate', 'begin', 'begindate'] },
+  { key: 'end_date', label: 'End Date', required: true, aliases: ['end', 'enddate', 'finish', 'finishdate'] },
+  { key: 'latitude', label: 'Latitude', type: 'number', aliases: ['lat', 'latitude'] },
+  { key: 'longitude', label: 'Longitude', type: 'number', aliases: ['lng', 'lon', 'long', 'longitude'] },
+  { key: 'agency', label: 'Agency', aliases: ['agency', 'company', 'staffingagency'] },
+  { key: 'hourly_rate', label: 'Taxable Hourly Rate', type: 'number', aliases: ['hourlyrate', 'rate', 'taxablerate', 'payrate', 'taxablehourlyrate'] },
+  { key: 'guaranteed_hours', label: 'Guaranteed Hours', type: 'number', aliases: ['hours', 'guaranteedhours', 'hoursperweek'] },
+  { key: 'overtime_rate', label: 'Overtime Rate', type: 'number', aliases: ['overtime', 'otrate', 'overtimerate'] },
+  { key: 'housing_stipend', label: 'Housing Stipend', type: 'number', aliases: ['housing', 'housingstipend', 'lodging'] },
+  { key: 'meals_stipend', label: 'M&IE Stipend', type: 'number', aliases: ['meals', 'mie', 'mealsstipend', 'mealstipend'] },
+  { key: 'bonuses', label: 'Bonuses', type: 'number', aliases: ['bonus', 'bonuses'] }
+];
+
+// Parse CSV text into an array of rows (handles quoted fields, escaped quotes and CRLF)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function normalizeHeader(header) {
+  return (header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Guess which CSV column feeds each contract field from the header row
+function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach(field => {
+    const candidates = [normalizeHeader(field.key), normalizeHeader(field.label), ...field.aliases];
+    const index = normalized.findIndex((header, i) =>
+      candidates.includes(header) && !Object.values(mapping).includes(i));
+    if (index !== -1) {
+      mapping[field.key] = index;
+    }
+  });
+
+  return mapping;
+}
+
+// Normalize common spreadsheet date formats to YYYY-MM-DD, or null if invalid
+function normalizeImportDate(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  let year, month, day;
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+    [, month, day, year] = match.map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime())) return null;
+    year = parsed.getFullYear();
+    month = parsed.getMonth() + 1;
+    day = parsed.getDate();
+  }
+
+  // Reject impossible dates like 2023-02-30
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+// Parse a number that may carry currency symbols or thousands separators
+function normalizeImportNumber(value) {
+  const text = (value || '').replace(/[$,\s]/g, '');
+  if (!text) return null;
+  const number = Number(text);
+  return isNaN(number) ? NaN : number;
+}
+
+// Key used to detect duplicate contracts: same hospital starting on the same day
+function contractDuplicateKey(contract) {
+  return `${(contract.hospital_name || '').trim().toLowerCase()}|${contract.start_date || ''}`;
+}
+
+// Turn one CSV row into a contract plus a list of validation errors
+function buildContractFromRow(row, mapping) {
+  const contract = {};
+  const errors = [];
+
+  IMPORT_FIELDS.forEach(field => {
+    const index = mapping[field.key];
+    const raw = index === undefined ? '' : (row[index] || '').trim();
+
+    if (!raw) {
+      if (field.required) errors.push(`${field.label} is missing`);
+      return;
+    }
+
+    if (field.key === 'start_date' || field.key === 'end_date') {
+      const date = normalizeImportDate(raw);
+      if (date) {
+        contract[field.key] = date;
+      } else {
+        errors.push(`${field.label} "${raw}" is not a valid date`);
+      }
+    } else if (field.type === 'number') {
+      const number = normalizeImportNumber(raw);
+      if (isNaN(number)) {
+        errors.push(`${field.label} "${raw}" is not a number`);
+      } else {
+        contract[field.key] = number;
+      }
+    } else {
+      contract[field.key] = raw;
+    }
+  });
+
+  // Once every cell parses, apply the same rules as the contract form
+  if (errors.length === 0) {
+    window.ContractValidation.validate(contract).errors.forEach(error => errors.push(error.message));
+  }
+
+  return { contract, errors };
+}
+
+// Validate every data row and flag duplicates against the logbook and earlier rows
+function validateImportRows(rows, mapping, existingContracts = []) {
+  const existingKeys = new Set(existingContracts.map(contractDuplicateKey));
+  const seenKeys = new Set();
+
+  return rows.map((row, index) => {
+    const { contract, errors } = buildContractFromRow(row, mapping);
+    const key = contractDuplicateKey(contract);
+    let duplicate = null;
+
+    if (errors.length === 0) {
+      if (existingKeys.has(key)) {
+        duplicate = 'Already in your logbook';
+      } else if (seenKeys.has(key)) {
+        duplicate = 'Repeated earlier in this file';
+      }
+      seenKeys.add(key);
+    }
+
+    return {
+      rowNumber: index + 2, // Header is row 1
+      contract,
+      errors,
+      duplicate,
+      include: errors.length === 0 && !duplicate
+    };
+  });
+}
+
+//=============================================================================
+// IMPORTER UI
+//=============================================================================
+
+class ContractImporter {
+  constructor() {
+    this.headers = [];
+    this.dataRows = [];
+    this.mapping = {};
+    this.results = [];
+    this.initialized = false;
+    this.batchSize = 50;
+  }
+
+  // Bind event handlers once the import component is in the DOM
+  initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    const fileInput = document.getElementById('import-file-input');
+    if (!fileInput) {
+      return false;
+    }
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file) {
+        this.readFile(file);
+      }
+      fileInput.value = '';
+    });
+
+    document.getElementById('close-import')?.addEventListener('click', () => this.close());
+    document.getElementById('import-validate-btn')?.addEventListener('click', () => this.validate());
+    document.getElementById('import-confirm-btn')?.addEventListener('click', () => this.importContracts());
+    document.getElementById('import-cancel-btn')?.addEventListener('click', () => this.close());
+
+    this.initialized = true;
+    return true;
+  }
+
+  open() {
+    const slideout = document.getElementById('import-slideout');
+    if (!slideout || !this.initialize()) {
+      return;
+    }
+
+    // Only one slideout at a time
+    if (window.profileManager) {
+      window.profileManager.closeAllForms();
+    }
+
+    this.reset();
+    slideout.classList.add('open');
+  }
+
+  close() {
+    const slideout = document.getElementById('import-slideout');
+    if (slideout) {
+      slideout.classList.remove('open');
+    }
+  }
+
+  isOpen() {
+    const slideout = document.getElementById('import-slideout');
+    return !!(slideout && slideout.classList.contains('open'));
+  }
+
+  reset() {
+    this.headers = [];
+    this.dataRows = [];
+    this.mapping = {};
+    this.results = [];
+    this.showStep('upload');
+    this.hideMessages();
+  }
+
+  // Show one step of the import flow: upload, mapping or preview
+  showStep(step) {
+    // The file picker stays visible while mapping so a different file can be chosen
+    const visible = {
+      upload: step !== 'preview',
+      mapping: step === 'mapping',
+      preview: step === 'preview'
+    };
+
+    Object.keys(visible).forEach(name => {
+      const section = document.getElementById(`import-step-${name}`);
+      if (section) {
+        section.style.display = visible[name] ? 'block' : 'none';
+      }
+    });
+  }
+
+  async readFile(file) {
+    this.hideMessages();
+
+    try {
+      const text = await file.text();
+      const rows = parseCsv(text);
+
+      if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one contract');
+      }
+
+      this.headers = rows[0].map(header => header.trim());
+      this.dataRows = rows.slice(1);
+      this.mapping = guessColumnMapping(this.headers);
+
+      const fileNameEl = document.getElementById('import-file-name');
+      if (fileNameEl) {
+        fileNameEl.textContent = `${file.name} - ${this.dataRows.length} row${this.dataRows.length === 1 ? '' : 's'}`;
+      }
+
+      this.renderMapping();
+      this.showStep('mapping');
+    } catch (error) {
+      this.showError('Failed to read CSV: ' + error.message);
+    }
+  }
+
+  // Render one select per contract field listing the CSV columns
+  renderMapping() {
+    const container = document.getElementById('import-mapping');
+    if (!container) {
+      return;
+    }
+
+    container.innerHTML = '';
+
+    IMPORT_FIELDS.forEach(field => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'profile-field';
+
+      const options = this.headers.map((header, index) =>
+        `<option value="${index}" ${this.mapping[field.key] === index ? 'selected' : ''}>${escapeHtml(header || `Column ${index + 1}`)}</option>`
+      ).join('');
+
+      wrapper.innerHTML = `
+        <label for="import-map-${field.key}">${field.label}${field.required ? ' *' : ''}:</label>
+        <select id="import-map-${field.key}" data-field="${field.key}">
+          <option value="">(not imported)</option>
+          ${options}
+        </select>
+      `;
+
+      container.appendChild(wrapper);
+    });
+  }
+
+  // Read the chosen mapping back from the selects
+  readMapping() {
+    const mapping = {};
+    document.querySelectorAll('#import-mapping select').forEach(select => {
+      if (select.value !== '') {
+        mapping[select.dataset.field] = parseInt(select.value, 10);
+      }
+    });
+    return mapping;
+  }
+
+  validate() {
+    this.hideMessages();
+    this.mapping = this.readMapping();
+
+    const missing = IMPORT_FIELDS.filter(field => field.required && this.mapping[field.key] === undefined);
+    if (missing.length > 0) {
+      this.showError(`Map a column for: ${missing.map(field => field.label).join(', ')}`);
+      return;
+    }
+
+    const existing = window.logbookApp ? window.logbookApp.contracts : [];
+    this.results = validateImportRows(this.dataRows, this.mapping, existing);
+    this.renderPreview();
+    this.showStep('preview');
+  }
+
+  renderPreview() {
+    const table = document.getElementById('import-preview');
+    const summary = document.getElementById('import-summary');
+    if (!table) {
+      return;
+    }
+
+    const invalid = this.results.filter(result => result.errors.length > 0).length;
+    const duplicates = this.results.filter(result => result.duplicate).length;
+
+    if (summary) {
+      summary.textContent = `${this.results.length} rows: ${this.results.length - invalid - duplicates} ready, ` +
+        `${duplicates} duplicate${duplicates === 1 ? '' : 's'}, ${invalid} with errors`;
+    }
+
+    table.innerHTML = `
+      <thead>
+        <tr><th></th><th>Row</th><th>Hospital</th><th>Dates</th><th>Status</th></tr>
+      </thead>
+      <tbody></tbody>
+    `;
+
+    const body = table.querySelector('tbody');
+
+    this.results.forEach(result => {
+      const tr = document.createElement('tr');
+      let statusText = 'Ready';
+      tr.className = 'import-row-ready';
+
+      if (result.imported) {
+        statusText = 'Imported';
+      } else if (result.errors.length > 0) {
+        statusText = result.errors.join('; ');
+        tr.className = 'import-row-error';
+      } else if (result.duplicate) {
+        statusText = `Duplicate: ${result.duplicate}`;
+        tr.className = 'import-row-duplicate';
+      }
+
+      tr.innerHTML = `
+        <td><input type="checkbox" ${result.include ? 'checked' : ''} ${result.errors.length > 0 || result.imported ? 'disabled' : ''}></td>
+        <td>${result.rowNumber}</td>
+        <td>${escapeHtml(result.contract.hospital_name || '')}</td>
+        <td>${result.contract.start_date || '?'} → ${result.contract.end_date || '?'}</td>
+        <td>${escapeHtml(statusText)}</td>
+      `;
+
+      // Duplicates are skipped by default but can be imported deliberately
+      tr.querySelector('input').addEventListener('change', (e) => {
+        result.include = e.target.checked;
+        this.updateImportButton();
+      });
+
+      body.appendChild(tr);
+    });
+
+    this.updateImportButton();
+  }
+
+  updateImportButton() {
+    const button = document.getElementById('import-confirm-btn');
+    const count = this.results.filter(result => result.include).length;
+    if (button) {
+      button.textContent = `Import ${count} Contract${count === 1 ? '' : 's'}`;
+      button.disabled = count === 0;
+    }
+  }
+
+  // Bulk-insert the selected rows in batches
+  async importContracts() {
+    const selected = this.results.filter(result => result.include);
+    if (selected.length === 0) {
+      return;
+    }
+
+    const session = await window.auth.getCurrentSession();
+    if (!session || !session.user) {
+      this.showError('No authenticated user found');
+      return;
+    }
+
+    const button = document.getElementById('import-confirm-btn');
+    if (button) button.disabled = true;
+
+    let imported = 0;
+    const failures = [];
+
+    for (let i = 0; i < selected.length; i += this.batchSize) {
+      const batch = selected.slice(i, i + this.batchSize);
+      if (button) button.textContent = `Importing... ${i}/${selected.length}`;
+
+      const result = await window.database.createContracts(session.user.id, batch.map(item => item.contract));
+
+      if (result.success) {
+        imported += batch.length;
+        // Deselect saved rows so importing again only retries the failed batches
+        batch.forEach(item => {
+          item.imported = true;
+          item.include = false;
+        });
+      } else {
+        failures.push(`Rows ${batch[0].rowNumber}-${batch[batch.length - 1].rowNumber}: ${result.error}`);
+      }
+    }
+
+    if (window.logbookApp) {
+      await window.logbookApp.loadContractsFromDatabase();
+    }
+
+    if (failures.length > 0) {
+      this.showError(`Imported ${imported} of ${selected.length} contracts. Failed: ${failures.join('; ')}`);
+      this.renderPreview();
+    } else {
+      this.showSuccess(`Imported ${imported} contract${imported === 1 ? '' : 's'}`);
+      setTimeout(() => this.close(), 2000);
+    }
+  }
+
+  showError(message) {
+    const errorDiv = document.getElementById('import-error');
+    if (errorDiv) {
+      errorDiv.textContent = message;
+      errorDiv.style.display = 'block';
+    }
+  }
+
+  showSuccess(message) {
+    const successDiv = document.getElementById('import-success');
+    if (successDiv) {
+      successDiv.textContent = message;
+      successDiv.style.display = 'block';
+    }
+  }
+
+  hideMessages() {
+    ['import-error', 'import-success'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.style.display = 'none';
+    });
+  }
+}
+
+// Create global instance
+window.contractImporter = new ContractImporter();
+
+// Expose parsing helpers for other loaders (test contracts, backups)
+window.ContractCsv = {
+  fields: IMPORT_FIELDS,
+  parse: parseCsv,
+  guessMapping: guessColumnMapping,
+  validateRows: validateImportRows,
+  duplicateKey: contractDuplicateKey
+};
@@ -5,6 +5,9 @@
 document.addEventListener('DOMContentLoaded', function() {
     initializeTabs();
     initializeFormHandlers();
+    initializeOAuthButtons();
+    showRedirectError();
+    resumeMfaChallenge();
 });
 
 // Initialize tab functionality
@@ -42,6 +45,12 @@ function initializeFormHandlers() {
         signinForm.addEventListener('submit', handleSignIn);
     }
 
+    // Email Link Form
+    const magicForm = document.getElementById('magic-form');
+    if (magicForm) {
+        magicForm.addEventListener('submit', handleMagicLink);
+    }
+
     // Sign Up Form
     const signupForm = document.getElementById('signup-form');
     if (signupForm) {
@@ -53,13 +62,49 @@ function initializeFormHandlers() {
     if (resetForm) {
         resetForm.addEventListener('submit', handlePasswordReset);
     }
+
+    // Two-Factor Challenge Form
+    const mfaForm = document.getElementById('mfa-form');
+    if (mfaForm) {
+        mfaForm.addEventListener('submit', handleMfaChallenge);
+        document.getElementById('mfa-use-recovery').addEventListener('click', toggleRecoveryCode);
+        document.getElementById('mfa-cancel').addEventListener('click', cancelMfaChallenge);
+    }
+}
+
+// One button per OAuth provider configured for this environment
+function initializeOAuthButtons() {
+    const container = document.getElementById('oauth-providers');
+    const buttons = document.getElementById('oauth-buttons');
+    if (!container || !window.auth) {
+        return;
+    }
+
+    const providers = window.auth.getOAuthProviders();
+    providers.forEach(provider => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'oauth-btn';
+        button.textContent = window.auth.getProviderLabel(provider);
+        button.addEventListener('click', () => handleOAuthSignIn(provider, button));
+        buttons.appendChild(button);
+    });
+    container.style.display = providers.length > 0 ? 'block' : 'none';
+}
+
+// A magic link or provider that failed comes back here with the reason in the URL
+function showRedirectError() {
+    const redirectError = window.auth && window.auth.getRedirectError();
+    if (redirectError) {
+        showError('signin-error', `Sign-in failed: ${redirectError}`);
+    }
 }
 
 // Check if user is already logged in
 async function checkExistingSession() {
-    if (window.supabaseClient) {
+    if (window.backend) {
         try {
-            const { data: { session } } = await window.supabaseClient.auth.getSession();
+            const { data: { session } } = await window.backend.auth.getSession();
             if (session) {
                 window.location.href = 'logbook.html';
             }
@@ -91,14 +136,129 @@ async function handleSignIn(e) {
     // Call auth.js for authentication logic
     const result = await window.auth.signIn(email, password);
     
-    if (result.success) {
+    if (!result.success) {
+        showError('signin-error', result.error);
+    } else if (await window.auth.needsMfaChallenge()) {
+        showMfaChallenge();
+    } else {
         showSuccess('signin-success', 'Login successful! Redirecting...');
         // auth.js handles the redirect automatically
+    }
+}
+
+// Handle Email Link (passwordless sign-in)
+async function handleMagicLink(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const email = formData.get('email');
+
+    if (!email) {
+        showError('magic-error', 'Please enter your email address');
+        return;
+    }
+
+    // Ensure auth is available
+    if (!window.auth) {
+        showError('magic-error', 'Authentication system not ready. Please refresh the page.');
+        return;
+    }
+
+    const result = await window.auth.signInWithMagicLink(email);
+
+    if (result.success) {
+        showSuccess('magic-success', result.message);
     } else {
+        showError('magic-error', result.error);
+    }
+}
+
+// Handle OAuth sign-in: on success the browser is already on its way to the provider
+async function handleOAuthSignIn(provider, button) {
+    button.disabled = true;
+    const result = await window.auth.signInWithProvider(provider);
+
+    if (!result.success) {
+        button.disabled = false;
         showError('signin-error', result.error);
     }
 }
 
+// Two-factor challenge
+// A signed-in user sent back from the logbook still has to pass the challenge
+async function resumeMfaChallenge() {
+    if (!window.auth) {
+        return;
+    }
+    const session = await window.auth.getCurrentSession();
+    if (session && await window.auth.needsMfaChallenge()) {
+        showMfaChallenge();
+    }
+}
+
+function showMfaChallenge() {
+    clearMessages();
+    document.querySelector('.mode-tabs').style.display = 'none';
+    document.querySelectorAll('.auth-form').forEach(form => form.classList.remove('active'));
+    document.getElementById('mfa-form').classList.add('active');
+    document.getElementById('mfa-code').focus();
+}
+
+function toggleRecoveryCode() {
+    const codeGroup = document.getElementById('mfa-code-group');
+    const recoveryGroup = document.getElementById('mfa-recovery-group');
+    const usingRecovery = recoveryGroup.style.display === 'none';
+
+    codeGroup.style.display = usingRecovery ? 'none' : '';
+    recoveryGroup.style.display = usingRecovery ? '' : 'none';
+    document.getElementById('mfa-use-recovery').textContent = usingRecovery
+        ? 'Use my authenticator app instead'
+        : 'Use a recovery code instead';
+    clearMessages();
+}
+
+async function handleMfaChallenge(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const usingRecovery = document.getElementById('mfa-recovery-group').style.display !== 'none';
+
+    if (usingRecovery) {
+        const recoveryCode = (formData.get('recovery') || '').trim();
+        if (!recoveryCode) {
+            showError('mfa-error', 'Please enter a recovery code');
+            return;
+        }
+
+        const result = await window.auth.redeemRecoveryCode(recoveryCode);
+        if (!result.success) {
+            showError('mfa-error', result.error);
+            return;
+        }
+
+        showSuccess('mfa-success', result.message + ' Redirecting...');
+        setTimeout(() => window.auth.redirectToLogbook(), 2500);
+        return;
+    }
+
+    const code = (formData.get('code') || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(code)) {
+        showError('mfa-error', 'Enter the 6-digit code from your authenticator app');
+        return;
+    }
+
+    const result = await window.auth.verifyMfa(code);
+    if (result.success) {
+        showSuccess('mfa-success', 'Verified! Redirecting...');
+        window.auth.redirectToLogbook();
+    } else {
+        showError('mfa-error', result.error);
+    }
+}
+
+async function cancelMfaChallenge() {
+    await window.auth.signOut();
+    window.location.reload();
+}
+
 // Handle Sign Up
 async function handleSignUp(e) {
     e.preventDefault();
@@ -113,21 +273,17 @@ async function handleSignUp(e) {
         return;
     }
 
-    if (password !== confirm) {
-        showError('signup-error', 'Passwords do not match');
-        return;
-    }
-
-    if (password.length < 6) {
-        showError('signup-error', 'Password must be at least 6 characters');
-        return;
-    }
-
     // Ensure auth is available
     if (!window.auth) {
         showError('signup-error', 'Authentication system not ready. Please refresh the page.');
         return;
     }
+
+    const passwordError = window.auth.validatePassword(password, confirm);
+    if (passwordError) {
+        showError('signup-error', passwordError);
+        return;
+    }
     
     // Call auth.js for authentication logic
     const result = await window.auth.signUp(email, password, { full_name: name });
@@ -0,0 +1,451 @@
+/**
+ * License Tracker
+ * Manages nursing licenses and certifications, expiry alerts and per-contract license checks
+ */
+
+//=============================================================================
+// LICENSE RULES
+//=============================================================================
+
+const US_STATE_CODES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY', 'AS', 'GU', 'MP', 'PR', 'VI'
+];
+
+// Territories usually appear by name in addresses rather than by code
+const TERRITORY_NAMES = {
+  'american samoa': 'AS',
+  'guam': 'GU',
+  'northern mariana islands': 'MP',
+  'puerto rico': 'PR',
+  'virgin islands': 'VI'
+};
+
+// Nurse Licensure Compact members with multistate licensing in effect (check ncsbn.org for changes)
+const NLC_STATES = [
+  'AL', 'AZ', 'AR', 'CO', 'DE', 'FL', 'GA', 'GU', 'ID', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
+  'MS', 'MO', 'MT', 'NE', 'NH', 'NJ', 'NM', 'NC', 'ND', 'OH', 'OK', 'PA', 'SC', 'SD', 'TN', 'TX',
+  'UT', 'VT', 'VA', 'VI', 'WA', 'WV', 'WI', 'WY'
+];
+
+// Days before expiry at which alerts escalate
+const LICENSE_ALERT_DAYS = [90, 60, 30];
+
+// Today as YYYY-MM-DD in local time, matching how dates are stored
+function todayDateString() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+// Whole days from one YYYY-MM-DD date to another
+function daysUntil(fromDate, toDate) {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / (24 * 60 * 60 * 1000));
+}
+
+// Find the state or territory code in a contract address ("..., Seattle, WA 98105")
+function getContractState(contract) {
+  const address = (contract.address || '').trim();
+
+  const codeMatch = address.match(/,\s*([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?\s*(?:,\s*(?:USA|US|United States))?$/i);
+  if (codeMatch && US_STATE_CODES.includes(codeMatch[1].toUpperCase())) {
+    return codeMatch[1].toUpperCase();
+  }
+
+  const lowerAddress = address.toLowerCase();
+  const territory = Object.keys(TERRITORY_NAMES).find(name => lowerAddress.includes(name));
+  return territory ? TERRITORY_NAMES[territory] : null;
+}
+
+function isLicenseValidOn(license, date) {
+  return (!license.issue_date || license.issue_date <= date) && license.expiry_date >= date;
+}
+
+// A compact license from a compact state covers every compact state
+function licenseCoversState(license, state) {
+  if (license.credential_type !== 'license' || !license.state) {
+    return false;
+  }
+  if (license.state === state) {
+    return true;
+  }
+  return license.is_compact && NLC_STATES.includes(license.state) && NLC_STATES.includes(state);
+}
+
+// Check whether any license covers a contract's state on its start date
+// Returns null when the check cannot be made (no licenses recorded or unknown state)
+function checkContractLicense(contract, licenses) {
+  const stateLicenses = licenses.filter(license => license.credential_type === 'license');
+  const state = getContractState(contract);
+
+  if (stateLicenses.length === 0 || !state || !contract.start_date) {
+    return null;
+  }
+
+  const covering = stateLicenses.filter(license => licenseCoversState(license, state));
+  const valid = covering.find(license => isLicenseValidOn(license, contract.start_date));
+
+  if (valid) {
+    return { state, valid: true, license: valid, message: `Licensed in ${state} (${valid.name}${valid.state !== state ? `, compact ${valid.state}` : ''})` };
+  }
+
+  return {
+    state,
+    valid: false,
+    license: null,
+    message: covering.length > 0
+      ? `${state} license not valid on ${contract.start_date}`
+      : `No license for ${state}`
+  };
+}
+
+// Alerts for credentials expired or expiring within the alert windows
+function getExpiryAlerts(licenses, today = todayDateString()) {
+  const longestWindow = Math.max(...LICENSE_ALERT_DAYS);
+
+  return licenses
+    .map(license => {
+      const days = daysUntil(today, license.expiry_date);
+      if (days > longestWindow) {
+        return null;
+      }
+
+      // Smallest window the credential falls inside: 30, 60 or 90 days
+      const threshold = days < 0 ? 0 : Math.min(...LICENSE_ALERT_DAYS.filter(limit => days <= limit));
+      return { license, days, threshold };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.days - b.days);
+}
+
+function formatCredentialName(license) {
+  return license.credential_type === 'license' && license.state
+    ? `${license.state} ${license.name}${license.is_compact ? ' (compact)' : ''}`
+    : license.name;
+}
+
+//=============================================================================
+// LICENSE MANAGER
+//=============================================================================
+
+class LicenseManager {
+  constructor() {
+    this.licenses = [];
+    this.loaded = false;
+    this.initialized = false;
+    this.editingId = null;
+  }
+
+  // Bind the profile license form once the profile component is in the DOM
+  initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    const saveBtn = document.getElementById('save-license-btn');
+    if (!saveBtn) {
+      return false;
+    }
+
+    saveBtn.addEventListener('click', () => this.saveLicense());
+    document.getElementById('cancel-license-btn')?.addEventListener('click', () => this.clearLicenseForm());
+
+    // State only applies to licenses
+    document.getElementById('license-type')?.addEventListener('change', () => this.updateFormForType());
+
+    this.initialized = true;
+    this.updateFormForType();
+    this.renderList();
+    return true;
+  }
+
+  getUserId() {
+    const user = window.auth?.getCurrentUser();
+    return user ? user.id : null;
+  }
+
+  // Load licenses once per session; callers can force a refresh
+  async loadLicenses(force = false) {
+    if (this.loaded && !force) {
+      return this.licenses;
+    }
+
+    const userId = this.getUserId();
+    if (!userId || !window.database) {
+      return this.licenses;
+    }
+
+    const result = await window.database.getLicenses(userId);
+    if (result.success) {
+      this.licenses = result.data;
+      this.loaded = true;
+    }
+
+    this.renderList();
+    this.renderAlerts();
+    return this.licenses;
+  }
+
+  checkContract(contract) {
+    return checkContractLicense(contract, this.licenses);
+  }
+
+  //===========================================================================
+  // PROFILE SECTION
+  //===========================================================================
+
+  renderList() {
+    const list = document.getElementById('license-list');
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = '';
+
+    if (this.licenses.length === 0) {
+      list.innerHTML = '<div class="license-empty">No licenses or certifications added yet</div>';
+      return;
+    }
+
+    const today = todayDateString();
+
+    this.licenses.forEach(license => {
+      const days = daysUntil(today, license.expiry_date);
+      const item = document.createElement('div');
+      item.className = `license-item${days < 0 ? ' license-expired' : days <= 30 ? ' license-expiring' : ''}`;
+      item.innerHTML = `
+        <div class="license-info">
+          <div class="license-name">${escapeHtml(formatCredentialName(license))}</div>
+          <div class="license-meta">
+            ${license.license_number ? `#${escapeHtml(license.license_number)} · ` : ''}Expires ${license.expiry_date}${days < 0 ? ' (expired)' : ''}
+          </div>
+        </div>
+        <div class="license-actions">
+          <button type="button" class="edit-btn license-edit-btn">Edit</button>
+          <button type="button" class="edit-btn license-delete-btn">Delete</button>
+        </div>
+      `;
+
+      item.querySelector('.license-edit-btn').addEventListener('click', () => this.editLicense(license));
+      item.querySelector('.license-delete-btn').addEventListener('click', () => this.deleteLicense(license));
+
+      list.appendChild(item);
+    });
+  }
+
+  updateFormForType() {
+    const isLicense = document.getElementById('license-type')?.value === 'license';
+    const stateFields = document.getElementById('license-state-fields');
+    if (stateFields) {
+      stateFields.style.display = isLicense ? 'block' : 'none';
+    }
+  }
+
+  editLicense(license) {
+    this.editingId = license.id;
+    document.getElementById('license-type').value = license.credential_type;
+    document.getElementById('license-name').value = license.name || '';
+    document.getElementById('license-state').value = license.state || '';
+    document.getElementById('license-compact').checked = !!license.is_compact;
+    document.getElementById('license-number').value = license.license_number || '';
+    document.getElementById('license-issue-date').value = license.issue_date || '';
+    document.getElementById('license-expiry-date').value = license.expiry_date || '';
+
+    document.getElementById('save-license-btn').textContent = 'Save Changes';
+    document.getElementById('cancel-license-btn').style.display = 'inline-block';
+    this.updateFormForType();
+  }
+
+  clearLicenseForm() {
+    this.editingId = null;
+    ['license-name', 'license-state', 'license-number', 'license-issue-date', 'license-expiry-date'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = '';
+    });
+
+    const compact = document.getElementById('license-compact');
+    if (compact) compact.checked = false;
+
+    const saveBtn = document.getElementById('save-license-btn');
+    if (saveBtn) saveBtn.textContent = 'Add Credential';
+
+    const cancelBtn = document.getElementById('cancel-license-btn');
+    if (cancelBtn) cancelBtn.style.display = 'none';
+  }
+
+  // Read and validate the license form; returns null after showing an error
+  collectLicenseData() {
+    const credentialType = document.getElementById('license-type').value;
+    const name = document.getElementById('license-name').value.trim();
+    const state = document.getElementById('license-state').value.trim().toUpperCase();
+    const issueDate = document.getElementById('license-issue-date').value || null;
+    const expiryDate = document.getElementById('license-expiry-date').value;
+    const isLicense = credentialType === 'license';
+
+    if (!name || !expiryDate) {
+      this.showError('Name and expiry date are required');
+      return null;
+    }
+
+    if (isLicense && !US_STATE_CODES.includes(state)) {
+      this.showError('Enter the two-letter state code for the license');
+      return null;
+    }
+
+    if (issueDate && expiryDate < issueDate) {
+      this.showError('Expiry date cannot be before the issue date');
+      return null;
+    }
+
+    return {
+      credential_type: credentialType,
+      name,
+      state: isLicense ? state : null,
+      is_compact: isLicense && document.getElementById('license-compact').checked,
+      license_number: document.getElementById('license-number').value.trim() || null,
+      issue_date: issueDate,
+      expiry_date: expiryDate
+    };
+  }
+
+  async saveLicense() {
+    const userId = this.getUserId();
+    const licenseData = this.collectLicenseData();
+    if (!userId || !licenseData) {
+      return;
+    }
+
+    if (licenseData.is_compact && !NLC_STATES.includes(licenseData.state)) {
+      const proceed = confirm(`${licenseData.state} is not a Nurse Licensure Compact state, so this license will only cover ${licenseData.state}.\n\nSave anyway?`);
+      if (!proceed) {
+        return;
+      }
+    }
+
+    const result = this.editingId
+      ? await window.database.updateLicense(this.editingId, userId, licenseData)
+      : await window.database.createLicense(userId, licenseData);
+
+    if (result.success) {
+      this.showSuccess(this.editingId ? 'Credential updated' : 'Credential added');
+      this.clearLicenseForm();
+      await this.refresh();
+    } else {
+      this.showError('Failed to save credential: ' + result.error);
+    }
+  }
+
+  async deleteLicense(license) {
+    const userId = this.getUserId();
+    if (!userId) {
+      return;
+    }
+
+    const confirmed = confirm(`Delete ${formatCredentialName(license)}?`);
+    if (!confirmed) {
+      return;
+    }
+
+    const result = await window.database.deleteLicense(license.id, userId);
+
+    if (result.success) {
+      if (this.editingId === license.id) {
+        this.clearLicenseForm();
+      }
+      this.showSuccess('Credential deleted');
+      await this.refresh();
+    } else {
+      this.showError('Failed to delete credential: ' + result.error);
+    }
+  }
+
+  // Reload licenses and re-check contract cards against them
+  async refresh() {
+    await this.loadLicenses(true);
+    if (window.logbookApp) {
+      await window.logbookApp.loadContractsFromDatabase();
+    }
+  }
+
+  //===========================================================================
+  // EXPIRY ALERTS
+  //===========================================================================
+
+  // Alerts dismissed this session, keyed by license and threshold so they return when escalating
+  getDismissedAlerts() {
+    try {
+      return JSON.parse(sessionStorage.getItem('tnl_dismissed_license_alerts')) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  dismissAlert(key) {
+    const dismissed = this.getDismissedAlerts();
+    dismissed.push(key);
+    sessionStorage.setItem('tnl_dismissed_license_alerts', JSON.stringify(dismissed));
+    this.renderAlerts();
+  }
+
+  renderAlerts() {
+    const container = document.getElementById('license-alerts');
+    if (!container) {
+      return;
+    }
+
+    const dismissed = this.getDismissedAlerts();
+    const alerts = getExpiryAlerts(this.licenses)
+      .filter(alert => !dismissed.includes(`${alert.license.id}:${alert.threshold}`));
+
+    container.innerHTML = '';
+    container.style.display = alerts.length > 0 ? 'block' : 'none';
+
+    alerts.forEach(alert => {
+      const item = document.createElement('div');
+      item.className = `license-alert license-alert-${alert.threshold}`;
+
+      const name = escapeHtml(formatCredentialName(alert.license));
+      const when = alert.days < 0
+        ? `expired ${-alert.days} day${alert.days === -1 ? '' : 's'} ago`
+        : alert.days === 0 ? 'expires today' : `expires in ${alert.days} day${alert.days === 1 ? '' : 's'}`;
+
+      item.innerHTML = `
+        <span>⚠️ ${name} ${when} (${alert.license.expiry_date})</span>
+        <button type="button" class="license-alert-dismiss" title="Dismiss">&times;</button>
+      `;
+      item.querySelector('.license-alert-dismiss').addEventListener('click', () => {
+        this.dismissAlert(`${alert.license.id}:${alert.threshold}`);
+      });
+
+      container.appendChild(item);
+    });
+  }
+
+  // Messages share the profile's message area
+  showError(message) {
+    if (window.profileManager) {
+      window.profileManager.showProfileError(message);
+    }
+  }
+
+  showSuccess(message) {
+    if (window.profileManager) {
+      window.profileManager.showProfileSuccess(message);
+    }
+  }
+}
+
+// Create global instance
+window.licenseManager = new LicenseManager();
+
+// Expose license rules for other modules
+window.Licenses = {
+  NLC_STATES: NLC_STATES,
+  ALERT_DAYS: LICENSE_ALERT_DAYS,
+  getContractState: getContractState,
+  checkContract: checkContractLicense,
+  getExpiryAlerts: getExpiryAlerts
+};
@@ -0,0 +1,371 @@
+/**
+ * Contract Lifecycle
+ * Planned, active, extended, completed and cancelled states, extensions and cancellations
+ */
+
+//=============================================================================
+// LIFECYCLE RULES
+//=============================================================================
+
+const LIFECYCLE_LABELS = {
+  planned: 'Planned',
+  active: 'Active',
+  extended: 'Extended',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+// Allowed status changes; date changes move contracts along automatically
+const LIFECYCLE_TRANSITIONS = {
+  planned: ['active', 'cancelled'],
+  active: ['extended', 'completed', 'cancelled'],
+  extended: ['completed'],
+  completed: ['extended'],
+  cancelled: []
+};
+
+const CANCELLED_BY_LABELS = {
+  nurse: 'Me',
+  facility: 'Facility',
+  agency: 'Agency'
+};
+
+// Contract fields an extension inherits from the original assignment
+const EXTENSION_INHERITED_FIELDS = [
+  'hospital_name', 'address', 'latitude', 'longitude',
+  'agency', 'hourly_rate', 'guaranteed_hours', 'overtime_rate', 'housing_stipend', 'meals_stipend'
+];
+
+function lifecycleToday() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function addDaysToDate(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// The original assignment an extension belongs to (or the contract itself)
+function getRootContract(contract, allContracts = []) {
+  if (!contract.parent_contract_id) {
+    return contract;
+  }
+  return allContracts.find(other => other.id === contract.parent_contract_id) || contract;
+}
+
+// Extension periods recorded against an original assignment, oldest first
+function getExtensions(contract, allContracts = []) {
+  return allContracts
+    .filter(other => contract.id && other.parent_contract_id === contract.id)
+    .sort((a, b) => (a.start_date || '').localeCompare(b.start_date || ''));
+}
+
+// Current lifecycle state of one contract period
+function getLifecycleStatus(contract, allContracts = [], today = lifecycleToday()) {
+  if (contract.status === 'cancelled') {
+    return 'cancelled';
+  }
+
+  if (getExtensions(contract, allContracts).length > 0) {
+    return 'extended';
+  }
+
+  if (contract.start_date && contract.start_date > today) {
+    return 'planned';
+  }
+
+  if (!contract.end_date || contract.end_date >= today) {
+    return 'active';
+  }
+
+  return 'completed';
+}
+
+function canTransition(from, to) {
+  return (LIFECYCLE_TRANSITIONS[from] || []).includes(to);
+}
+
+// Cancelled before the first day means no time was actually worked there
+function wasWorked(contract) {
+  return !(contract.status === 'cancelled' && contract.cancelled_at && contract.cancelled_at <= contract.start_date);
+}
+
+//=============================================================================
+// LIFECYCLE PANEL
+//=============================================================================
+
+class ContractLifecycleManager {
+  constructor() {
+    this.contract = null;
+    this.initialized = false;
+  }
+
+  // Bind event handlers once the contract form component is in the DOM
+  initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    const extendBtn = document.getElementById('extend-contract-btn');
+    const cancelBtn = document.getElementById('cancel-assignment-btn');
+    if (!extendBtn || !cancelBtn) {
+      return false;
+    }
+
+    extendBtn.addEventListener('click', () => this.togglePanel('extension'));
+    cancelBtn.addEventListener('click', () => this.togglePanel('cancellation'));
+    document.getElementById('save-extension-btn')?.addEventListener('click', () => this.extendContract());
+    document.getElementById('save-cancellation-btn')?.addEventListener('click', () => this.cancelContract());
+
+    this.initialized = true;
+    return true;
+  }
+
+  getContracts() {
+    return window.logbookApp ? window.logbookApp.contracts : [];
+  }
+
+  getUserId() {
+    const user = window.auth?.getCurrentUser();
+    return user ? user.id : null;
+  }
+
+  // Show the lifecycle section for a saved contract
+  showForContract(contract) {
+    const section = document.querySelector('.contract-lifecycle-section');
+    if (!section || !contract || !contract.id) {
+      this.hide();
+      return;
+    }
+
+    this.initialize();
+    this.contract = contract;
+    section.style.display = 'block';
+    this.togglePanel(null);
+    this.render();
+  }
+
+  hide() {
+    const section = document.querySelector('.contract-lifecycle-section');
+    if (section) {
+      section.style.display = 'none';
+    }
+    this.contract = null;
+  }
+
+  // Show at most one of the extension and cancellation forms
+  togglePanel(name) {
+    ['extension', 'cancellation'].forEach(panelName => {
+      const panel = document.getElementById(`contract-${panelName}-panel`);
+      if (!panel) return;
+      const open = panelName === name && panel.style.display === 'none';
+      panel.style.display = open ? 'block' : 'none';
+    });
+
+    if (name === 'extension') {
+      const endInput = document.getElementById('extension-end-date');
+      if (endInput && !endInput.value) {
+        // Default to another 13-week assignment
+        endInput.value = addDaysToDate(this.getLatestPeriod().end_date, 13 * 7);
+      }
+    }
+
+    if (name === 'cancellation') {
+      const dateInput = document.getElementById('cancellation-date');
+      if (dateInput && !dateInput.value) {
+        dateInput.value = lifecycleToday();
+      }
+    }
+  }
+
+  // Last period of the assignment, which an extension continues from
+  getLatestPeriod() {
+    const contracts = this.getContracts();
+    const root = getRootContract(this.contract, contracts);
+    const extensions = getExtensions(root, contracts);
+    return extensions.length > 0 ? extensions[extensions.length - 1] : root;
+  }
+
+  render() {
+    if (!this.contract) {
+      return;
+    }
+
+    const contracts = this.getContracts();
+    const status = getLifecycleStatus(this.contract, contracts);
+    const root = getRootContract(this.contract, contracts);
+
+    const badge = document.getElementById('contract-lifecycle-status');
+    if (badge) {
+      badge.textContent = LIFECYCLE_LABELS[status];
+      badge.className = `lifecycle-badge lifecycle-${status}`;
+    }
+
+    // Periods of the whole assignment: the original plus every extension
+    const periods = document.getElementById('contract-periods');
+    if (periods) {
+      const chain = [root, ...getExtensions(root, contracts)];
+      periods.innerHTML = chain.length > 1
+        ? chain.map((period, index) => `
+            <li class="${period.id === this.contract.id ? 'current-period' : ''}" data-contract-id="${period.id}">
+              ${index === 0 ? 'Original' : `Extension ${index}`}: ${period.start_date} → ${period.end_date || 'Ongoing'}
+              (${LIFECYCLE_LABELS[getLifecycleStatus(period, contracts)]})
+            </li>`).join('')
+        : '';
+
+      periods.querySelectorAll('li[data-contract-id]').forEach(item => {
+        const period = chain.find(c => String(c.id) === item.dataset.contractId);
+        if (period && period.id !== this.contract.id) {
+          item.addEventListener('click', () => window.contractFormController?.openDisplayMode(period));
+        }
+      });
+    }
+
+    const cancellation = document.getElementById('contract-cancellation-details');
+    if (cancellation) {
+      if (status === 'cancelled') {
+        const by = CANCELLED_BY_LABELS[this.contract.cancelled_by] || 'Unknown';
+        cancellation.innerHTML = `
+          Cancelled ${escapeHtml(this.contract.cancelled_at || '')} by ${escapeHtml(by)}
+          ${this.contract.planned_end_date ? `(was due to end ${escapeHtml(this.contract.planned_end_date)})` : ''}
+          ${this.contract.cancellation_reason ? `<div>Reason: ${escapeHtml(this.contract.cancellation_reason)}</div>` : ''}
+        `;
+        cancellation.style.display = 'block';
+      } else {
+        cancellation.style.display = 'none';
+      }
+    }
+
+    // Extending continues the whole assignment, so check the latest period's state
+    const latestStatus = getLifecycleStatus(this.getLatestPeriod(), contracts);
+    const extendBtn = document.getElementById('extend-contract-btn');
+    const cancelBtn = document.getElementById('cancel-assignment-btn');
+    if (extendBtn) extendBtn.style.display = canTransition(latestStatus, 'extended') ? 'inline-block' : 'none';
+    if (cancelBtn) cancelBtn.style.display = canTransition(status, 'cancelled') ? 'inline-block' : 'none';
+  }
+
+  // Record an extension as a new period linked to the original assignment
+  async extendContract() {
+    const userId = this.getUserId();
+    if (!userId || !this.contract) {
+      return;
+    }
+
+    const contracts = this.getContracts();
+    const root = getRootContract(this.contract, contracts);
+    const latest = this.getLatestPeriod();
+    const endDate = document.getElementById('extension-end-date')?.value;
+
+    const extension = { parent_contract_id: root.id };
+    EXTENSION_INHERITED_FIELDS.forEach(field => {
+      if (latest[field] !== undefined) extension[field] = latest[field];
+    });
+    extension.start_date = addDaysToDate(latest.end_date, 1);
+    extension.end_date = endDate;
+
+    const { errors, overlaps } = window.ContractValidation.validate(extension, contracts);
+    if (errors.length > 0) {
+      window.contractFormController.showContractError(errors.map(error => error.message).join('. '));
+      return;
+    }
+
+    if (overlaps.length > 0) {
+      const names = overlaps.map(c => `${c.hospital_name} (${c.start_date} → ${c.end_date || 'Ongoing'})`).join('\n');
+      if (!confirm(`This extension overlaps:\n${names}\n\nRecord it anyway?`)) {
+        return;
+      }
+    }
+
+    extension.status = getLifecycleStatus(extension, contracts);
+
+    const result = await window.database.createContract(userId, extension);
+    if (!result.success) {
+      window.contractFormController.showContractError('Failed to record extension: ' + result.error);
+      return;
+    }
+
+    // The extension is saved either way, so reload before reporting a failed status change
+    const statusResult = await window.database.updateContract(root.id, userId, { status: 'extended' });
+    await this.refresh(result.data.id, 'Extension recorded');
+    if (!statusResult.success) {
+      window.contractFormController.showContractError('Extension recorded, but the original contract could not be marked extended: ' + statusResult.error);
+    }
+  }
+
+  // Record an early cancellation, shortening the worked period to the cancellation date
+  async cancelContract() {
+    const userId = this.getUserId();
+    if (!userId || !this.contract) {
+      return;
+    }
+
+    const cancelledAt = document.getElementById('cancellation-date')?.value;
+    const cancelledBy = document.getElementById('cancelled-by')?.value;
+    const reason = document.getElementById('cancellation-reason')?.value?.trim();
+
+    if (!cancelledAt) {
+      window.contractFormController.showContractError('Cancellation date is required');
+      return;
+    }
+
+    if (this.contract.end_date && cancelledAt > this.contract.end_date) {
+      window.contractFormController.showContractError('Cancellation date cannot be after the contract end date');
+      return;
+    }
+
+    const update = {
+      status: 'cancelled',
+      cancelled_at: cancelledAt,
+      cancelled_by: cancelledBy || null,
+      cancellation_reason: reason || null
+    };
+
+    // Keep the contracted end date and record the last day actually worked
+    if (cancelledAt > this.contract.start_date && cancelledAt < this.contract.end_date) {
+      update.planned_end_date = this.contract.end_date;
+      update.end_date = cancelledAt;
+    }
+
+    const result = await window.database.updateContract(this.contract.id, userId, update);
+    if (!result.success) {
+      window.contractFormController.showContractError('Failed to record cancellation: ' + result.error);
+      return;
+    }
+
+    await this.refresh(this.contract.id, 'Cancellation recorded');
+  }
+
+  // Reload the logbook and reopen the affected period
+  async refresh(contractId, message) {
+    if (window.logbookApp) {
+      await window.logbookApp.loadContractsFromDatabase();
+    }
+
+    const updated = this.getContracts().find(contract => contract.id === contractId);
+    if (updated && window.contractFormController) {
+      window.contractFormController.openDisplayMode(updated);
+      window.contractFormController.showContractSuccess(message);
+    }
+
+    ['extension-end-date', 'cancellation-date', 'cancellation-reason'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = '';
+    });
+  }
+}
+
+// Create global instance
+window.contractLifecycle = new ContractLifecycleManager();
+
+// Expose lifecycle rules for cards, map, statistics and tax rules
+window.ContractLifecycle = {
+  LABELS: LIFECYCLE_LABELS,
+  CANCELLED_BY_LABELS: CANCELLED_BY_LABELS,
+  getStatus: getLifecycleStatus,
+  getRoot: getRootContract,
+  getExtensions: getExtensions,
+  canTransition: canTransition,
+  wasWorked: wasWorked
+};
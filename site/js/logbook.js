@@ -2,62 +2,22 @@
 // CONTRACT SORTING FUNCTIONALITY
 //=============================================================================
 
-let isNameSortAscending = true;
-let isDateSortAscending = true;
+// Sorting works on LogbookApp.contracts through the contract view settings;
+// clicking the active sort again reverses its direction
 
 // Sort contracts alphabetically by hospital name
 function sortContractsByName() {
-    const contractsContainer = document.querySelector('.contract-cell');
-    const contractCards = Array.from(contractsContainer.querySelectorAll('.card'));
-    
-    contractCards.sort((a, b) => {
-        const nameA = a.querySelector('.hospital-name').textContent;
-        const nameB = b.querySelector('.hospital-name').textContent;
-        return isNameSortAscending ? nameA.localeCompare(nameB) : nameB.localeCompare(nameA);
-    });
-    
-    isNameSortAscending = !isNameSortAscending;
-    contractsContainer.innerHTML = '';
-    contractCards.forEach(card => contractsContainer.appendChild(card));
-    
-    // Reinitialize map pins for newly sorted cards
-    if (window.MapController) {
-        window.MapController.initializePins();
-    }
-    
-    // Refresh map view to ensure all contracts are visible
-    if (window.logbookApp && window.logbookApp.contracts && window.MapController) {
-        setTimeout(() => {
-            window.MapController.fitToContracts(window.logbookApp.contracts, true);
-        }, 100);
+    window.ContractView.toggleSort('name');
+    if (window.logbookApp) {
+        window.logbookApp.renderContracts(false);
     }
 }
 
-// Sort contracts chronologically by start date
+// Sort contracts by start date
 function sortContractsByDate() {
-    const contractsContainer = document.querySelector('.contract-cell');
-    const contractCards = Array.from(contractsContainer.querySelectorAll('.card'));
-    
-    contractCards.sort((a, b) => {
-        const dateA = new Date(a.querySelector('.dates').textContent.split(' → ')[0]);
-        const dateB = new Date(b.querySelector('.dates').textContent.split(' → ')[0]);
-        return isDateSortAscending ? dateA - dateB : dateB - dateA;
-    });
-    
-    isDateSortAscending = !isDateSortAscending;
-    contractsContainer.innerHTML = '';
-    contractCards.forEach(card => contractsContainer.appendChild(card));
-    
-    // Reinitialize map pins for newly sorted cards
-    if (window.MapController) {
-        window.MapController.initializePins();
-    }
-    
-    // Refresh map view to ensure all contracts are visible
-    if (window.logbookApp && window.logbookApp.contracts && window.MapController) {
-        setTimeout(() => {
-            window.MapController.fitToContracts(window.logbookApp.contracts, true);
-        }, 100);
+    window.ContractView.toggleSort('date');
+    if (window.logbookApp) {
+        window.logbookApp.renderContracts(false);
     }
 }
 
@@ -67,28 +27,27 @@ function sortContractsByDate() {
 
 class TestContractsLoader {
   constructor() {
-    // Test contracts data is maintained in sql/test_contracts.sql
-    // This class loads the data dynamically from that source
+    // Test contracts data is maintained in data/test_contracts.csv
+    // and read with the same parser and validation as the CSV importer
     this.testContracts = null; // Will be loaded async
   }
 
-  // Load test contracts data from SQL file
+  // Load test contracts data from CSV file
   async loadTestContractsData() {
     if (this.testContracts) {
       return this.testContracts; // Return cached data
     }
 
     try {
-      const response = await fetch('./sql/test_contracts.sql');
+      const response = await fetch('./data/test_contracts.csv');
       
       if (!response.ok) {
-        throw new Error(`Failed to load SQL file: ${response.status} ${response.statusText}`);
+        throw new Error(`Failed to load CSV file: ${response.status} ${response.statusText}`);
       }
       
-      const sqlContent = await response.text();
+      const csvContent = await response.text();
       
-      // Parse SQL INSERT statements to extract contract data
-      this.testContracts = this.parseSQLToContracts(sqlContent);
+      this.testContracts = this.parseCsvToContracts(csvContent);
       
       return this.testContracts;
       
@@ -106,26 +65,14 @@ class TestContractsLoader {
     }
   }
 
-  // Parse SQL INSERT statements to extract contract objects
-  parseSQLToContracts(sqlContent) {
-    const contracts = [];
+  // Parse CSV rows into contract objects, skipping rows that fail validation
+  parseCsvToContracts(csvContent) {
+    const [headers, ...rows] = window.ContractCsv.parse(csvContent);
+    const mapping = window.ContractCsv.guessMapping(headers);
     
-    // Match individual VALUES entries - handle {USER_ID} placeholder and escaped quotes
-    const valuesRegex = /\('\{USER_ID\}',\s*'([^']*(?:''[^']*)*)',\s*'([^']*(?:''[^']*)*)',\s*([0-9.-]+),\s*([0-9.-]+),\s*'([^']*)',\s*'([^']*)',\s*NOW\(\),\s*NOW\(\)\)/g;
-    let match;
-    
-    while ((match = valuesRegex.exec(sqlContent)) !== null) {
-      contracts.push({
-        hospital_name: match[1].replace(/''/g, "'"), // Convert SQL escaped quotes back to normal quotes
-        address: match[2].replace(/''/g, "'"),
-        latitude: parseFloat(match[3]),
-        longitude: parseFloat(match[4]),
-        start_date: match[5],
-        end_date: match[6]
-      });
-    }
-    
-    return contracts;
+    return window.ContractCsv.validateRows(rows, mapping)
+      .filter(result => result.errors.length === 0)
+      .map(result => result.contract);
   }
 
   // Update button state with current text and disable/enable
@@ -183,7 +130,7 @@ class TestContractsLoader {
 
   // Insert contracts with progress updates
   async insertContracts(userId, progressButton) {
-    // Load test contracts data from SQL file
+    // Load test contracts data from CSV file
     const contracts = await this.loadTestContractsData();
     
     const db = new Database();
@@ -331,12 +278,13 @@ function markProfileComplete() {
 // MAIN APPLICATION CLASS
 //=============================================================================
 
+const SEARCH_DEBOUNCE_MS = 250; // Re-render the list once typing pauses
+
 class LogbookApp {
   constructor() {
-    this.authCheckAttempts = 0;
-    this.maxAttempts = 50; // Maximum attempts (5 seconds)
     this.currentUser = null;
     this.contracts = []; // Store contract data for dynamic operations
+    this.visibleContracts = []; // Contracts left after search and filters
   }
 
   //===========================================================================
@@ -369,6 +317,8 @@ class LogbookApp {
     
     if (sortNameBtn) sortNameBtn.addEventListener('click', sortContractsByName);
     if (sortDateBtn) sortDateBtn.addEventListener('click', sortContractsByDate);
+    this.updateSortIndicators();
+    this.initializeFilters();
     if (resetMapBtn) resetMapBtn.addEventListener('click', () => {
       
       // Check if contract form is open and close it
@@ -391,9 +341,13 @@ class LogbookApp {
         }
       }
       
-      // Fit map to show all contracts
-      if (window.MapController && this.contracts) {
-        window.MapController.fitToContracts(this.contracts, true);
+      if (window.contractImporter) {
+        window.contractImporter.close();
+      }
+      
+      // Fit map to show the contracts in the list
+      if (window.MapController && this.visibleContracts.length > 0) {
+        window.MapController.fitToContracts(this.visibleContracts, true);
       } else {
         // Fallback to US view if no contracts
         const map = window.MapController ? window.MapController.getMap() : null;
@@ -403,6 +357,26 @@ class LogbookApp {
       }
     });
     
+    // Initialize export menu
+    if (window.logbookExporter) {
+      window.logbookExporter.initialize();
+    }
+
+    // Initialize CSV import button
+    const importContractsBtn = document.querySelector('#import-contracts');
+    if (importContractsBtn) {
+      importContractsBtn.addEventListener('click', () => {
+        if (!window.contractImporter) {
+          return;
+        }
+        if (window.contractImporter.isOpen()) {
+          window.contractImporter.close();
+        } else {
+          window.contractImporter.open();
+        }
+      });
+    }
+
     // Initialize test contracts button
     const loadTestContractsBtn = document.querySelector('#load-test-contracts');
     if (loadTestContractsBtn) {
@@ -425,33 +399,16 @@ class LogbookApp {
   //===========================================================================
 
   // Authentication initialization and checking
-  initializeAuth() {
-    const checkAuth = async () => {
-      this.authCheckAttempts++;
-      
-      // Check authentication using auth.js
-      if (!window.auth) {
-        setTimeout(checkAuth, 100);
-        return;
-      }
-      
-      const session = await window.auth.getCurrentSession();
-      
-      if (session && session.user) {
-        // User is authenticated
-        this.currentUser = session.user;
-        this.setupAuthenticatedUI();
-      } else if (this.authCheckAttempts > 20) {
-        // No session after wait period
-        window.location.href = 'index.html';
-        return;
-      } else {
-        // Still checking for authentication
-        setTimeout(checkAuth, 100);
-      }
-    };
-    
-    checkAuth();
+  async initializeAuth() {
+    // The route guard redirects to sign in when there is no usable session
+    const session = await window.routeGuard.protect();
+    if (!session) {
+      return;
+    }
+
+    // User is authenticated
+    this.currentUser = session.user;
+    this.setupAuthenticatedUI();
   }
 
   //===========================================================================
@@ -485,16 +442,17 @@ class LogbookApp {
         this.setupUnifiedContractForm();
       }, 100);
 
-      // Load profile data and contracts at startup
-      setTimeout(() => {
+      // Load profile data, then contracts: the tax home and tax rules in the profile
+      // decide the exclusion flags drawn on the cards and the map
+      setTimeout(async () => {
         if (window.profileManager && window.profileManager.loadProfileData) {
-          window.profileManager.loadProfileData().then(() => {
+          try {
+            await window.profileManager.loadProfileData();
             // Update profile button text after profile data is loaded
             const profileBtn = document.getElementById('profile-btn');
             this.updateProfileButtonText(profileBtn);
-          }).catch(error => {
-          });
-        } else {
+          } catch (error) {
+          }
         }
         
         this.loadContractsFromDatabase();
@@ -507,7 +465,8 @@ class LogbookApp {
   async loadComponents() {
     const components = [
       { path: 'components/profile-form.html', target: '#profile-slideout' },
-      { path: 'components/unified-contract-form.html', target: '#contract-slideout' }
+      { path: 'components/unified-contract-form.html', target: '#contract-slideout' },
+      { path: 'components/import-form.html', target: '#import-slideout' }
     ];
     
     try {
@@ -531,10 +490,13 @@ class LogbookApp {
             // If contract form is open, close it
             window.contractFormController.closeForm();
           } else {
-            // Close profile form if open, then open contract form
+            // Close profile and import forms if open, then open contract form
             if (window.profileManager) {
               window.profileManager.closeProfile();
             }
+            if (window.contractImporter) {
+              window.contractImporter.close();
+            }
             window.contractFormController.openCreateMode();
           }
         } else {
@@ -547,10 +509,13 @@ class LogbookApp {
     const profileBtn = document.getElementById('profile-btn');
     if (profileBtn) {
       profileBtn.addEventListener('click', () => {
-        // Close contract form if open, then toggle profile
+        // Close contract and import forms if open, then toggle profile
         if (window.contractFormController) {
           window.contractFormController.closeForm();
         }
+        if (window.contractImporter) {
+          window.contractImporter.close();
+        }
         window.profileManager.toggleProfile();
       });
     } else {
@@ -571,8 +536,8 @@ class LogbookApp {
           return;
         }
         
-        const result = await window.auth.signOut();
-        if (result.success || result.error) {
+        // The route guard syncs or confirms discarding offline changes first
+        if (await window.routeGuard.signOut()) {
           // Redirect regardless of success/failure for security
           window.location.href = 'index.html';
         }
@@ -586,10 +551,185 @@ class LogbookApp {
   //===========================================================================
 
   // Update contract count in the title
-  updateContractCount(count) {
+  updateContractCount(count, total = count) {
     const contractCountElement = document.getElementById('contract-count');
     if (contractCountElement) {
-      contractCountElement.textContent = `(${count})`;
+      contractCountElement.textContent = count === total ? `(${count})` : `(${count} of ${total})`;
+    }
+  }
+
+  //===========================================================================
+  // CONTRACT LIST VIEW
+  //===========================================================================
+
+  // Bind search and filter controls and restore the saved view
+  initializeFilters() {
+    const view = window.ContractView.getState();
+
+    const searchInput = document.getElementById('contract-search');
+    if (searchInput) {
+      searchInput.value = view.search;
+      // Wait for a pause in typing, and keep the map where the user has it:
+      // the markers follow the matches but the view is not refit on every search
+      let searchTimer = null;
+      searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+          window.ContractView.update({ search: searchInput.value.trim() });
+          this.renderContracts(true, false);
+        }, SEARCH_DEBOUNCE_MS);
+      });
+    }
+
+    Object.entries(this.getFilterSelects()).forEach(([key, select]) => {
+      if (!select) return;
+      select.addEventListener('change', () => {
+        window.ContractView.update({ [key]: select.value });
+        this.renderContracts();
+      });
+    });
+
+    ['cards', 'timeline', 'stats'].forEach(layout => {
+      const button = document.getElementById(`view-${layout}`);
+      if (button) {
+        button.addEventListener('click', () => {
+          window.ContractView.update({ layout });
+          this.updateLayout();
+        });
+      }
+    });
+
+    const clearBtn = document.getElementById('clear-filters');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        window.ContractView.clearFilters();
+        if (searchInput) searchInput.value = '';
+        this.populateFilterOptions();
+        this.renderContracts();
+      });
+    }
+  }
+
+  getFilterSelects() {
+    return {
+      state: document.getElementById('filter-state'),
+      year: document.getElementById('filter-year'),
+      taxStatus: document.getElementById('filter-status'),
+      agency: document.getElementById('filter-agency')
+    };
+  }
+
+  // Fill the filter dropdowns from the loaded contracts, keeping the saved selections
+  populateFilterOptions() {
+    const options = window.ContractView.getFilterOptions(this.contracts);
+    const view = window.ContractView.getState();
+    const selects = this.getFilterSelects();
+
+    const fill = (key, values, allLabel) => {
+      const select = selects[key];
+      if (!select) return;
+      const selected = String(view[key] || '');
+
+      // Keep a saved value that no longer matches any contract so the filter stays visible
+      if (selected && !values.map(String).includes(selected)) {
+        values = [...values, selected];
+      }
+
+      select.innerHTML = `<option value="">${allLabel}</option>` +
+        values.map(value => `<option value="${escapeHtml(String(value))}">${escapeHtml(String(value))}</option>`).join('');
+      select.value = selected;
+    };
+
+    fill('state', options.states, 'All states');
+    fill('year', options.years, 'All years');
+    fill('agency', options.agencies, 'All agencies');
+
+    if (selects.taxStatus) {
+      selects.taxStatus.value = view.taxStatus;
+    }
+  }
+
+  // Show the active sort and its direction on the sort buttons
+  updateSortIndicators() {
+    const view = window.ContractView.getState();
+    const buttons = {
+      name: document.querySelector('#sort-name'),
+      date: document.querySelector('#sort-date')
+    };
+
+    Object.entries(buttons).forEach(([sortBy, button]) => {
+      if (!button) return;
+      const label = sortBy === 'name' ? 'Sort by Name' : 'Sort by Date';
+      const isActive = view.sortBy === sortBy;
+      button.textContent = isActive ? `${label} ${view.sortDirection === 'asc' ? '▲' : '▼'}` : label;
+      button.classList.toggle('active-sort', isActive);
+    });
+  }
+
+  // Switch between the card list, the timeline and the statistics dashboard
+  updateLayout() {
+    const layout = window.ContractView.getState().layout;
+    const contractCell = document.querySelector('.contract-cell');
+    const timeline = document.getElementById('contract-timeline');
+    const statistics = document.getElementById('contract-statistics');
+
+    if (contractCell) contractCell.style.display = layout === 'cards' ? '' : 'none';
+    if (timeline) timeline.style.display = layout === 'timeline' ? 'flex' : 'none';
+    if (statistics) statistics.style.display = layout === 'stats' ? 'block' : 'none';
+
+    ['cards', 'timeline', 'stats'].forEach(name => {
+      document.getElementById(`view-${name}`)?.classList.toggle('active-view', name === layout);
+    });
+
+    if (layout === 'timeline' && window.contractTimeline) {
+      window.contractTimeline.render(this.contracts);
+    }
+
+    if (layout === 'stats' && window.contractStatistics) {
+      window.contractStatistics.render(this.contracts);
+    }
+  }
+
+  // Rebuild the contract cards (and optionally the map) from the current view
+  renderContracts(updateMap = true, fitMap = true) {
+    const contractCell = document.querySelector('.contract-cell');
+    if (!contractCell) {
+      return;
+    }
+
+    this.visibleContracts = window.ContractView.apply(this.contracts);
+
+    // Remove only the contract cards, keep the title and sorting buttons
+    contractCell.querySelectorAll('.card, .no-matching-contracts').forEach(element => element.remove());
+
+    this.visibleContracts.forEach(contract => {
+      contractCell.appendChild(this.createContractCard(contract));
+    });
+
+    if (this.visibleContracts.length === 0 && this.contracts.length > 0) {
+      const empty = document.createElement('div');
+      empty.className = 'no-matching-contracts';
+      empty.textContent = 'No contracts match the current search and filters';
+      contractCell.appendChild(empty);
+    }
+
+    const clearBtn = document.getElementById('clear-filters');
+    if (clearBtn) {
+      clearBtn.style.display = window.ContractView.hasActiveFilters() ? 'inline-block' : 'none';
+    }
+
+    // Initialize map pin functionality for new cards
+    if (window.MapController) {
+      window.MapController.initializePins();
+    }
+
+    this.updateContractCount(this.visibleContracts.length, this.contracts.length);
+    this.updateSortIndicators();
+    this.updateLayout();
+
+    // The map shows only the filtered set, colored against the whole logbook
+    if (updateMap && window.MapController) {
+      window.MapController.refreshMarkers(this.visibleContracts, this.contracts, fitMap);
     }
   }
 
@@ -610,40 +750,32 @@ class LogbookApp {
         throw new Error(result.error);
       }
 
-      // Clear existing contract cards (from previous loads)
-      const contractCell = document.querySelector('.contract-cell');
-      if (!contractCell) {
-        return;
-      }
-
-      // Remove only the contract cards, keep the title and sorting buttons
-      const existingCards = contractCell.querySelectorAll('.card');
-      existingCards.forEach(card => card.remove());
-
-      // Add new contract cards
-      result.data.forEach((contract, index) => {
-        const contractCard = this.createContractCard(contract);
-        contractCell.appendChild(contractCard);
-      });
+      // Store contracts first - tax status for each card depends on the whole logbook
+      this.contracts = result.data;
 
-      // Initialize map pin functionality for new cards
-      if (window.MapController) {
-        window.MapController.initializePins();
+      // Licenses are needed to check each card's state
+      if (window.licenseManager) {
+        await window.licenseManager.loadLicenses();
       }
 
-      // Store contracts for future operations
-      this.contracts = result.data;
+      // Build cards and map markers for the current search, filters and sort
+      this.populateFilterOptions();
+      this.renderContracts();
 
-      // Update contract count in the title
-      this.updateContractCount(result.data.length);
+      // Keep profile statistics in sync with the logbook
+      if (window.profileManager) {
+        window.profileManager.updateUserContracts(result.data);
+      }
 
       // Toggle between test contracts buttons based on whether user has contracts
       const loadTestContractsBtn = document.querySelector('#load-test-contracts');
       const removeAllContractsBtn = document.querySelector('#remove-all-contracts');
       
       if (result.data.length === 0) {
-        // Show load button if no contracts exist
-        if (loadTestContractsBtn) loadTestContractsBtn.style.display = 'inline-block';
+        // Show load button if no contracts exist (developer tool, off in production)
+        if (loadTestContractsBtn && window.AppConfig.isFeatureEnabled('testContracts')) {
+          loadTestContractsBtn.style.display = 'inline-block';
+        }
         if (removeAllContractsBtn) removeAllContractsBtn.style.display = 'none';
       } else {
         // Show remove button if contracts exist
@@ -651,11 +783,6 @@ class LogbookApp {
         if (removeAllContractsBtn) removeAllContractsBtn.style.display = 'inline-block';
       }
 
-      // Refresh contract markers on map
-      if (window.MapController) {
-        window.MapController.refreshMarkers(result.data);
-      }
-
 
     } catch (error) {
     }
@@ -666,61 +793,53 @@ class LogbookApp {
     await this.loadContractsFromDatabase();
   }
 
-  // Calculate tax compliance status based on contract end date
-  calculateTaxComplianceStatus(endDate) {
-    const today = new Date();
-    
-    // Handle missing or invalid end dates
-    if (!endDate) {
-      return {
-        statusClass: 'contract-current',
-        tooltipText: 'Currently Working'
-      };
-    }
-    
-    const contractEndDate = new Date(endDate);
-    
-    // Check if end date is in the future (currently working)
-    if (contractEndDate > today) {
+  // Calculate tax compliance status through the shared tax rules engine
+  calculateTaxComplianceStatus(contract, allContracts = this.contracts) {
+    if (!window.TaxRules) {
       return {
         statusClass: 'contract-current',
-        tooltipText: 'Currently Working'
+        tooltipText: 'Currently Working',
+        reasons: []
       };
     }
     
-    // Calculate time difference in milliseconds
-    const timeDifference = today - contractEndDate;
-    const twoYearsInMs = 2 * 365.25 * 24 * 60 * 60 * 1000; // Account for leap years
-    
-    if (timeDifference < twoYearsInMs) {
-      // Ended within 2 years - tax restriction active
-      return {
-        statusClass: 'contract-restricted',
-        tooltipText: 'Cannot Return Yet'
-      };
-    } else {
-      // Ended 2+ years ago - clear to return
-      return {
-        statusClass: 'contract-available',
-        tooltipText: 'Can Return Now'
-      };
-    }
+    return window.TaxRules.evaluate(contract, allContracts);
   }
 
   // Create contract card HTML element
   createContractCard(contract) {
     const card = document.createElement('div');
     
-    // Calculate tax compliance status based on end date
-    const { statusClass, tooltipText } = this.calculateTaxComplianceStatus(contract.end_date);
+    // Calculate tax compliance status from the tax rules
+    const { statusClass, tooltipText, reasons } = this.calculateTaxComplianceStatus(contract);
     
     card.className = `card ${statusClass}`;
     card.title = tooltipText;
+    
+    // Flag assignments inside the tax home exclusion zone
+    if (reasons.some(reason => reason.rule === 'distanceRadiusRule')) {
+      card.classList.add('contract-near-tax-home');
+    }
+    
+    // Flag other rule violations (one-year or cumulative metro limits)
+    if (reasons.some(reason => reason.severity === 'violation' && reason.rule !== 'distanceRadiusRule')) {
+      card.classList.add('contract-rule-violation');
+    }
+    
+    // Flag contracts in states without a valid license on the start date
+    const licenseCheck = window.licenseManager ? window.licenseManager.checkContract(contract) : null;
+    if (licenseCheck && !licenseCheck.valid) {
+      card.title += `\n${licenseCheck.message}`;
+    }
+    
     card.innerHTML = `
       <div class="card-content">
         <div class="hospital-name">${escapeHtml(contract.hospital_name)}</div>
         <div class="address">${escapeHtml(contract.address || 'Not provided')}</div>
         <div class="dates">${contract.start_date} → ${contract.end_date || 'Ongoing'}</div>
+        ${this.createLifecycleHtml(contract, card)}
+        ${this.createPaySummaryHtml(contract)}
+        ${licenseCheck && !licenseCheck.valid ? `<div class="license-warning">⚠️ ${escapeHtml(licenseCheck.message)}</div>` : ''}
       </div>
       ${contract.latitude && contract.longitude ? 
         `<button class="map-pin" data-lat="${contract.latitude}" data-lng="${contract.longitude}"><img src="images/map_pin.png" alt="View on map"></button>` : 
@@ -734,30 +853,76 @@ class LogbookApp {
         return;
       }
       
-      if (window.contractFormController) {
-        // Check if contract form is already open with this same contract
-        const contractSlideout = document.getElementById('contract-slideout');
-        const isContractFormOpen = contractSlideout && contractSlideout.classList.contains('open');
-        const isSameContract = window.contractFormController.currentContract && 
-                              window.contractFormController.currentContract.id === contract.id;
-        
-        if (isContractFormOpen && isSameContract) {
-          // If same contract form is open, close it
-          window.contractFormController.closeForm();
-        } else {
-          // Close profile form if open, then open this contract form
-          if (window.profileManager) {
-            window.profileManager.closeProfile();
-          }
-          window.contractFormController.openDisplayMode(contract);
-        }
-      } else {
-      }
+      this.showContractDetails(contract);
     });
     
     return card;
   }
 
+  // Lifecycle badge plus extension and cancellation notes; also tags the card with its state
+  createLifecycleHtml(contract, card) {
+    if (!window.ContractLifecycle) {
+      return '';
+    }
+    
+    const lifecycle = window.ContractLifecycle;
+    const status = lifecycle.getStatus(contract, this.contracts);
+    card.classList.add(`lifecycle-${status}`);
+    
+    let notes = '';
+    if (contract.parent_contract_id) {
+      const root = lifecycle.getRoot(contract, this.contracts);
+      card.classList.add('contract-extension');
+      notes += `<div class="lifecycle-note">Extension of ${escapeHtml(root.hospital_name || '')} (${root.start_date || ''})</div>`;
+    }
+    
+    if (status === 'cancelled') {
+      const by = lifecycle.CANCELLED_BY_LABELS[contract.cancelled_by];
+      notes += `<div class="lifecycle-note">Cancelled ${contract.cancelled_at || ''}${by ? ` by ${escapeHtml(by)}` : ''}${contract.cancellation_reason ? `: ${escapeHtml(contract.cancellation_reason)}` : ''}</div>`;
+    }
+    
+    return `<div class="lifecycle-row"><span class="lifecycle-badge lifecycle-${status}">${lifecycle.LABELS[status]}</span></div>${notes}`;
+  }
+
+  // Open a contract in the slideout, or close it if that contract is already showing
+  showContractDetails(contract) {
+    if (!window.contractFormController) {
+      return;
+    }
+    
+    // Check if contract form is already open with this same contract
+    const contractSlideout = document.getElementById('contract-slideout');
+    const isContractFormOpen = contractSlideout && contractSlideout.classList.contains('open');
+    const isSameContract = window.contractFormController.currentContract && 
+                          window.contractFormController.currentContract.id === contract.id;
+    
+    if (isContractFormOpen && isSameContract) {
+      // If same contract form is open, close it
+      window.contractFormController.closeForm();
+    } else {
+      // Close profile and import forms if open, then open this contract form
+      if (window.profileManager) {
+        window.profileManager.closeProfile();
+      }
+      if (window.contractImporter) {
+        window.contractImporter.close();
+      }
+      window.contractFormController.openDisplayMode(contract);
+    }
+  }
+
+  // Build the earnings line shown on a contract card (empty without pay data)
+  createPaySummaryHtml(contract) {
+    if (!window.PayPackage || !window.PayPackage.hasPayPackage(contract)) {
+      return '';
+    }
+    
+    const pay = window.PayPackage.calculate(contract);
+    const agency = contract.agency ? ` · ${escapeHtml(contract.agency)}` : '';
+    
+    return `<div class="pay-summary">${window.PayPackage.formatCurrency(pay.weeklyGross)}/wk · ${window.PayPackage.formatCurrency(pay.totalContractValue)} total${agency}</div>`;
+  }
+
   // Setup header buttons (Profile and Logout)
   setupHeaderButtons() {
     const profileBtn = document.getElementById('profile-btn');
@@ -9,24 +9,21 @@ let contractMap;
 function initializeMap() {
     contractMap = L.map('map').setView([39.8283, -98.5795], 4); // Centered on US
 
-    const defaultLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; OpenStreetMap contributors'
+    // Tile providers come from the runtime config; the first one is shown by default
+    const baseMaps = {};
+    window.AppConfig.get('map.tileLayers', []).forEach(layer => {
+        baseMaps[layer.name] = L.tileLayer(layer.url, layer.options || {});
     });
 
-    const satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-        attribution: '&copy; Esri'
-    });
-
-    // Add default layer to map
-    defaultLayer.addTo(contractMap);
+    const layers = Object.values(baseMaps);
+    if (layers.length > 0) {
+        layers[0].addTo(contractMap);
+    }
 
     // Create a layer control to switch between views
-    const baseMaps = {
-        Default: defaultLayer,
-        Satellite: satelliteLayer
-    };
-
-    L.control.layers(baseMaps).addTo(contractMap);
+    if (layers.length > 1) {
+        L.control.layers(baseMaps).addTo(contractMap);
+    }
     
     // Initialize marker arrays
     contractMarkers = [];
@@ -267,44 +264,35 @@ function calculateCircleZoomLevel(latitude, longitude) {
     return 8;
 }
 
-// Get tax compliance circle color based on end date
-function getCircleColor(endDate) {
-    // Recreate the tax compliance logic here for map colors
-    const today = new Date();
-    
-    if (!endDate) {
-        return '#2196F3'; // Blue for current (no end date)
+// Get tax compliance circle color from the shared tax rules engine
+function getCircleColor(contract, allContracts) {
+    if (!window.TaxRules) {
+        return '#2196F3'; // Blue until the rules engine is available
     }
     
-    const contractEndDate = new Date(endDate);
-    
-    if (contractEndDate > today) {
-        return '#2196F3'; // Blue for current contracts (matches card theme)
+    const evaluation = window.TaxRules.evaluate(contract, allContracts || [contract]);
+    return window.TaxRules.getStatusColor(evaluation.status);
+}
+
+// Cancelled assignments that were never worked are grey; planned and cancelled ones are dashed
+function getCircleStyle(contract, allContracts) {
+    const style = { color: getCircleColor(contract, allContracts), dashArray: null };
+    if (!window.ContractLifecycle) {
+        return style;
     }
     
-    const timeDifference = today - contractEndDate;
-    const twoYearsInMs = 2 * 365.25 * 24 * 60 * 60 * 1000;
-    
-    if (timeDifference < twoYearsInMs) {
-        return '#F44336'; // Red for restricted areas (matches card theme)
-    } else {
-        return '#4CAF50'; // Green for available areas (matches card theme)
+    const status = window.ContractLifecycle.getStatus(contract, allContracts || [contract]);
+    if (status === 'cancelled' && !window.ContractLifecycle.wasWorked(contract)) {
+        style.color = '#9E9E9E';
     }
-    
-    switch (statusClass) {
-        case 'contract-current':
-            return '#4A90E2'; // Blue for current contracts
-        case 'contract-restricted':
-            return '#FF6B6B'; // Red for restricted areas
-        case 'contract-available':
-            return '#4CAF50'; // Green for available areas
-        default:
-            return '#4A90E2';
+    if (status === 'planned' || status === 'cancelled') {
+        style.dashArray = '6 6';
     }
+    return style;
 }
 
 // Add a contract to the map with marker and circle
-function addContractToMap(contract) {
+function addContractToMap(contract, allContracts) {
     if (!contract.latitude || !contract.longitude || !contractMap) {
         return;
     }
@@ -321,16 +309,21 @@ function addContractToMap(contract) {
         lng = lng - 360; // Convert positive longitude to negative equivalent
     }
     
-    // Create marker with custom icon
+    // Create marker with custom icon (draggable so a location can be corrected)
     const marker = L.marker([lat, lng], {
-        icon: createCustomMapIcon()
+        icon: createCustomMapIcon(),
+        draggable: true
     }).addTo(contractMap);
     
     // Create tooltip content matching card format
+    const lifecycleStatus = window.ContractLifecycle
+        ? window.ContractLifecycle.LABELS[window.ContractLifecycle.getStatus(contract, allContracts || [contract])]
+        : '';
     const tooltipContent = `
         <strong>${contract.hospital_name}</strong><br>
         ${contract.address || 'Address not provided'}<br>
         ${contract.start_date} → ${contract.end_date || 'Ongoing'}
+        ${lifecycleStatus ? `<br>${lifecycleStatus}` : ''}
     `;
     
     // Bind tooltip to marker
@@ -345,16 +338,27 @@ function addContractToMap(contract) {
     });
     
     // Create 50-mile radius circle
-    const circleColor = getCircleColor(contract.end_date);
+    const circleStyle = getCircleStyle(contract, allContracts);
     const circle = L.circle([lat, lng], {
         radius: 80467, // 50 miles in meters
-        color: circleColor,
+        color: circleStyle.color,
         weight: 2,
         opacity: 0.8,
-        fillColor: circleColor,
+        dashArray: circleStyle.dashArray,
+        fillColor: circleStyle.color,
         fillOpacity: 0.2
     }).addTo(contractMap);
     
+    // Keep the circle centered on the marker while it is dragged
+    marker.on('drag', function() {
+        circle.setLatLng(marker.getLatLng());
+    });
+    
+    // Offer to save the new location once the marker is dropped
+    marker.on('dragend', function() {
+        handleContractMarkerMoved(contract, marker, circle, [lat, lng]);
+    });
+    
     // Store references for later management
     contractMarkers.push({
         marker: marker,
@@ -365,6 +369,42 @@ function addContractToMap(contract) {
     });
 }
 
+// Confirm and save a contract location after its marker was dragged
+async function handleContractMarkerMoved(contract, marker, circle, originalLatLng) {
+    const newLatLng = marker.getLatLng().wrap(); // Undo Pacific normalization
+    const latitude = parseFloat(newLatLng.lat.toFixed(4));
+    const longitude = parseFloat(newLatLng.lng.toFixed(4));
+    
+    const revertMarker = () => {
+        marker.setLatLng(originalLatLng);
+        circle.setLatLng(originalLatLng);
+    };
+    
+    const confirmed = confirm(`Update the location of ${contract.hospital_name}?\n\nNew coordinates: ${latitude}, ${longitude}`);
+    if (!confirmed) {
+        revertMarker();
+        return;
+    }
+    
+    const user = window.auth?.getCurrentUser();
+    if (!user || !window.database) {
+        alert('Error: User not authenticated');
+        revertMarker();
+        return;
+    }
+    
+    const result = await window.database.updateContract(contract.id, user.id, { latitude, longitude });
+    
+    if (result.success) {
+        if (window.logbookApp) {
+            await window.logbookApp.loadContractsFromDatabase();
+        }
+    } else {
+        alert('Failed to update contract location: ' + result.error);
+        revertMarker();
+    }
+}
+
 // Remove all contract markers and circles from map
 function clearContractMarkers() {
     contractMarkers.forEach(item => {
@@ -378,8 +418,10 @@ function clearContractMarkers() {
     contractMarkers = [];
 }
 
-// Refresh all contract markers on the map
-function refreshContractMarkers(contracts) {
+// Refresh contract markers on the map
+// allContracts is the whole logbook, used for tax status when only a filtered set is shown
+// fit set to false keeps the current view (used while searching)
+function refreshContractMarkers(contracts, allContracts = contracts, fit = true) {
     // Clear existing markers
     clearContractMarkers();
     
@@ -392,14 +434,18 @@ function refreshContractMarkers(contracts) {
     // Add markers for all contracts
     if (contracts && contracts.length > 0) {
         contracts.forEach(contract => {
-            addContractToMap(contract);
+            addContractToMap(contract, allContracts);
         });
+
+        if (!fit) {
+            return;
+        }
         
         // Auto-fit map to show all contracts after a brief delay
         setTimeout(() => {
             fitMapToAllContracts(contracts, true);
         }, 100);
-    } else {
+    } else if (fit) {
         // No contracts - show default CONUS view
         if (contractMap) {
             contractMap.setView([39.8283, -98.5795], 4);
@@ -534,6 +580,162 @@ function zoomToContractLocation(latitude, longitude) {
     }
 }
 
+//=============================================================================
+// TAX HOME - Marker and 50-mile exclusion zone around the declared tax home
+//=============================================================================
+
+let taxHomeMarker = null;
+let taxHomeCircle = null;
+
+// Draw (or redraw) the tax home marker and its exclusion zone
+function showTaxHome(taxHome) {
+    clearTaxHome();
+    
+    if (!contractMap || !taxHome) return;
+    
+    const lat = parseFloat(taxHome.latitude);
+    let lng = parseFloat(taxHome.longitude);
+    
+    if (isNaN(lat) || isNaN(lng)) {
+        return;
+    }
+    
+    // Normalize Pacific coordinates for consistent display
+    if (lng > 0 && lng <= 180) {
+        lng = lng - 360;
+    }
+    
+    const radiusMiles = window.TaxHome ? window.TaxHome.getRadiusMiles() : 50;
+    
+    taxHomeMarker = L.marker([lat, lng], {
+        icon: L.divIcon({
+            className: 'tax-home-icon',
+            html: '🏠',
+            iconSize: [28, 28],
+            iconAnchor: [14, 14]
+        }),
+        zIndexOffset: 500
+    }).addTo(contractMap);
+    
+    taxHomeMarker.bindTooltip(`
+        <strong>Tax Home</strong><br>
+        ${escapeHtml(taxHome.address || 'Address not provided')}<br>
+        ${radiusMiles}-mile exclusion zone
+    `, {
+        permanent: false,
+        direction: 'top'
+    });
+    
+    // Dashed purple circle keeps the tax home distinct from contract circles
+    taxHomeCircle = L.circle([lat, lng], {
+        radius: radiusMiles * 1609.34, // Miles to meters
+        color: '#9C27B0',
+        weight: 2,
+        opacity: 0.9,
+        dashArray: '8 6',
+        fillColor: '#9C27B0',
+        fillOpacity: 0.08,
+        interactive: false
+    }).addTo(contractMap);
+}
+
+// Remove the tax home marker and exclusion zone from the map
+function clearTaxHome() {
+    if (!contractMap) return;
+    
+    if (taxHomeMarker) {
+        contractMap.removeLayer(taxHomeMarker);
+        taxHomeMarker = null;
+    }
+    
+    if (taxHomeCircle) {
+        contractMap.removeLayer(taxHomeCircle);
+        taxHomeCircle = null;
+    }
+}
+
+//=============================================================================
+// LOCATION PICKING - Click or drag a pin to choose contract coordinates
+//=============================================================================
+
+let locationPickerMarker = null;
+let locationPickerCallback = null;
+
+// Place (or move) the picker pin, normalizing Pacific longitudes like contract markers
+function setLocationPickerPosition(latitude, longitude) {
+    if (!contractMap) return;
+    
+    const lat = parseFloat(latitude);
+    let lng = parseFloat(longitude);
+    
+    if (isNaN(lat) || isNaN(lng)) {
+        return;
+    }
+    
+    if (lng > 0 && lng <= 180) {
+        lng = lng - 360;
+    }
+    
+    if (locationPickerMarker) {
+        locationPickerMarker.setLatLng([lat, lng]);
+        return;
+    }
+    
+    // Default Leaflet marker keeps the picker visually distinct from contract pins
+    locationPickerMarker = L.marker([lat, lng], {
+        draggable: true,
+        zIndexOffset: 1000
+    }).addTo(contractMap);
+    
+    locationPickerMarker.bindTooltip('New contract location - drag to adjust', {
+        direction: 'top'
+    });
+    
+    locationPickerMarker.on('dragend', () => {
+        notifyLocationPicked(locationPickerMarker.getLatLng());
+    });
+}
+
+// Report a picked location to the active callback in real coordinates
+function notifyLocationPicked(latlng) {
+    if (!locationPickerCallback) return;
+    
+    const wrapped = latlng.wrap();
+    locationPickerCallback(
+        parseFloat(wrapped.lat.toFixed(4)),
+        parseFloat(wrapped.lng.toFixed(4))
+    );
+}
+
+function handleLocationPickerClick(e) {
+    setLocationPickerPosition(e.latlng.lat, e.latlng.lng);
+    notifyLocationPicked(e.latlng);
+}
+
+// Start listening for map clicks; onPick(latitude, longitude) receives each choice
+function enableLocationPicking(onPick) {
+    if (!contractMap) return;
+    
+    disableLocationPicking();
+    locationPickerCallback = onPick;
+    contractMap.on('click', handleLocationPickerClick);
+    contractMap.getContainer().classList.add('location-picking');
+}
+
+// Stop listening for map clicks and remove the picker pin
+function disableLocationPicking() {
+    if (!contractMap) return;
+    
+    contractMap.off('click', handleLocationPickerClick);
+    contractMap.getContainer().classList.remove('location-picking');
+    locationPickerCallback = null;
+    
+    if (locationPickerMarker) {
+        contractMap.removeLayer(locationPickerMarker);
+        locationPickerMarker = null;
+    }
+}
+
 //=============================================================================
 // MAP CONTROLLER API - Public Interface for External Access
 //=============================================================================
@@ -551,6 +753,15 @@ window.MapController = {
     // Individual contract interaction
     zoomToLocation: zoomToContractLocation,
     
+    // Tax home exclusion zone
+    showTaxHome: showTaxHome,
+    clearTaxHome: clearTaxHome,
+    
+    // Location picking for the contract form
+    enableLocationPicking: enableLocationPicking,
+    disableLocationPicking: disableLocationPicking,
+    setPickerLocation: setLocationPickerPosition,
+    
     // Direct access to map instance (for advanced operations)
     getMap: () => contractMap
 };
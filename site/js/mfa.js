@@ -0,0 +1,216 @@
+/**
+ * Two-Factor Authentication
+ * TOTP enrollment with a QR code, recovery codes and unenrollment in the profile slideout.
+ * The sign-in challenge itself lives on index.html (see index.js)
+ */
+
+class MfaManager {
+  constructor() {
+    this.initialized = false;
+    this.pendingFactorId = null;
+    this.verifiedFactors = [];
+    this.recoveryCodes = null;
+  }
+
+  // Bind the profile controls once the profile component is in the DOM
+  initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    const enrollBtn = document.getElementById('mfa-enroll-btn');
+    if (!enrollBtn) {
+      return false;
+    }
+
+    enrollBtn.addEventListener('click', () => this.startEnrollment());
+    document.getElementById('mfa-verify-btn').addEventListener('click', () => this.confirmEnrollment());
+    document.getElementById('mfa-cancel-btn').addEventListener('click', () => this.cancelEnrollment());
+    document.getElementById('mfa-regenerate-btn').addEventListener('click', () => this.regenerateCodes());
+    document.getElementById('mfa-disable-btn').addEventListener('click', () => this.disable());
+    document.getElementById('mfa-download-codes-btn').addEventListener('click', () => this.downloadCodes());
+    document.getElementById('mfa-done-btn').addEventListener('click', () => this.hideCodes());
+
+    this.initialized = true;
+    return true;
+  }
+
+  // Show whether two-factor authentication is on and which controls apply
+  async refresh() {
+    if (!this.initialize()) {
+      return;
+    }
+
+    const status = document.getElementById('mfa-status');
+    const enrollBtn = document.getElementById('mfa-enroll-btn');
+    const manage = document.getElementById('mfa-manage');
+
+    if (window.backend.type === 'local') {
+      status.textContent = 'Not available with the local backend';
+      enrollBtn.style.display = 'none';
+      manage.style.display = 'none';
+      return;
+    }
+
+    const factors = await window.auth.getMfaFactors();
+    if (!factors.success) {
+      status.textContent = 'Unknown';
+      this.showError('Failed to load two-factor status: ' + factors.error);
+      return;
+    }
+
+    this.verifiedFactors = factors.verified;
+    const enabled = factors.verified.length > 0;
+    const enrolling = document.getElementById('mfa-enrollment').style.display !== 'none';
+
+    status.textContent = enabled
+      ? `On (authenticator app added ${new Date(factors.verified[0].created_at).toLocaleDateString()})`
+      : 'Off';
+    enrollBtn.style.display = enabled || enrolling ? 'none' : 'inline-block';
+    manage.style.display = enabled ? 'block' : 'none';
+  }
+
+  async startEnrollment() {
+    const result = await window.auth.enrollMfa();
+    if (!result.success) {
+      this.showError('Failed to start two-factor setup: ' + result.error);
+      return;
+    }
+
+    this.pendingFactorId = result.factorId;
+    document.getElementById('mfa-qr-code').src = result.qrCode;
+    document.getElementById('mfa-secret').textContent = result.secret;
+    document.getElementById('mfa-enroll-code').value = '';
+    document.getElementById('mfa-enrollment').style.display = 'block';
+    document.getElementById('mfa-enroll-btn').style.display = 'none';
+    document.getElementById('mfa-enroll-code').focus();
+  }
+
+  // The first code proves the app is set up; verifying it also raises this
+  // session to the second assurance level, which recovery codes require
+  async confirmEnrollment() {
+    const code = document.getElementById('mfa-enroll-code').value.replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(code)) {
+      this.showError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    const button = document.getElementById('mfa-verify-btn');
+    button.disabled = true;
+
+    const result = await window.auth.verifyMfa(code, this.pendingFactorId);
+    button.disabled = false;
+
+    if (!result.success) {
+      this.showError('Code not accepted: ' + result.error);
+      return;
+    }
+
+    this.pendingFactorId = null;
+    document.getElementById('mfa-enrollment').style.display = 'none';
+    this.showSuccess('Two-factor authentication is on');
+
+    await this.refresh();
+    await this.generateCodes();
+  }
+
+  async cancelEnrollment() {
+    if (this.pendingFactorId) {
+      await window.auth.unenrollMfa(this.pendingFactorId);
+      this.pendingFactorId = null;
+    }
+    document.getElementById('mfa-enrollment').style.display = 'none';
+    await this.refresh();
+  }
+
+  async generateCodes() {
+    const result = await window.auth.generateRecoveryCodes();
+    if (!result.success) {
+      this.showError('Recovery codes could not be created: ' + result.error + '. Use "New Recovery Codes" to try again.');
+      return;
+    }
+
+    this.recoveryCodes = result.codes;
+    const list = document.getElementById('mfa-recovery-list');
+    list.innerHTML = '';
+    result.codes.forEach(code => {
+      const item = document.createElement('li');
+      item.textContent = code;
+      list.appendChild(item);
+    });
+    document.getElementById('mfa-recovery-codes').style.display = 'block';
+  }
+
+  async regenerateCodes() {
+    if (!confirm('Create new recovery codes?\n\nYour current recovery codes will stop working.')) {
+      return;
+    }
+    await this.generateCodes();
+  }
+
+  downloadCodes() {
+    const user = window.auth.getCurrentUser();
+    const content = [
+      'Travel Nurse Logbook - two-factor recovery codes',
+      `Account: ${user ? user.email : ''}`,
+      `Created: ${new Date().toLocaleString()}`,
+      '',
+      'Each code works once. Using one turns two-factor authentication off until you set it up again.',
+      '',
+      ...(this.recoveryCodes || [])
+    ].join('\n');
+
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'travel-nurse-logbook-recovery-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Recovery codes are never shown again once dismissed
+  hideCodes() {
+    this.recoveryCodes = null;
+    document.getElementById('mfa-recovery-list').innerHTML = '';
+    document.getElementById('mfa-recovery-codes').style.display = 'none';
+  }
+
+  async disable() {
+    if (!confirm('Turn off two-factor authentication?\n\nSigning in will only need your password.')) {
+      return;
+    }
+
+    for (const factor of this.verifiedFactors) {
+      const result = await window.auth.unenrollMfa(factor.id);
+      if (!result.success) {
+        this.showError('Failed to turn off two-factor authentication: ' + result.error);
+        await this.refresh();
+        return;
+      }
+    }
+
+    // Refresh so the session no longer expects a second factor
+    await window.backend.auth.refreshSession();
+    this.hideCodes();
+    this.showSuccess('Two-factor authentication turned off');
+    await this.refresh();
+  }
+
+  // Messages share the profile's message area
+  showError(message) {
+    if (window.profileManager) {
+      window.profileManager.showProfileError(message);
+    }
+  }
+
+  showSuccess(message) {
+    if (window.profileManager) {
+      window.profileManager.showProfileSuccess(message);
+    }
+  }
+}
+
+// Create global instance
+window.mfaManager = new MfaManager();
@@ -0,0 +1,205 @@
+// Offline storage for Travel Nurse Logbook
+// IndexedDB mirror of contracts and profile, plus the queue of changes made while offline.
+// Every record carries the user_id it belongs to. The mirrors are cleared on sign-out (the
+// queue too, once its changes are synced or the user discards them), and everything of
+// anyone else's is removed on sign-in (see js/route-guard.js)
+
+const OFFLINE_STORE_NAMES = ['contracts', 'profiles', 'queue'];
+
+class OfflineStore {
+    constructor() {
+        this.dbName = 'tnl_offline';
+        this.version = 2; // 2 added the queue's user_id index
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('Offline storage is not available in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('contracts')) {
+                        const contracts = db.createObjectStore('contracts', { keyPath: 'id' });
+                        contracts.createIndex('user_id', 'user_id');
+                    }
+                    if (!db.objectStoreNames.contains('profiles')) {
+                        db.createObjectStore('profiles', { keyPath: 'user_id' });
+                    }
+                    const queue = db.objectStoreNames.contains('queue')
+                        ? request.transaction.objectStore('queue')
+                        : db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                    if (!queue.indexNames.contains('user_id')) {
+                        queue.createIndex('user_id', 'user_id');
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one request (or several) in a transaction and resolve when it commits
+    async run(storeName, mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Contract Mirror
+    async getContracts(userId) {
+        const contracts = await this.run('contracts', 'readonly', store => store.index('user_id').getAll(userId));
+        // Same order the server returns: newest start date first
+        return (contracts || []).sort((a, b) => (b.start_date || '').localeCompare(a.start_date || ''));
+    }
+
+    async getContract(contractId, userId) {
+        const contract = await this.run('contracts', 'readonly', store => store.get(contractId));
+        return contract && contract.user_id === userId ? contract : null;
+    }
+
+    // Replace the user's mirrored contracts with a fresh copy from the server
+    replaceContracts(userId, contracts) {
+        return this.run('contracts', 'readwrite', store => {
+            store.index('user_id').openCursor(IDBKeyRange.only(userId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                } else {
+                    contracts.forEach(contract => store.put(contract));
+                }
+            };
+        });
+    }
+
+    putContract(contract) {
+        return this.run('contracts', 'readwrite', store => store.put(contract));
+    }
+
+    deleteContract(contractId) {
+        return this.run('contracts', 'readwrite', store => store.delete(contractId));
+    }
+
+    // Profile Mirror
+    getProfile(userId) {
+        return this.run('profiles', 'readonly', store => store.get(userId));
+    }
+
+    putProfile(profile) {
+        return this.run('profiles', 'readwrite', store => store.put(profile));
+    }
+
+    // Sync Queue
+    // Without a user id the whole queue is returned, so the replay can drop other users' changes
+    async getQueue(userId = null) {
+        const queue = await this.run('queue', 'readonly', store =>
+            userId ? store.index('user_id').getAll(userId) : store.getAll());
+        return queue || [];
+    }
+
+    async countQueue(userId) {
+        return (await this.run('queue', 'readonly', store => store.index('user_id').count(userId))) || 0;
+    }
+
+    removeQueued(entryId) {
+        return this.run('queue', 'readwrite', store => store.delete(entryId));
+    }
+
+    updateQueued(entry) {
+        return this.run('queue', 'readwrite', store => store.put(entry));
+    }
+
+    // Add a change to the queue, folding it into earlier changes to the same record:
+    // updates to a record created offline become part of the create, and deleting a
+    // record created offline drops it without ever reaching the server
+    async queueChange(change) {
+        const queue = await this.getQueue(change.user_id);
+        const related = queue.filter(entry => entry.table === change.table && entry.record_id === change.record_id);
+        const pendingCreate = related.find(entry => entry.action === 'create');
+
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('queue', 'readwrite');
+            const store = transaction.objectStore('queue');
+
+            if (change.action === 'update' && pendingCreate) {
+                store.put({ ...pendingCreate, data: { ...pendingCreate.data, ...change.data } });
+            } else if (change.action === 'delete' && pendingCreate) {
+                related.forEach(entry => store.delete(entry.id));
+            } else {
+                if (change.action === 'delete') {
+                    related.forEach(entry => store.delete(entry.id));
+                }
+                store.add({ ...change, queued_at: new Date().toISOString() });
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Account Scope
+    // Remove everything, or only the given stores (e.g. the mirrors but not the queue)
+    async clear(storeNames = OFFLINE_STORE_NAMES) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(name => transaction.objectStore(name).clear());
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Remove every record that belongs to someone other than userId, e.g. left behind
+    // when a session expired instead of being signed out
+    async keepOnly(userId) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OFFLINE_STORE_NAMES, 'readwrite');
+            OFFLINE_STORE_NAMES.forEach(name => {
+                transaction.objectStore(name).openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        if (cursor.value.user_id !== userId) {
+                            cursor.delete();
+                        }
+                        cursor.continue();
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+// Create global instance
+window.offlineStore = new OfflineStore();
@@ -0,0 +1,96 @@
+//=============================================================================
+// PAY PACKAGE CALCULATIONS - Travel Nurse Logbook
+// Turns a contract's pay fields into weekly and total contract earnings
+//=============================================================================
+
+// Contract columns that make up a pay package
+const PAY_PACKAGE_FIELDS = [
+    'hourly_rate',
+    'housing_stipend',
+    'meals_stipend',
+    'guaranteed_hours',
+    'overtime_rate',
+    'bonuses',
+    'agency'
+];
+
+const STANDARD_WEEK_HOURS = 40;
+
+// Read a numeric pay field, treating blanks as zero
+function payValue(contract, key) {
+    const value = parseFloat(contract ? contract[key] : null);
+    return isNaN(value) ? 0 : value;
+}
+
+// Check whether a contract has any pay information worth showing
+function hasPayPackage(contract) {
+    return ['hourly_rate', 'housing_stipend', 'meals_stipend', 'bonuses']
+        .some(key => payValue(contract, key) > 0);
+}
+
+// Number of weeks between the contract start and end dates
+function contractWeeks(contract) {
+    if (!contract || !contract.start_date || !contract.end_date) {
+        return 0;
+    }
+
+    const start = new Date(contract.start_date);
+    const end = new Date(contract.end_date);
+    const days = (end - start) / (24 * 60 * 60 * 1000) + 1; // End date is inclusive
+
+    return days > 0 ? days / 7 : 0;
+}
+
+// Calculate weekly gross, blended hourly rate and total contract value
+function calculatePayPackage(contract) {
+    const hourlyRate = payValue(contract, 'hourly_rate');
+    const guaranteedHours = payValue(contract, 'guaranteed_hours');
+    const overtimeRate = payValue(contract, 'overtime_rate') || hourlyRate * 1.5;
+
+    // Guaranteed hours past a standard week are paid at the overtime rate
+    const regularHours = Math.min(guaranteedHours, STANDARD_WEEK_HOURS);
+    const overtimeHours = Math.max(guaranteedHours - STANDARD_WEEK_HOURS, 0);
+    const weeklyTaxable = regularHours * hourlyRate + overtimeHours * overtimeRate;
+
+    const weeklyStipends = payValue(contract, 'housing_stipend') + payValue(contract, 'meals_stipend');
+    const weeklyGross = weeklyTaxable + weeklyStipends;
+    const weeks = contractWeeks(contract);
+    const bonuses = payValue(contract, 'bonuses');
+
+    return {
+        weeklyTaxable,
+        weeklyStipends,
+        weeklyGross,
+        blendedHourlyRate: guaranteedHours > 0 ? weeklyGross / guaranteedHours : 0,
+        weeks,
+        bonuses,
+        totalContractValue: weeklyGross * weeks + bonuses
+    };
+}
+
+// Format a dollar amount for cards and display fields
+function formatCurrency(amount, fractionDigits = 0) {
+    const value = parseFloat(amount);
+    if (isNaN(value)) {
+        return '';
+    }
+
+    return value.toLocaleString('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    });
+}
+
+//=============================================================================
+// PAY PACKAGE API - Public Interface for External Access
+//=============================================================================
+
+window.PayPackage = {
+    fields: PAY_PACKAGE_FIELDS,
+    hasPayPackage: hasPayPackage,
+    calculate: calculatePayPackage,
+    contractWeeks: contractWeeks,
+    formatCurrency: formatCurrency
+};
@@ -29,6 +29,82 @@ class ProfileManager {
       setTimeout(() => this.setupCloseButton(), 1000);
     }
 
+    // Setup tax home buttons
+    const taxHomeGeocodeBtn = document.getElementById('tax-home-geocode-btn');
+    if (taxHomeGeocodeBtn) {
+      taxHomeGeocodeBtn.addEventListener('click', () => {
+        this.geocodeTaxHome();
+      });
+    }
+
+    const saveTaxHomeBtn = document.getElementById('save-tax-home-btn');
+    if (saveTaxHomeBtn) {
+      saveTaxHomeBtn.addEventListener('click', () => {
+        this.saveTaxHome();
+      });
+    }
+
+    // Setup tax rules buttons
+    const saveTaxRulesBtn = document.getElementById('save-tax-rules-btn');
+    if (saveTaxRulesBtn) {
+      saveTaxRulesBtn.addEventListener('click', () => {
+        this.saveTaxRules();
+      });
+    }
+
+    const resetTaxRulesBtn = document.getElementById('reset-tax-rules-btn');
+    if (resetTaxRulesBtn) {
+      resetTaxRulesBtn.addEventListener('click', () => {
+        this.resetTaxRules();
+      });
+    }
+
+    // Statistics dashboard lives in the contract panel
+    const openStatisticsBtn = document.getElementById('open-statistics-btn');
+    if (openStatisticsBtn) {
+      openStatisticsBtn.addEventListener('click', () => {
+        this.closeProfile();
+        if (window.logbookApp) {
+          window.ContractView.update({ layout: 'stats' });
+          window.logbookApp.updateLayout();
+        }
+      });
+    }
+
+    // Setup license tracker
+    if (window.licenseManager) {
+      window.licenseManager.initialize();
+    }
+
+    // Setup two-factor authentication
+    if (window.mfaManager) {
+      window.mfaManager.initialize();
+    }
+
+    // Back from linking a provider: open the profile to show how it went
+    this.showLinkResult();
+
+    // Setup backup restore
+    if (window.backupRestorer) {
+      window.backupRestorer.initialize();
+    }
+
+    // Setup change password
+    const changePasswordBtn = document.getElementById('change-password-btn');
+    if (changePasswordBtn) {
+      changePasswordBtn.addEventListener('click', () => {
+        this.changePassword();
+      });
+    }
+
+    // Setup data export (takeout)
+    const downloadDataBtn = document.getElementById('download-my-data-btn');
+    if (downloadDataBtn) {
+      downloadDataBtn.addEventListener('click', () => {
+        this.downloadMyData();
+      });
+    }
+
     // Setup nuclear delete button
     const nuclearBtn = document.getElementById('nuclear-delete-btn');
     if (nuclearBtn) {
@@ -57,11 +133,7 @@ class ProfileManager {
         updated_at: new Date().toISOString()
       };
 
-      const { data, error } = await window.supabaseClient
-        .from('user_profiles')
-        .insert(initialProfile)
-        .select()
-        .single();
+      const { data, error } = await window.backend.insert('user_profiles', initialProfile, { single: true });
 
       if (error) {
         return null;
@@ -106,8 +178,8 @@ class ProfileManager {
         return;
       }
 
-      if (!window.supabaseClient) {
-        console.log('⏳ Supabase not ready, retrying in 1s...');
+      if (!window.database) {
+        console.log('⏳ Database not ready, retrying in 1s...');
         setTimeout(() => this.loadProfileData(), 1000);
         return;
       }
@@ -119,43 +191,25 @@ class ProfileManager {
       }
 
       // Load profile data from database
-      try {
-        const { data: profileData, error } = await window.supabaseClient
-          .from('user_profiles')
-          .select('*')
-          .eq('user_id', user.id)
-          .single();
-
-        if (error && error.code !== 'PGRST116') {
-          this.userProfile = null;
-        } else if (profileData) {
-          this.userProfile = profileData;
-        } else {
-          this.userProfile = await this.createInitialProfile(user);
-        }
-      } catch (profileError) {
+      const profileResult = await window.database.getUserProfile(user.id);
+      if (!profileResult.success) {
         this.userProfile = null;
+      } else if (profileResult.data) {
+        this.userProfile = profileResult.data;
+      } else {
+        this.userProfile = await this.createInitialProfile(user);
       }
 
       // Load contracts data
-      try {
-        const { data: contractsData, error } = await window.supabaseClient
-          .from('contracts')
-          .select('*')
-          .eq('user_id', user.id);
-
-        if (error) {
-          this.userContracts = [];
-        } else {
-          this.userContracts = contractsData || [];
-        }
-      } catch (contractsError) {
-        this.userContracts = [];
-      }
+      const contractsResult = await window.database.getContracts(user.id);
+      this.userContracts = contractsResult.success ? contractsResult.data : [];
       
       // Update profile UI
       this.updateProfileUI(user);
       
+      // Draw the tax home exclusion zone on the map
+      this.refreshTaxHomeOnMap();
+      
       // Update profile button text in main app
       if (window.logbookApp && window.logbookApp.updateProfileButtonText) {
         window.logbookApp.updateProfileButtonText();
@@ -196,6 +250,12 @@ class ProfileManager {
     if (emailEl) emailEl.textContent = user.email;
     if (createdEl) createdEl.textContent = new Date(user.created_at).toLocaleDateString();
 
+    this.refreshSignInMethods();
+
+    if (window.mfaManager) {
+      window.mfaManager.refresh();
+    }
+
     // Personal information
     if (this.userProfile) {
       const firstNameEl = document.getElementById('first-name');
@@ -205,21 +265,52 @@ class ProfileManager {
       if (firstNameEl) firstNameEl.value = this.userProfile.first_name || '';
       if (lastNameEl) lastNameEl.value = this.userProfile.last_name || '';
       if (fullNameEl) fullNameEl.value = this.userProfile.full_name || '';
+
+      // Tax home
+      const taxHomeAddressEl = document.getElementById('tax-home-address');
+      const taxHomeLatitudeEl = document.getElementById('tax-home-latitude');
+      const taxHomeLongitudeEl = document.getElementById('tax-home-longitude');
+
+      if (taxHomeAddressEl) taxHomeAddressEl.value = this.userProfile.tax_home_address || '';
+      if (taxHomeLatitudeEl) taxHomeLatitudeEl.value = this.userProfile.tax_home_latitude ?? '';
+      if (taxHomeLongitudeEl) taxHomeLongitudeEl.value = this.userProfile.tax_home_longitude ?? '';
     }
 
     // Statistics
     if (this.userContracts) {
-      const activeContracts = this.userContracts.filter(c => c.status === 'active').length;
-      const completedContracts = this.userContracts.filter(c => c.status === 'completed').length;
+      // Count by lifecycle state; an extended period was worked to the end, so it counts as completed
+      const lifecycleCounts = { planned: 0, active: 0, extended: 0, completed: 0, cancelled: 0 };
+      if (window.ContractLifecycle) {
+        this.userContracts.forEach(c => {
+          lifecycleCounts[window.ContractLifecycle.getStatus(c, this.userContracts)]++;
+        });
+      }
       
       const totalEl = document.getElementById('total-contracts');
+      const plannedEl = document.getElementById('planned-contracts');
       const activeEl = document.getElementById('active-contracts');
       const completedEl = document.getElementById('completed-contracts');
+      const cancelledEl = document.getElementById('cancelled-contracts');
       
       if (totalEl) totalEl.textContent = this.userContracts.length;
-      if (activeEl) activeEl.textContent = activeContracts;
-      if (completedEl) completedEl.textContent = completedContracts;
+      if (plannedEl) plannedEl.textContent = lifecycleCounts.planned;
+      if (activeEl) activeEl.textContent = lifecycleCounts.active;
+      if (completedEl) completedEl.textContent = lifecycleCounts.completed + lifecycleCounts.extended;
+      if (cancelledEl) cancelledEl.textContent = lifecycleCounts.cancelled;
+
+      // Tax rule statistics
+      if (window.TaxRules) {
+        const taxSummary = window.TaxRules.summarize(this.userContracts);
+        const restrictedEl = document.getElementById('restricted-contracts');
+        const flaggedEl = document.getElementById('tax-flagged-contracts');
+
+        if (restrictedEl) restrictedEl.textContent = taxSummary.restricted;
+        if (flaggedEl) flaggedEl.textContent = taxSummary.violations;
+      }
     }
+
+    // Tax rules configuration
+    this.populateTaxRulesForm();
   }
 
   // Toggle Profile overlay menu
@@ -254,12 +345,420 @@ class ProfileManager {
     this.isProfileOpen = false;
   }
 
-  // Close all forms (profile and contract forms)
+  // Close all forms (profile, contract and import forms)
   closeAllForms() {
     this.closeProfile();
     if (window.contractFormController) {
       window.contractFormController.closeForm();
     }
+    if (window.contractImporter) {
+      window.contractImporter.close();
+    }
+  }
+
+  // Look up coordinates for the tax home address
+  async geocodeTaxHome() {
+    const address = document.getElementById('tax-home-address')?.value?.trim();
+    if (!address) {
+      this.showProfileError('Enter your tax home address first');
+      return;
+    }
+
+    if (!window.geocoder) {
+      this.showProfileError('Geocoding service is not available');
+      return;
+    }
+
+    const result = await window.geocoder.geocode(address);
+    if (!result.success || result.data.length === 0) {
+      this.showProfileError(result.success ? 'No coordinates found for this address' : 'Failed to look up coordinates: ' + result.error);
+      return;
+    }
+
+    // Tax home addresses are residential, so the best match is good enough
+    const match = result.data[0];
+    document.getElementById('tax-home-latitude').value = match.latitude.toFixed(4);
+    document.getElementById('tax-home-longitude').value = match.longitude.toFixed(4);
+    this.showProfileSuccess(`Coordinates set from ${match.label}`);
+  }
+
+  // Save the tax home address and coordinates to the profile
+  async saveTaxHome() {
+    const user = window.auth.getCurrentUser();
+    if (!user) {
+      this.showProfileError('Please log in to save changes');
+      return;
+    }
+
+    const address = document.getElementById('tax-home-address')?.value?.trim() || '';
+    const latitudeValue = document.getElementById('tax-home-latitude')?.value;
+    const longitudeValue = document.getElementById('tax-home-longitude')?.value;
+    const latitude = latitudeValue === '' ? null : parseFloat(latitudeValue);
+    const longitude = longitudeValue === '' ? null : parseFloat(longitudeValue);
+
+    // Clearing every field removes the tax home
+    const clearing = !address && latitude === null && longitude === null;
+
+    if (!clearing) {
+      if (latitude === null || longitude === null || isNaN(latitude) || isNaN(longitude)) {
+        this.showProfileError('Tax home needs valid coordinates. Use "Get Coordinates from Address" or enter them.');
+        return;
+      }
+
+      if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        this.showProfileError('Tax home coordinates are out of range');
+        return;
+      }
+    }
+
+    const result = await window.database.updateUserProfile(user.id, {
+      tax_home_address: clearing ? null : address,
+      tax_home_latitude: clearing ? null : latitude,
+      tax_home_longitude: clearing ? null : longitude
+    });
+
+    if (!result.success) {
+      this.showProfileError('Failed to save tax home: ' + result.error);
+      return;
+    }
+
+    this.userProfile = { ...this.userProfile, ...result.data };
+    this.refreshTaxHomeOnMap();
+
+    // Contract cards and circles depend on the tax home, so redraw them
+    if (window.logbookApp) {
+      await window.logbookApp.loadContractsFromDatabase();
+    }
+
+    this.showProfileSuccess(clearing ? 'Tax home removed' : 'Tax home saved');
+  }
+
+  // Draw or clear the tax home exclusion zone on the map
+  refreshTaxHomeOnMap() {
+    if (!window.MapController || !window.TaxHome) {
+      return;
+    }
+
+    const taxHome = window.TaxHome.get();
+    if (taxHome) {
+      window.MapController.showTaxHome(taxHome);
+    } else {
+      window.MapController.clearTaxHome();
+    }
+  }
+
+  // Fill the tax rules inputs from the active configuration
+  populateTaxRulesForm() {
+    if (!window.TaxRules) {
+      return;
+    }
+
+    const config = window.TaxRules.getConfig();
+    const setValue = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    };
+    const setChecked = (id, checked) => {
+      const el = document.getElementById(id);
+      if (el) el.checked = checked;
+    };
+
+    setChecked('rule-one-year-enabled', config.oneYearRule.enabled);
+    setValue('rule-one-year-months', config.oneYearRule.maxMonths);
+    setChecked('rule-metro-enabled', config.cumulativeMetroRule.enabled);
+    setValue('rule-metro-max-months', config.cumulativeMetroRule.maxMonths);
+    setValue('rule-metro-window-months', config.cumulativeMetroRule.windowMonths);
+    setValue('rule-metro-wait-months', config.cumulativeMetroRule.returnWaitMonths);
+    setValue('rule-metro-radius', config.metroRadiusMiles);
+    setChecked('rule-distance-enabled', config.distanceRadiusRule.enabled);
+    setValue('rule-distance-radius', config.distanceRadiusRule.radiusMiles);
+  }
+
+  // Save tax rule settings and re-evaluate every contract
+  async saveTaxRules() {
+    if (!window.TaxRules) {
+      return;
+    }
+
+    const numberValue = (id, min) => {
+      const value = parseFloat(document.getElementById(id)?.value);
+      return isNaN(value) || value < min ? null : value;
+    };
+
+    const values = {
+      oneYearMonths: numberValue('rule-one-year-months', 1),
+      metroMaxMonths: numberValue('rule-metro-max-months', 1),
+      metroWindowMonths: numberValue('rule-metro-window-months', 1),
+      metroWaitMonths: numberValue('rule-metro-wait-months', 0),
+      metroRadius: numberValue('rule-metro-radius', 1),
+      distanceRadius: numberValue('rule-distance-radius', 1)
+    };
+
+    if (Object.values(values).some(value => value === null)) {
+      this.showProfileError('Tax rule values must be positive numbers');
+      return;
+    }
+
+    if (values.metroMaxMonths > values.metroWindowMonths) {
+      this.showProfileError('Maximum time in a metro cannot be longer than the rolling window');
+      return;
+    }
+
+    const config = window.TaxRules.mergeConfig({
+      metroRadiusMiles: values.metroRadius,
+      oneYearRule: {
+        enabled: document.getElementById('rule-one-year-enabled')?.checked ?? true,
+        maxMonths: values.oneYearMonths
+      },
+      cumulativeMetroRule: {
+        enabled: document.getElementById('rule-metro-enabled')?.checked ?? true,
+        maxMonths: values.metroMaxMonths,
+        windowMonths: values.metroWindowMonths,
+        returnWaitMonths: values.metroWaitMonths
+      },
+      distanceRadiusRule: {
+        enabled: document.getElementById('rule-distance-enabled')?.checked ?? true,
+        radiusMiles: values.distanceRadius
+      }
+    });
+
+    if (await this.saveTaxRulesToProfile(config)) {
+      this.showProfileSuccess('Tax rules saved');
+    }
+  }
+
+  async resetTaxRules() {
+    if (!window.TaxRules) {
+      return;
+    }
+
+    // No overrides in the profile means the defaults apply
+    if (await this.saveTaxRulesToProfile(null)) {
+      this.populateTaxRulesForm();
+      this.showProfileSuccess('Tax rules reset to defaults');
+    }
+  }
+
+  // Rules are kept in the profile so they follow the user to every device
+  async saveTaxRulesToProfile(taxRules) {
+    const user = window.auth.getCurrentUser();
+    if (!user) {
+      this.showProfileError('Please log in to save changes');
+      return false;
+    }
+
+    const result = await window.database.updateUserProfile(user.id, { tax_rules: taxRules });
+    if (!result.success) {
+      this.showProfileError('Failed to save tax rules: ' + result.error);
+      return false;
+    }
+
+    this.userProfile = { ...this.userProfile, ...result.data };
+    await this.applyTaxRules();
+    return true;
+  }
+
+  // Redraw everything that depends on the tax rules
+  async applyTaxRules() {
+    this.refreshTaxHomeOnMap();
+
+    if (window.logbookApp) {
+      await window.logbookApp.loadContractsFromDatabase();
+    }
+  }
+
+  // Change password for the signed-in user; the current password is checked first
+  // so an unattended session cannot be used to take over the account
+  async changePassword() {
+    const currentField = document.getElementById('current-password');
+    const newField = document.getElementById('new-password');
+    const confirmField = document.getElementById('confirm-new-password');
+    const button = document.getElementById('change-password-btn');
+
+    const user = window.auth.getCurrentUser();
+    if (!user) {
+      this.showProfileError('Please log in to change your password');
+      return;
+    }
+
+    if (!currentField.value) {
+      this.showProfileError('Enter your current password');
+      return;
+    }
+
+    const passwordError = window.auth.validatePassword(newField.value, confirmField.value);
+    if (passwordError) {
+      this.showProfileError(passwordError);
+      return;
+    }
+
+    if (newField.value === currentField.value) {
+      this.showProfileError('New password must be different from the current one');
+      return;
+    }
+
+    button.disabled = true;
+
+    try {
+      const verified = await window.auth.signIn(user.email, currentField.value);
+      if (!verified.success) {
+        throw new Error('Current password is incorrect');
+      }
+
+      // Signing in again starts a password-only session; two-factor users confirm a code too
+      if (await window.auth.needsMfaChallenge()) {
+        const code = prompt('Enter the 6-digit code from your authenticator app:');
+        const challenge = code ? await window.auth.verifyMfa(code) : { success: false, error: 'Code required' };
+        if (!challenge.success) {
+          throw new Error(challenge.error);
+        }
+      }
+
+      const result = await window.auth.updatePassword(newField.value);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      [currentField, newField, confirmField].forEach(field => {
+        field.value = '';
+      });
+      this.showProfileSuccess(result.message);
+    } catch (error) {
+      this.showProfileError('Failed to change password: ' + error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // List the account's sign-in methods with unlink buttons, and offer each configured
+  // provider that is not linked yet
+  async refreshSignInMethods() {
+    const list = document.getElementById('identity-list');
+    const linkButtons = document.getElementById('identity-link-buttons');
+    if (!list || !linkButtons) {
+      return;
+    }
+
+    const result = await window.auth.getIdentities();
+    if (!result.success) {
+      list.innerHTML = '<li>Could not load sign-in methods</li>';
+      return;
+    }
+
+    const identities = result.identities;
+    list.innerHTML = identities.map(identity => `
+      <li>
+        <span>
+          ${escapeHtml(window.auth.getProviderLabel(identity.provider))}
+          <span class="identity-detail">${escapeHtml((identity.identity_data && identity.identity_data.email) || '')}</span>
+        </span>
+        ${identity.provider !== 'email' && identities.length > 1
+          ? `<button class="edit-btn" type="button" data-unlink="${escapeHtml(identity.provider)}">Unlink</button>`
+          : ''}
+      </li>
+    `).join('');
+
+    list.querySelectorAll('[data-unlink]').forEach(button => {
+      button.addEventListener('click', () => this.unlinkProvider(button.dataset.unlink));
+    });
+
+    const linked = identities.map(identity => identity.provider);
+    linkButtons.innerHTML = '';
+    window.auth.getOAuthProviders()
+      .filter(provider => !linked.includes(provider))
+      .forEach(provider => {
+        const button = document.createElement('button');
+        button.className = 'edit-btn';
+        button.type = 'button';
+        button.textContent = `Link ${window.auth.getProviderLabel(provider)}`;
+        button.addEventListener('click', () => this.linkProvider(provider, button));
+        linkButtons.appendChild(button);
+      });
+  }
+
+  // Leaves for the provider, which sends the user back to the logbook
+  async linkProvider(provider, button) {
+    button.disabled = true;
+    sessionStorage.setItem('tnl_linking_provider', provider);
+
+    const result = await window.auth.linkProvider(provider);
+    if (!result.success) {
+      sessionStorage.removeItem('tnl_linking_provider');
+      button.disabled = false;
+      this.showProfileError(`Failed to link ${window.auth.getProviderLabel(provider)}: ${result.error}`);
+    }
+  }
+
+  async unlinkProvider(provider) {
+    const label = window.auth.getProviderLabel(provider);
+    if (!confirm(`Unlink ${label}?\n\nYou will no longer be able to sign in with it.`)) {
+      return;
+    }
+
+    const result = await window.auth.unlinkProvider(provider);
+    if (result.success) {
+      this.showProfileSuccess(result.message);
+    } else {
+      this.showProfileError(`Failed to unlink ${label}: ${result.error}`);
+    }
+    await this.refreshSignInMethods();
+  }
+
+  showLinkResult() {
+    const provider = sessionStorage.getItem('tnl_linking_provider');
+    if (!provider) {
+      return;
+    }
+    sessionStorage.removeItem('tnl_linking_provider');
+
+    if (!this.isProfileOpen) {
+      this.toggleProfile();
+    }
+
+    const label = window.auth.getProviderLabel(provider);
+    const linkError = window.auth.getRedirectError();
+    if (linkError) {
+      this.showProfileError(`Failed to link ${label}: ${linkError}`);
+    } else {
+      this.showProfileSuccess(`${label} linked. You can now sign in with it.`);
+    }
+  }
+
+  // Build a ZIP of everything in the account on the server and download it
+  async downloadMyData() {
+    const button = document.getElementById('download-my-data-btn');
+    const status = document.getElementById('data-export-status');
+    const originalText = button.textContent;
+
+    button.textContent = 'Preparing archive...';
+    button.disabled = true;
+    status.style.display = 'none';
+
+    try {
+      const { data: result, error } = await window.backend.invokeFunction('export-user-data');
+
+      if (error || !result || !result.success) {
+        throw new Error((result && result.error) || (error && error.message) || 'Export failed');
+      }
+
+      this.downloadArchive(result.archive);
+
+      const { counts, archive, missing } = result;
+      const expires = archive.expires_at ? ` The link expires ${new Date(archive.expires_at).toLocaleString()}.` : '';
+      const skipped = missing && missing.length > 0 ? ` Not included: ${missing.join(', ')}.` : '';
+
+      status.innerHTML = `
+        Archive ready: ${counts.contracts} contracts, ${counts.licenses} licenses, ${counts.documents} documents
+        (${window.documentVault.formatFileSize(archive.size)}).${escapeHtml(expires + skipped)}
+        <a href="${escapeHtml(archive.url)}" download="${escapeHtml(archive.file_name)}">Download again</a>
+      `;
+      status.style.display = 'block';
+    } catch (error) {
+      this.showProfileError('Failed to export your data: ' + error.message);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
   }
 
   // Nuclear delete - completely destroy user account and all data
@@ -274,6 +773,19 @@ class ProfileManager {
       return;
     }
 
+    // Last chance to keep a copy: a backup that can be restored into a new account,
+    // and a server-side archive of everything including uploaded documents
+    const keepCopy = confirm('Download a copy of your data before deleting?\n\nYou will get a logbook backup you can restore into a new account, plus an archive of everything including uploaded documents.');
+    if (keepCopy && window.logbookExporter) {
+      const backup = await window.logbookExporter.exportJson();
+      if (!backup.success) {
+        alert('Backup failed: ' + backup.error + '\n\nAccount deletion cancelled.');
+        return;
+      }
+    }
+
+    const nuclearBtn = document.getElementById('nuclear-delete-btn');
+
     try {
       const user = window.auth.getCurrentUser();
       if (!user) {
@@ -282,76 +794,52 @@ class ProfileManager {
       }
 
       // Show deletion progress
-      const nuclearBtn = document.getElementById('nuclear-delete-btn');
       if (nuclearBtn) {
         nuclearBtn.textContent = '💥 DELETING...';
         nuclearBtn.disabled = true;
       }
 
-      // Use server-side function to completely delete everything including auth account
+      // The delete-user function removes files, rows and the auth account in one go
       console.log('🗑️ Calling server-side complete deletion...');
-      
-      // Get current session token
-      const { data: { session } } = await window.supabaseClient.auth.getSession();
-      
-      if (!session) {
-        throw new Error('No active session found');
+      const { data: result, error: functionError } = await window.backend.invokeFunction('delete-user', { archive: keepCopy });
+
+      // A failed deletion can still have produced the archive
+      if (result && result.archive) {
+        this.downloadArchive(result.archive);
       }
 
-      // Call the Edge Function with user's token
-      const response = await fetch(`${window.supabaseClient.supabaseUrl}/functions/v1/delete-user`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${session.access_token}`,
-          'Content-Type': 'application/json',
-          'apikey': window.supabaseClient.supabaseKey
+      if (functionError || !result || !result.success) {
+        const message = (result && result.error) || (functionError && functionError.message) || 'Server-side deletion failed';
+        const report = result && result.report ? '\n\n' + this.formatDeletionReport(result.report) : '';
+        alert('Error during account deletion: ' + message + report + '\n\nPlease contact support if the problem persists.');
+        if (nuclearBtn) {
+          nuclearBtn.textContent = '🗑️ DELETE EVERYTHING';
+          nuclearBtn.disabled = false;
         }
-      });
-
-      const result = await response.json();
-      
-      if (!result.success) {
-        throw new Error(result.error || 'Server-side deletion failed');
+        return;
       }
 
       console.log('✅ Complete account deletion successful:', result.message);
+      alert('Your account has been deleted.\n\n' + this.formatDeletionReport(result.report || []) +
+        (result.archive ? '\n\nYour archive is downloading.' : ''));
 
-      // Step 2: Delete user profile
-      console.log('🗑️ Deleting user profile...');
-      const { error: profileError } = await window.supabaseClient
-        .from('user_profiles')
-        .delete()
-        .eq('user_id', user.id);
+      // Nothing of the deleted account stays on this device, including unsynced offline changes
+      await window.routeGuard.resetOfflineData();
 
-      if (profileError) {
-        console.error('Error deleting profile:', profileError);
-        throw new Error('Failed to delete user profile: ' + profileError.message);
-      } else {
-        console.log('✅ User profile deleted successfully');
-      }
-
-      // Step 3: Sign out user (client-side can't delete auth accounts)
-      console.log('� Signing out user...');
-      const { error: signOutError } = await window.supabaseClient.auth.signOut();
-      
+      // The session belongs to an account that no longer exists; clear it locally
+      const { error: signOutError } = await window.backend.auth.signOut();
       if (signOutError) {
         console.error('Error signing out:', signOutError);
       }
 
-      // Clear local data and force logout
-      sessionStorage.clear();
-      localStorage.clear();
-      
-      // Force logout and redirect immediately
-      await window.supabaseClient.auth.signOut();
+      window.Backend.clearLocalData();
       window.location.href = 'index.html';
 
     } catch (error) {
       console.error('Nuclear delete error:', error);
       alert('Error during account deletion: ' + error.message + '\n\nPlease contact support if the problem persists.');
-      
+
       // Re-enable button
-      const nuclearBtn = document.getElementById('nuclear-delete-btn');
       if (nuclearBtn) {
         nuclearBtn.textContent = '🗑️ DELETE EVERYTHING';
         nuclearBtn.disabled = false;
@@ -359,6 +847,26 @@ class ProfileManager {
     }
   }
 
+  // One line per deletion step, e.g. "✓ Delete contracts (12)"
+  formatDeletionReport(report) {
+    const icons = { done: '✓', failed: '✗', skipped: '–' };
+    return report.map(entry => {
+      const count = typeof entry.count === 'number' ? ` (${entry.count})` : '';
+      const detail = entry.error ? ` - ${entry.error}` : '';
+      return `${icons[entry.status] || '?'} ${entry.step}${count}${detail}`;
+    }).join('\n');
+  }
+
+  // Archive links are served as attachments, so this downloads without leaving the page
+  downloadArchive(archive) {
+    const link = document.createElement('a');
+    link.href = archive.url;
+    link.download = archive.file_name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+
   // Edit profile field
   editField(fieldId) {
     const field = document.getElementById(fieldId);
@@ -412,10 +920,7 @@ class ProfileManager {
       };
       
       // Try to update existing profile or create new one
-      const { data, error } = await window.supabaseClient
-        .from('user_profiles')
-        .upsert(profileUpdateData)
-        .select();
+      const { data, error } = await window.backend.upsert('user_profiles', profileUpdateData);
 
       if (error) {
         this.showProfileError('Failed to save: ' + error.message);
@@ -463,7 +968,7 @@ class ProfileManager {
   async syncWithAuthMetadata(fieldId, value) {
     try {
       const user = window.auth.getCurrentUser();
-      if (!user || !window.supabaseClient) return;
+      if (!user || !window.backend) return;
 
       // Determine what metadata to update based on the field
       let metadataUpdate = {};
@@ -481,7 +986,7 @@ class ProfileManager {
         case 'email':
           // Email changes require special handling through Supabase auth
           // This will trigger an email confirmation
-          const { error: emailError } = await window.supabaseClient.auth.updateUser({
+          const { error: emailError } = await window.backend.auth.updateUser({
             email: value
           });
           if (emailError) {
@@ -495,7 +1000,7 @@ class ProfileManager {
 
       // Update user metadata if we have data to update
       if (Object.keys(metadataUpdate).length > 0) {
-        const { error } = await window.supabaseClient.auth.updateUser({
+        const { error } = await window.backend.auth.updateUser({
           data: metadataUpdate
         });
 
@@ -546,10 +1051,7 @@ class ProfileManager {
         updated_at: new Date().toISOString()
       };
 
-      const { data, error } = await window.supabaseClient
-        .from('user_profiles')
-        .upsert(profileUpdateData)
-        .select();
+      const { data, error } = await window.backend.upsert('user_profiles', profileUpdateData);
 
       if (error) {
         this.showProfileError('Failed to update profile: ' + error.message);
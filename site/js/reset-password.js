@@ -0,0 +1,87 @@
+/* Travel Nurse Logbook - Password Recovery Page JavaScript */
+/* Completes the reset started from the sign-in page: the emailed link signs the user in
+   with a recovery session, then they choose a new password here */
+
+// Supabase clears the link's tokens from the URL once it has read them, so keep a copy
+const recoveryLinkParams = new URLSearchParams(window.location.hash.substring(1) || window.location.search);
+
+// How long to wait for the recovery session before calling the link invalid
+const RECOVERY_TIMEOUT_MS = 5000;
+
+let recoveryReady = false;
+
+// Listen straight away: the recovery event fires while the client is still starting up
+// (there is no backend when backend.js is showing a configuration error)
+if (window.backend) {
+    window.backend.auth.onAuthStateChange((event, session) => {
+        if (event === 'PASSWORD_RECOVERY') {
+            showRecoveryForm();
+        } else if (event === 'INITIAL_SESSION' && session && recoveryLinkParams.get('type') === 'recovery') {
+            // Listener attached after the recovery event fired; the link itself says this is a reset
+            showRecoveryForm();
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('recovery-form').addEventListener('submit', handleNewPassword);
+
+    // Expired or already-used links come back with an error instead of a session
+    const linkError = recoveryLinkParams.get('error_description');
+    if (linkError) {
+        showInvalidLink(`${linkError.replace(/\+/g, ' ')}. Request a new reset link from the sign-in page.`);
+        return;
+    }
+
+    setTimeout(() => {
+        if (!recoveryReady) {
+            showInvalidLink('This reset link is invalid or has expired. Request a new one from the sign-in page.');
+        }
+    }, RECOVERY_TIMEOUT_MS);
+});
+
+function showRecoveryForm() {
+    recoveryReady = true;
+    document.getElementById('recovery-checking').style.display = 'none';
+    document.getElementById('recovery-invalid').style.display = 'none';
+    document.getElementById('recovery-form').style.display = 'flex';
+    document.getElementById('recovery-password').focus();
+}
+
+function showInvalidLink(message) {
+    document.getElementById('recovery-checking').style.display = 'none';
+    document.getElementById('recovery-form').style.display = 'none';
+    document.getElementById('recovery-invalid-message').textContent = message;
+    document.getElementById('recovery-invalid').style.display = 'block';
+}
+
+// Validate with the sign-up rules, save, then continue to the logbook
+async function handleNewPassword(e) {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const password = formData.get('password');
+    const confirm = formData.get('confirm');
+
+    hideError('recovery-error');
+
+    const passwordError = window.auth.validatePassword(password, confirm);
+    if (passwordError) {
+        showError('recovery-error', passwordError);
+        return;
+    }
+
+    const button = e.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    const result = await window.auth.updatePassword(password);
+
+    if (result.success) {
+        showSuccess('recovery-success', 'Password updated! Taking you to your logbook...');
+        setTimeout(() => {
+            window.location.href = 'logbook.html';
+        }, 1500);
+    } else {
+        showError('recovery-error', result.error);
+        button.disabled = false;
+    }
+}
@@ -0,0 +1,465 @@
+/**
+ * Backup Restore
+ * Restores or merges a JSON logbook backup with a preview of every change
+ */
+
+// Columns that belong to the row itself rather than the contract or license data
+const RESTORE_SKIPPED_COLUMNS = ['id', 'user_id', 'created_at', 'updated_at'];
+
+// Profile fields a backup is allowed to overwrite
+const RESTORE_PROFILE_FIELDS = ['first_name', 'last_name', 'full_name', 'tax_home_address', 'tax_home_latitude', 'tax_home_longitude', 'tax_rules'];
+
+class BackupRestorer {
+  constructor() {
+    this.backup = null;
+    this.plan = [];
+    this.licensePlan = [];
+    this.profileChanges = null;
+    this.initialized = false;
+    this.batchSize = 10;
+  }
+
+  // Bind event handlers once the profile component is in the DOM
+  initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    const fileInput = document.getElementById('restore-file-input');
+    if (!fileInput) {
+      return false;
+    }
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file) {
+        this.readFile(file);
+      }
+      fileInput.value = '';
+    });
+
+    document.getElementById('restore-apply-btn')?.addEventListener('click', () => this.applyPlan());
+    document.getElementById('restore-cancel-btn')?.addEventListener('click', () => this.reset());
+
+    this.initialized = true;
+    return true;
+  }
+
+  reset() {
+    this.backup = null;
+    this.plan = [];
+    this.licensePlan = [];
+    this.profileChanges = null;
+
+    const preview = document.getElementById('restore-preview');
+    if (preview) {
+      preview.style.display = 'none';
+    }
+  }
+
+  async readFile(file) {
+    const reportDiv = document.getElementById('restore-report');
+    if (reportDiv) {
+      reportDiv.style.display = 'none';
+    }
+
+    try {
+      const backup = JSON.parse(await file.text());
+      this.validateBackup(backup);
+
+      const user = window.auth.getCurrentUser();
+      if (!user) throw new Error('No authenticated user found');
+
+      const [result, licensesResult] = await Promise.all([
+        window.database.getContracts(user.id),
+        window.database.getLicenses(user.id)
+      ]);
+      if (!result.success) throw new Error(result.error);
+      if (!licensesResult.success) throw new Error(licensesResult.error);
+
+      this.backup = backup;
+      this.plan = this.buildPlan(backup.contracts, result.data);
+      // Version 1 backups were made before licenses were tracked
+      this.licensePlan = this.buildLicensePlan(backup.licenses || [], licensesResult.data);
+      this.profileChanges = this.diffProfile(backup.profile, window.profileManager?.getUserProfile());
+      this.renderPreview();
+    } catch (error) {
+      this.reset();
+      this.showError('Cannot restore backup: ' + error.message);
+    }
+  }
+
+  validateBackup(backup) {
+    const exporter = window.logbookExporter;
+
+    if (!backup || backup.format !== exporter.backupFormat) {
+      throw new Error('This file is not a Travel Nurse Logbook backup');
+    }
+    if (backup.version > exporter.backupVersion) {
+      throw new Error(`Backup version ${backup.version} is newer than this app supports`);
+    }
+    if (!Array.isArray(backup.contracts)) {
+      throw new Error('Backup has no contracts list');
+    }
+    if (backup.licenses !== undefined && !Array.isArray(backup.licenses)) {
+      throw new Error('Backup has an invalid licenses list');
+    }
+  }
+
+  // Contracts match when the hospital and both dates are the same
+  matchKey(contract) {
+    return [
+      (contract.hospital_name || '').trim().toLowerCase(),
+      contract.start_date || '',
+      contract.end_date || ''
+    ].join('|');
+  }
+
+  // Strip row bookkeeping so the data can be written to the current account
+  rowData(contract) {
+    const data = {};
+    Object.keys(contract).forEach(key => {
+      if (!RESTORE_SKIPPED_COLUMNS.includes(key)) {
+        data[key] = contract[key];
+      }
+    });
+    return data;
+  }
+
+  // Fields whose backup value differs from the existing contract
+  changedFields(data, existing) {
+    return Object.keys(data).filter(key => {
+      const backupValue = data[key] === undefined ? null : data[key];
+      const currentValue = existing[key] === undefined ? null : existing[key];
+      // Compare loosely so "12.50" from one source equals 12.5 from another
+      return String(backupValue) !== String(currentValue);
+    });
+  }
+
+  // Decide what happens to each backup contract: create, update or skip
+  buildPlan(backupContracts, existingContracts) {
+    const existingByKey = new Map(existingContracts.map(contract => [this.matchKey(contract), contract]));
+    const seenKeys = new Set();
+
+    return backupContracts.map(contract => {
+      const data = this.rowData(contract);
+      const key = this.matchKey(data);
+      const existing = existingByKey.get(key);
+
+      // Extension links point at ids from the backup; they are relinked after the contracts are written
+      const link = { backupId: contract.id, parentBackupId: data.parent_contract_id || null };
+      delete data.parent_contract_id;
+
+      if (!data.hospital_name || !data.start_date || !data.end_date) {
+        return { action: 'skip', data, ...link, reason: 'Missing hospital or dates' };
+      }
+
+      if (seenKeys.has(key)) {
+        return { action: 'skip', data, ...link, reason: 'Repeated in backup' };
+      }
+      seenKeys.add(key);
+
+      if (!existing) {
+        return { action: 'create', data, ...link, reason: 'Not in logbook' };
+      }
+
+      const changes = this.changedFields(data, existing);
+      if (changes.length === 0) {
+        return { action: 'skip', data, existing, ...link, reason: 'Already up to date' };
+      }
+
+      return { action: 'update', data, existing, ...link, reason: `Changes: ${changes.join(', ')}` };
+    });
+  }
+
+  // Licenses match on type, name, state and expiry; a renewal is a new row
+  licenseKey(license) {
+    return [
+      license.credential_type || 'license',
+      (license.name || '').trim().toLowerCase(),
+      license.state || '',
+      license.expiry_date || ''
+    ].join('|');
+  }
+
+  buildLicensePlan(backupLicenses, existingLicenses) {
+    const existingByKey = new Map(existingLicenses.map(license => [this.licenseKey(license), license]));
+    const seenKeys = new Set();
+
+    return backupLicenses.map(license => {
+      const data = this.rowData(license);
+      const key = this.licenseKey(data);
+      const existing = existingByKey.get(key);
+      const item = { kind: 'license', data, existing };
+
+      if (!data.name || !data.expiry_date) {
+        return { ...item, action: 'skip', reason: 'Missing name or expiry date' };
+      }
+
+      if (seenKeys.has(key)) {
+        return { ...item, action: 'skip', reason: 'Repeated in backup' };
+      }
+      seenKeys.add(key);
+
+      if (!existing) {
+        return { ...item, action: 'create', reason: 'Not in logbook' };
+      }
+
+      const changes = this.changedFields(data, existing);
+      if (changes.length === 0) {
+        return { ...item, action: 'skip', reason: 'Already up to date' };
+      }
+
+      return { ...item, action: 'update', reason: `Changes: ${changes.join(', ')}` };
+    });
+  }
+
+  // Name of a plan item in previews and reports
+  itemLabel(item) {
+    if (item.kind === 'license') {
+      return [item.data.name, item.data.state].filter(Boolean).join(' ') || 'Unnamed credential';
+    }
+    return item.data.hospital_name || 'Unnamed';
+  }
+
+  // Profile fields to restore (only fields that are set in the backup and differ)
+  diffProfile(backupProfile, currentProfile) {
+    if (!backupProfile) {
+      return null;
+    }
+
+    // Objects (the tax rules) compare by content, everything else as text
+    const asText = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+    const changes = {};
+    RESTORE_PROFILE_FIELDS.forEach(field => {
+      const value = backupProfile[field];
+      if (value !== null && value !== undefined && value !== '' &&
+          asText(value) !== asText(currentProfile ? currentProfile[field] : null)) {
+        changes[field] = value;
+      }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  renderPreview() {
+    const preview = document.getElementById('restore-preview');
+    const summary = document.getElementById('restore-summary');
+    const list = document.getElementById('restore-plan');
+    if (!preview || !list) {
+      return;
+    }
+
+    const counts = { create: 0, update: 0, skip: 0 };
+    [...this.plan, ...this.licensePlan].forEach(item => counts[item.action]++);
+
+    const documentCount = Array.isArray(this.backup.documents) ? this.backup.documents.length : 0;
+    if (summary) {
+      summary.textContent = `Backup from ${new Date(this.backup.exported_at).toLocaleString()}: ` +
+        `${counts.create} to create, ${counts.update} to update, ${counts.skip} to skip` +
+        (documentCount > 0 ? `. ${documentCount} document records are listed but files are not included in backups.` : '');
+    }
+
+    list.innerHTML = '';
+
+    if (this.profileChanges) {
+      const profileItem = document.createElement('div');
+      profileItem.className = 'restore-item restore-update';
+      profileItem.innerHTML = `
+        <label><input type="checkbox" id="restore-profile-checkbox" checked> <strong>Profile</strong></label>
+        <div class="restore-reason">Changes: ${escapeHtml(Object.keys(this.profileChanges).join(', '))}</div>
+      `;
+      list.appendChild(profileItem);
+    }
+
+    this.plan.forEach(item => {
+      const row = document.createElement('div');
+      row.className = `restore-item restore-${item.action}`;
+      row.innerHTML = `
+        <div><span class="restore-action">${item.action}</span> <strong>${escapeHtml(item.data.hospital_name || 'Unnamed')}</strong></div>
+        <div class="restore-reason">${escapeHtml(`${item.data.start_date || '?'} → ${item.data.end_date || '?'} · ${item.reason}`)}</div>
+      `;
+      list.appendChild(row);
+    });
+
+    this.licensePlan.forEach(item => {
+      const row = document.createElement('div');
+      row.className = `restore-item restore-${item.action}`;
+      row.innerHTML = `
+        <div><span class="restore-action">${item.action}</span> <strong>${escapeHtml(this.itemLabel(item))}</strong></div>
+        <div class="restore-reason">${escapeHtml(`Expires ${item.data.expiry_date || '?'} · ${item.reason}`)}</div>
+      `;
+      list.appendChild(row);
+    });
+
+    const applyBtn = document.getElementById('restore-apply-btn');
+    if (applyBtn) {
+      applyBtn.disabled = counts.create + counts.update === 0 && !this.profileChanges;
+    }
+
+    preview.style.display = 'block';
+  }
+
+  // Apply the plan in batches, undoing everything already written if a batch fails
+  async applyPlan() {
+    const user = window.auth.getCurrentUser();
+    if (!user || !this.backup) {
+      return;
+    }
+
+    const applyBtn = document.getElementById('restore-apply-btn');
+    const actions = [...this.plan, ...this.licensePlan].filter(item => item.action !== 'skip');
+    const applied = [];
+    let failure = null;
+
+    if (applyBtn) applyBtn.disabled = true;
+
+    for (let i = 0; i < actions.length && !failure; i += this.batchSize) {
+      const batch = actions.slice(i, i + this.batchSize);
+      if (applyBtn) applyBtn.textContent = `Restoring... ${i}/${actions.length}`;
+
+      const results = await Promise.all(batch.map(item => this.writeItem(user.id, item)));
+
+      results.forEach((result, index) => {
+        if (result.success) {
+          applied.push({ ...batch[index], created: result.data });
+        } else if (!failure) {
+          failure = `${this.itemLabel(batch[index])}: ${result.error}`;
+        }
+      });
+    }
+
+    if (!failure) {
+      failure = await this.relinkExtensions(user.id, applied);
+    }
+
+    const profileCheckbox = document.getElementById('restore-profile-checkbox');
+    const restoreProfile = !failure && this.profileChanges && profileCheckbox && profileCheckbox.checked;
+    if (restoreProfile) {
+      const result = await window.database.updateUserProfile(user.id, this.profileChanges);
+      if (!result.success) {
+        failure = `Profile: ${result.error}`;
+      }
+    }
+
+    const report = failure
+      ? await this.rollback(user.id, applied, failure)
+      : this.successReport(applied, restoreProfile);
+
+    if (applyBtn) applyBtn.textContent = 'Apply Restore';
+    this.reset();
+
+    // Contract cards are checked against licenses, so reload those first
+    if (window.licenseManager) {
+      await window.licenseManager.loadLicenses(true);
+    }
+    if (window.logbookApp) {
+      await window.logbookApp.loadContractsFromDatabase();
+    }
+    if (window.profileManager && !failure) {
+      await window.profileManager.loadProfileData();
+    }
+
+    this.showReport(report, !!failure);
+  }
+
+  writeItem(userId, item) {
+    if (item.kind === 'license') {
+      return item.action === 'create'
+        ? window.database.createLicense(userId, item.data)
+        : window.database.updateLicense(item.existing.id, userId, item.data);
+    }
+    return item.action === 'create'
+      ? window.database.createContract(userId, item.data)
+      : window.database.updateContract(item.existing.id, userId, item.data);
+  }
+
+  // Point restored extensions at the restored original assignment; returns a failure message or null
+  async relinkExtensions(userId, applied) {
+    const targetIds = new Map();
+    this.plan.forEach(item => {
+      const written = applied.find(entry => entry.backupId === item.backupId && entry.action === 'create');
+      const targetId = written ? written.created.id : (item.existing ? item.existing.id : null);
+      if (item.backupId && targetId) {
+        targetIds.set(item.backupId, targetId);
+      }
+    });
+
+    for (const item of this.plan) {
+      const childId = targetIds.get(item.backupId);
+      const parentId = item.parentBackupId ? targetIds.get(item.parentBackupId) : null;
+      if (!childId || !parentId || (item.existing && item.existing.parent_contract_id === parentId)) {
+        continue;
+      }
+
+      const result = await window.database.updateContract(childId, userId, { parent_contract_id: parentId });
+      if (!result.success) {
+        return `${item.data.hospital_name} (extension link): ${result.error}`;
+      }
+      applied.push({ ...item, action: 'link' });
+    }
+
+    return null;
+  }
+
+  successReport(applied, profileRestored) {
+    const contracts = applied.filter(item => item.kind !== 'license');
+    const created = contracts.filter(item => item.action === 'create').length;
+    const updated = contracts.filter(item => item.action === 'update').length;
+    const licenses = applied.filter(item => item.kind === 'license').length;
+    return `Restore complete: ${created} created, ${updated} updated` +
+      (licenses > 0 ? `, ${licenses} licenses restored` : '') +
+      (profileRestored ? ', profile restored' : '');
+  }
+
+  // Delete created rows and put updated ones back the way they were
+  async rollback(userId, applied, failure) {
+    const problems = [];
+
+    for (const item of applied.reverse()) {
+      let result;
+      if (item.kind === 'license') {
+        result = item.action === 'create'
+          ? await window.database.deleteLicense(item.created.id, userId)
+          : await window.database.updateLicense(item.existing.id, userId, this.rowData(item.existing));
+      } else if (item.action === 'create') {
+        result = await window.database.deleteContract(item.created.id, userId);
+      } else if (item.action === 'link') {
+        // Links on created contracts go away with them
+        result = item.existing
+          ? await window.database.updateContract(item.existing.id, userId, { parent_contract_id: item.existing.parent_contract_id || null })
+          : { success: true };
+      } else {
+        result = await window.database.updateContract(item.existing.id, userId, this.rowData(item.existing));
+      }
+
+      if (!result.success) {
+        problems.push(`${this.itemLabel(item)} (${item.action}): ${result.error}`);
+      }
+    }
+
+    let report = `Restore failed at ${failure}. ${applied.length - problems.length} of ${applied.length} applied changes were rolled back.`;
+    if (problems.length > 0) {
+      report += ` Could not roll back: ${problems.join('; ')}`;
+    }
+    return report;
+  }
+
+  // The report stays on screen so rollback details can be read in full
+  showReport(message, isError) {
+    const reportDiv = document.getElementById('restore-report');
+    if (reportDiv) {
+      reportDiv.textContent = message;
+      reportDiv.className = isError ? 'error-message' : 'success-message';
+      reportDiv.style.display = 'block';
+    }
+  }
+
+  showError(message) {
+    this.showReport(message, true);
+  }
+}
+
+// Create global instance
+window.backupRestorer = new BackupRestorer();
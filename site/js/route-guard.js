@@ -0,0 +1,301 @@
+// Route guard for the protected pages of Travel Nurse Logbook
+// A protected page awaits routeGuard.protect() before showing anything: it resolves with
+// the restored session, or sends the visitor to the sign-in page. While the page is open
+// the guard also locks the screen after a period of inactivity (the app is used on shared
+// workstations in break rooms) and follows sign-outs made in other tabs. For the same reason
+// the offline copy of the logbook is cleared on sign-out and holds only the signed-in user's data;
+// unsynced offline changes are never dropped without asking.
+
+// Shared through localStorage so every open tab sees the same state
+const GUARD_STORAGE_KEYS = {
+    lastActivity: 'tnl_last_activity', // Activity in any tab keeps them all unlocked
+    locked: 'tnl_screen_locked',       // Kept across reloads, so refreshing does not unlock
+    signIn: 'tnl_lock_sign_in',        // last_sign_in_at of the session the idle state belongs to
+    signedOut: 'tnl_signed_out'        // Written on sign-out; other tabs follow via the storage event
+};
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const ACTIVITY_WRITE_INTERVAL_MS = 15 * 1000; // Pointer moves fire constantly; record at most this often
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
+
+class RouteGuard {
+    constructor() {
+        this.session = null;
+        this.locked = false;
+        this.lastActivityWrite = 0;
+        this.idleLockMinutes = Math.max(0, Number(window.AppConfig.get('security.idleLockMinutes', 15)) || 0);
+    }
+
+    // Resolve with the signed-in session, or null while redirecting to the sign-in page.
+    // getSession waits for the backend to restore the session (including one arriving in
+    // the URL from a magic link or provider), so there is nothing to poll for
+    async protect() {
+        // Stay on the page while backend.js shows its configuration error
+        if (!window.backend) {
+            return null;
+        }
+
+        const session = await window.auth.getCurrentSession();
+
+        if (!session || !session.user) {
+            this.forgetIdleState();
+            this.redirectToSignIn();
+            return null;
+        }
+
+        // Password-only sessions of two-factor users finish signing in on index.html
+        if (await window.auth.needsMfaChallenge()) {
+            this.redirectToSignIn();
+            return null;
+        }
+
+        this.session = session;
+        window.auth.currentUser = session.user;
+
+        // Drop anything another account left on this device before the logbook reads it
+        await this.resetOfflineData(session.user.id);
+
+        this.watchSignOut();
+        this.watchOtherTabs();
+        this.startIdleLock();
+        return session;
+    }
+
+    redirectToSignIn() {
+        window.location.href = 'index.html';
+    }
+
+    // Sign-out anywhere ends every tab: this tab tells the others, and the shared
+    // session storage is already gone by the time they hear about it. Changes still
+    // waiting to sync are kept for the owner's next sign-in: signOut() below has already
+    // synced or discarded them, so any left here come from an expired or remote sign-out
+    watchSignOut() {
+        window.backend.auth.onAuthStateChange((event) => {
+            if (event === 'SIGNED_OUT') {
+                this.forgetIdleState();
+                this.resetOfflineData(null, { keepQueue: true });
+                localStorage.setItem(GUARD_STORAGE_KEYS.signedOut, Date.now().toString());
+            }
+        });
+    }
+
+    // Sign out from this page. Offline changes are synced first; any that still have
+    // not reached the server are only discarded once the user agrees.
+    // Resolves false when the user chose to stay signed in
+    async signOut() {
+        if (window.syncManager && await window.syncManager.pendingCount() > 0) {
+            await window.syncManager.sync();
+
+            const pending = await window.syncManager.pendingCount();
+            if (pending > 0) {
+                const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+                if (!confirm(`${changes} made offline could not be synced yet and will be lost if you sign out.\n\nSign out anyway?`)) {
+                    return false;
+                }
+            }
+        }
+
+        await this.resetOfflineData();
+        await window.auth.signOut();
+        return true;
+    }
+
+    // Clear the offline mirror and sync queue, keeping only userId's records when given.
+    // keepQueue leaves changes that have not synced yet in place
+    async resetOfflineData(userId = null, { keepQueue = false } = {}) {
+        if (!window.offlineStore) {
+            return;
+        }
+        try {
+            if (userId) {
+                await window.offlineStore.keepOnly(userId);
+            } else if (keepQueue) {
+                await window.offlineStore.clear(['contracts', 'profiles']);
+            } else {
+                await window.offlineStore.clear();
+            }
+        } catch (error) {
+            console.warn('Offline data cleanup failed:', error);
+        }
+    }
+
+    watchOtherTabs() {
+        window.addEventListener('storage', (event) => {
+            if (event.key === GUARD_STORAGE_KEYS.signedOut && event.newValue) {
+                this.redirectToSignIn();
+            } else if (event.key === GUARD_STORAGE_KEYS.locked) {
+                if (event.newValue) {
+                    this.lock();
+                } else {
+                    this.hideLockScreen();
+                }
+            }
+        });
+    }
+
+    //=========================================================================
+    // IDLE LOCK
+    //=========================================================================
+
+    startIdleLock() {
+        if (this.idleLockMinutes === 0) {
+            return;
+        }
+
+        document.getElementById('lock-form').addEventListener('submit', (e) => this.unlock(e));
+        document.getElementById('lock-sign-out').addEventListener('click', () => this.signOutFromLock());
+        document.getElementById('lock-message').textContent =
+            `Locked after ${this.idleLockMinutes} minute${this.idleLockMinutes === 1 ? '' : 's'} without activity. ` +
+            'Sign in again to continue.';
+
+        // A new sign-in starts a fresh idle period; a restored session picks up where it left off
+        const signIn = this.session.user.last_sign_in_at || '';
+        if (localStorage.getItem(GUARD_STORAGE_KEYS.signIn) !== signIn) {
+            this.forgetIdleState();
+            localStorage.setItem(GUARD_STORAGE_KEYS.signIn, signIn);
+        }
+
+        if (localStorage.getItem(GUARD_STORAGE_KEYS.locked) || this.idleTime() >= this.idleLockMs()) {
+            this.lock();
+        } else {
+            this.recordActivity(true);
+        }
+
+        ACTIVITY_EVENTS.forEach(name => {
+            document.addEventListener(name, () => this.recordActivity(), { passive: true });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.checkIdle();
+            }
+        });
+        setInterval(() => this.checkIdle(), IDLE_CHECK_INTERVAL_MS);
+    }
+
+    idleLockMs() {
+        return this.idleLockMinutes * 60 * 1000;
+    }
+
+    idleTime() {
+        const lastActivity = Number(localStorage.getItem(GUARD_STORAGE_KEYS.lastActivity));
+        return lastActivity ? Date.now() - lastActivity : 0;
+    }
+
+    recordActivity(force = false) {
+        if (this.locked) {
+            return;
+        }
+
+        const now = Date.now();
+        if (!force && now - this.lastActivityWrite < ACTIVITY_WRITE_INTERVAL_MS) {
+            return;
+        }
+        this.lastActivityWrite = now;
+        localStorage.setItem(GUARD_STORAGE_KEYS.lastActivity, now.toString());
+    }
+
+    checkIdle() {
+        if (!this.locked && this.idleTime() >= this.idleLockMs()) {
+            this.lock();
+        }
+    }
+
+    forgetIdleState() {
+        Object.values(GUARD_STORAGE_KEYS)
+            .filter(key => key !== GUARD_STORAGE_KEYS.signedOut)
+            .forEach(key => localStorage.removeItem(key));
+    }
+
+    // Cover the page and take the logbook out of the tab order until the user signs in again
+    lock() {
+        if (this.locked) {
+            return;
+        }
+        this.locked = true;
+        localStorage.setItem(GUARD_STORAGE_KEYS.locked, 'true');
+
+        const user = window.auth.getCurrentUser() || this.session.user;
+        document.getElementById('lock-email').textContent = user.email;
+        document.getElementById('lock-password').value = '';
+        document.getElementById('lock-code').value = '';
+        document.getElementById('lock-code-group').style.display = 'none';
+        document.getElementById('lock-password-group').style.display = '';
+        hideError('lock-error');
+
+        document.getElementById('container').inert = true;
+        document.getElementById('lock-screen').style.display = 'flex';
+        document.getElementById('lock-password').focus();
+    }
+
+    hideLockScreen() {
+        this.locked = false;
+        document.getElementById('container').inert = false;
+        document.getElementById('lock-screen').style.display = 'none';
+    }
+
+    // Re-authenticate as the same user: password first, then the authenticator code
+    // for two-factor users, since a password sign-in drops the session back to one factor
+    async unlock(e) {
+        e.preventDefault();
+        hideError('lock-error');
+
+        const button = e.target.querySelector('button[type="submit"]');
+        button.disabled = true;
+
+        try {
+            const codeGroup = document.getElementById('lock-code-group');
+
+            if (codeGroup.style.display === 'none') {
+                const password = document.getElementById('lock-password').value;
+                if (!password) {
+                    throw new Error('Enter your password');
+                }
+
+                const user = window.auth.getCurrentUser() || this.session.user;
+                const result = await window.auth.signIn(user.email, password);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+
+                if (await window.auth.needsMfaChallenge()) {
+                    document.getElementById('lock-password-group').style.display = 'none';
+                    codeGroup.style.display = '';
+                    document.getElementById('lock-code').focus();
+                    return;
+                }
+            } else {
+                const result = await window.auth.verifyMfa(document.getElementById('lock-code').value);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+
+            await this.finishUnlock();
+        } catch (error) {
+            showError('lock-error', error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async finishUnlock() {
+        const session = await window.auth.getCurrentSession();
+        if (session) {
+            this.session = session;
+            localStorage.setItem(GUARD_STORAGE_KEYS.signIn, session.user.last_sign_in_at || '');
+        }
+
+        localStorage.removeItem(GUARD_STORAGE_KEYS.locked);
+        this.hideLockScreen();
+        this.recordActivity(true);
+    }
+
+    async signOutFromLock() {
+        if (await this.signOut()) {
+            this.redirectToSignIn();
+        }
+    }
+}
+
+// Create global instance
+window.routeGuard = new RouteGuard();
@@ -0,0 +1,254 @@
+/**
+ * Contract Statistics
+ * Career dashboard: weeks worked, states and facilities, earnings, gaps and regions
+ */
+
+class ContractStatistics {
+  constructor() {
+    this.dayMs = 24 * 60 * 60 * 1000;
+    this.topCount = 5;
+
+    // US Census Bureau regions, used for the most-frequent regions chart
+    this.regions = {
+      Northeast: ['CT', 'ME', 'MA', 'NH', 'RI', 'VT', 'NJ', 'NY', 'PA'],
+      Midwest: ['IL', 'IN', 'MI', 'OH', 'WI', 'IA', 'KS', 'MN', 'MO', 'NE', 'ND', 'SD'],
+      South: ['DE', 'DC', 'FL', 'GA', 'MD', 'NC', 'SC', 'VA', 'WV', 'AL', 'KY', 'MS', 'TN', 'AR', 'LA', 'OK', 'TX'],
+      West: ['AZ', 'CO', 'ID', 'MT', 'NV', 'NM', 'UT', 'WY', 'AK', 'CA', 'HI', 'OR', 'WA']
+    };
+  }
+
+  // Day number since the epoch for a YYYY-MM-DD date, ignoring time zones
+  dayNumber(dateString) {
+    return Math.round(Date.parse(dateString) / this.dayMs);
+  }
+
+  dateFromDayNumber(day) {
+    return new Date(day * this.dayMs).toISOString().split('T')[0];
+  }
+
+  yearOfDay(day) {
+    return new Date(day * this.dayMs).getUTCFullYear();
+  }
+
+  // Contracts that were actually worked, as day ranges clipped to today
+  getWorkedRanges(contracts) {
+    const today = this.dayNumber(new Date().toISOString().split('T')[0]);
+    const lifecycle = window.ContractLifecycle;
+
+    return contracts
+      .filter(contract => contract.start_date && !isNaN(Date.parse(contract.start_date)))
+      .filter(contract => !lifecycle || lifecycle.wasWorked(contract))
+      .map(contract => {
+        const start = this.dayNumber(contract.start_date);
+        const end = contract.end_date && !isNaN(Date.parse(contract.end_date)) ? this.dayNumber(contract.end_date) : today;
+        return { contract, start, end: Math.min(end, today) };
+      })
+      .filter(range => range.start <= range.end)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  // Merge overlapping ranges so overlapping contracts are not counted twice
+  mergeRanges(ranges) {
+    const merged = [];
+    ranges.forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end + 1) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+    });
+    return merged;
+  }
+
+  // Days in a range that fall in each calendar year
+  splitDaysByYear(start, end, totals) {
+    let day = start;
+    while (day <= end) {
+      const year = this.yearOfDay(day);
+      const yearEnd = Math.min(end, this.dayNumber(`${year + 1}-01-01`) - 1);
+      totals[year] = (totals[year] || 0) + (yearEnd - day + 1);
+      day = yearEnd + 1;
+    }
+    return totals;
+  }
+
+  // Original assignments with their extensions folded in
+  getAssignments(ranges) {
+    const lifecycle = window.ContractLifecycle;
+    const contracts = ranges.map(range => range.contract);
+    const assignments = new Map();
+
+    ranges.forEach(range => {
+      const root = lifecycle ? lifecycle.getRoot(range.contract, contracts) : range.contract;
+      const key = root.id || root;
+      const days = range.end - range.start + 1;
+      assignments.set(key, (assignments.get(key) || 0) + days);
+    });
+
+    return [...assignments.values()];
+  }
+
+  // Worked earnings per year; weekly pay follows the days worked and bonuses land in the final year
+  getEarningsByYear(ranges) {
+    if (!window.PayPackage) {
+      return {};
+    }
+
+    const earnings = {};
+    ranges.forEach(range => {
+      const { contract } = range;
+      if (!window.PayPackage.hasPayPackage(contract)) return;
+
+      const pay = window.PayPackage.calculate(contract);
+      const days = this.splitDaysByYear(range.start, range.end, {});
+      Object.entries(days).forEach(([year, count]) => {
+        earnings[year] = (earnings[year] || 0) + pay.weeklyGross * count / 7;
+      });
+
+      const contractEnded = contract.end_date && this.dayNumber(contract.end_date) <= range.end;
+      if (pay.bonuses && contractEnded) {
+        const year = this.yearOfDay(range.end);
+        earnings[year] = (earnings[year] || 0) + pay.bonuses;
+      }
+    });
+
+    return earnings;
+  }
+
+  // Count occurrences and return the most frequent, largest first
+  rankCounts(values) {
+    const counts = {};
+    values.forEach(value => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+
+    return Object.entries(counts)
+      .map(([label, count]) => ({ label, value: count }))
+      .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+  }
+
+  regionOfState(state) {
+    return Object.keys(this.regions).find(region => this.regions[region].includes(state)) || 'Territories';
+  }
+
+  // Everything the dashboard shows, computed from the whole logbook
+  calculate(contracts = []) {
+    const ranges = this.getWorkedRanges(contracts);
+    const merged = this.mergeRanges(ranges);
+
+    const daysByYear = {};
+    merged.forEach(range => this.splitDaysByYear(range.start, range.end, daysByYear));
+
+    let longestGap = null;
+    for (let i = 1; i < merged.length; i++) {
+      const days = merged[i].start - merged[i - 1].end - 1;
+      if (!longestGap || days > longestGap.days) {
+        longestGap = {
+          days,
+          start: this.dateFromDayNumber(merged[i - 1].end + 1),
+          end: this.dateFromDayNumber(merged[i].start - 1)
+        };
+      }
+    }
+
+    const assignmentDays = this.getAssignments(ranges);
+    const facilities = new Set(ranges.map(range => (range.contract.hospital_name || '').trim().toLowerCase()).filter(Boolean));
+    const states = ranges
+      .map(range => window.Licenses ? window.Licenses.getContractState(range.contract) : null)
+      .filter(Boolean);
+
+    return {
+      contractsWorked: ranges.length,
+      assignments: assignmentDays.length,
+      totalWeeks: Object.values(daysByYear).reduce((sum, days) => sum + days, 0) / 7,
+      weeksByYear: Object.keys(daysByYear).sort().map(year => ({ label: year, value: daysByYear[year] / 7 })),
+      averageWeeks: assignmentDays.length > 0
+        ? assignmentDays.reduce((sum, days) => sum + days, 0) / assignmentDays.length / 7
+        : 0,
+      facilities: facilities.size,
+      states: [...new Set(states)].sort(),
+      topStates: this.rankCounts(states).slice(0, this.topCount),
+      topRegions: this.rankCounts(states.map(state => this.regionOfState(state))),
+      earningsByYear: Object.entries(this.getEarningsByYear(ranges))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([year, amount]) => ({ label: year, value: amount })),
+      longestGap
+    };
+  }
+
+  formatWeeks(weeks) {
+    return `${Math.round(weeks * 10) / 10} wk`;
+  }
+
+  formatGap(gap) {
+    if (!gap) {
+      return 'None';
+    }
+    return gap.days < 60 ? `${gap.days} days` : `${Math.round(gap.days / 30.44)} months`;
+  }
+
+  // Horizontal bar chart; bars are sized against the largest value
+  renderBarChart(title, items, format) {
+    if (items.length === 0) {
+      return '';
+    }
+
+    const max = Math.max(...items.map(item => item.value), 1);
+    const rows = items.map(item => `
+      <div class="stats-bar-row">
+        <span class="stats-bar-label">${escapeHtml(String(item.label))}</span>
+        <span class="stats-bar-track"><span class="stats-bar" style="width: ${(item.value / max) * 100}%"></span></span>
+        <span class="stats-bar-value">${escapeHtml(format(item.value))}</span>
+      </div>`).join('');
+
+    return `<div class="stats-chart"><h4>${escapeHtml(title)}</h4>${rows}</div>`;
+  }
+
+  renderTile(label, value, detail = '') {
+    return `
+      <div class="stats-tile"${detail ? ` title="${escapeHtml(detail)}"` : ''}>
+        <span class="stats-tile-value">${escapeHtml(String(value))}</span>
+        <span class="stats-tile-label">${escapeHtml(label)}</span>
+      </div>`;
+  }
+
+  render(contracts = []) {
+    const container = document.getElementById('contract-statistics');
+    if (!container) {
+      return;
+    }
+
+    const stats = this.calculate(contracts);
+    if (stats.contractsWorked === 0) {
+      container.innerHTML = '<div class="stats-empty">Statistics appear once you have worked a contract</div>';
+      return;
+    }
+
+    const money = window.PayPackage ? window.PayPackage.formatCurrency : value => String(Math.round(value));
+    const gapDetail = stats.longestGap ? `${stats.longestGap.start} → ${stats.longestGap.end}` : '';
+
+    container.innerHTML = `
+      <div class="stats-tiles">
+        ${this.renderTile('Weeks worked', Math.round(stats.totalWeeks))}
+        ${this.renderTile('Assignments', stats.assignments)}
+        ${this.renderTile('Facilities', stats.facilities)}
+        ${this.renderTile('States', stats.states.length, stats.states.join(', '))}
+        ${this.renderTile('Avg. assignment', this.formatWeeks(stats.averageWeeks), 'Extensions count toward the original assignment')}
+        ${this.renderTile('Longest gap', this.formatGap(stats.longestGap), gapDetail)}
+      </div>
+      ${this.renderBarChart('Weeks Worked per Year', stats.weeksByYear, value => this.formatWeeks(value))}
+      ${this.renderBarChart('Earnings by Year', stats.earningsByYear, value => money(value))}
+      ${this.renderBarChart('Most Frequent States', stats.topStates, value => `${value}×`)}
+      ${this.renderBarChart('Regions', stats.topRegions, value => `${value}×`)}
+      ${stats.states.length > 0 ? `
+        <div class="stats-chart">
+          <h4>States Visited</h4>
+          <div class="stats-states">${stats.states.map(state => `<span>${escapeHtml(state)}</span>`).join('')}</div>
+        </div>` : ''}
+    `;
+  }
+}
+
+// Create global instance
+window.contractStatistics = new ContractStatistics();
@@ -0,0 +1,196 @@
+/**
+ * Sync Manager
+ * Replays changes queued while offline and shows the online / offline / pending indicator
+ */
+
+class SyncManager {
+  constructor() {
+    this.syncPromise = null;
+    this.lastReport = '';
+
+    window.addEventListener('online', () => this.handleReconnect());
+    window.addEventListener('offline', () => this.updateIndicator());
+    document.addEventListener('DOMContentLoaded', () => this.initialize());
+  }
+
+  initialize() {
+    const indicator = document.getElementById('sync-status');
+    if (indicator) {
+      // Clicking while changes are waiting retries the sync straight away
+      indicator.addEventListener('click', () => this.handleReconnect());
+    }
+
+    this.registerServiceWorker();
+    this.updateIndicator();
+  }
+
+  // Cache the app shell so the logbook opens without a connection
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      return;
+    }
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  currentUserId() {
+    const user = window.auth ? window.auth.getCurrentUser() : null;
+    return user ? user.id : null;
+  }
+
+  async pendingCount() {
+    const userId = this.currentUserId();
+    if (!window.offlineStore || !userId) {
+      return 0;
+    }
+    try {
+      return await window.offlineStore.countQueue(userId);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Replay the queue, then reload the logbook so it shows the server's copy
+  async handleReconnect() {
+    const result = await this.sync();
+    if (result && (result.applied > 0 || result.conflicts.length > 0) && window.logbookApp) {
+      await window.logbookApp.loadContractsFromDatabase();
+    }
+  }
+
+  // Send queued changes in order; only one replay runs at a time
+  sync() {
+    if (!navigator.onLine || !window.offlineStore || !window.database) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.syncPromise) {
+      this.syncPromise = this.replayQueue().finally(() => {
+        this.syncPromise = null;
+        this.updateIndicator();
+      });
+    }
+    return this.syncPromise;
+  }
+
+  async replayQueue() {
+    const result = { applied: 0, conflicts: [], failures: [] };
+    const failed = [];
+
+    const userId = this.currentUserId();
+    if (!userId) {
+      return result;
+    }
+
+    // Changes queued under another account are never sent with this session
+    let queue;
+    try {
+      queue = [];
+      for (const change of await window.offlineStore.getQueue()) {
+        if (change.user_id === userId) {
+          queue.push(change);
+        } else {
+          await window.offlineStore.removeQueued(change.id);
+        }
+      }
+    } catch (error) {
+      return result;
+    }
+
+    if (queue.length === 0) {
+      return result;
+    }
+
+    this.updateIndicator('syncing');
+
+    for (const change of queue) {
+      const outcome = await window.database.applyQueuedChange(change);
+
+      // Connection dropped again: keep this and later changes for the next attempt
+      if (!outcome.success && outcome.offline) {
+        break;
+      }
+
+      // A rejected change stays queued and is retried on the next sync, since the cause
+      // (a server error, a policy) may be temporary; only the user can drop it
+      if (!outcome.success) {
+        result.failures.push(`${this.describe(change)}: ${outcome.error}`);
+        failed.push(change);
+        await window.offlineStore.updateQueued({
+          ...change,
+          attempts: (change.attempts || 0) + 1,
+          last_error: outcome.error
+        });
+        continue;
+      }
+
+      if (outcome.conflict) {
+        result.conflicts.push(`${this.describe(change)} ${outcome.conflict}; kept the newer server copy`);
+      } else {
+        result.applied++;
+      }
+
+      await window.offlineStore.removeQueued(change.id);
+    }
+
+    this.lastReport = [
+      result.applied > 0 ? `${result.applied} change${result.applied === 1 ? '' : 's'} synced` : '',
+      ...result.conflicts,
+      ...result.failures.map(failure => `Not synced - ${failure}`)
+    ].filter(Boolean).join('\n');
+
+    if (failed.length > 0) {
+      const discard = confirm(`Offline changes synced with issues:\n\n${this.lastReport}\n\n` +
+        'Changes that were not synced stay on this device and are retried on the next sync ' +
+        '(or when you click the sync status). Discard them instead?');
+      if (discard) {
+        for (const change of failed) {
+          await window.offlineStore.removeQueued(change.id);
+        }
+      }
+    } else if (result.conflicts.length > 0) {
+      alert(`Offline changes synced with issues:\n\n${this.lastReport}`);
+    }
+
+    return result;
+  }
+
+  describe(change) {
+    if (change.table === 'user_profiles') {
+      return 'Profile update';
+    }
+    const name = change.data && change.data.hospital_name ? ` (${change.data.hospital_name})` : '';
+    return `Contract ${change.action}${name}`;
+  }
+
+  // Show connection state and how many changes are waiting
+  async updateIndicator(state = null) {
+    const indicator = document.getElementById('sync-status');
+    if (!indicator) {
+      return;
+    }
+
+    const pending = state ? 0 : await this.pendingCount();
+    let status = state || (navigator.onLine ? 'online' : 'offline');
+    if (!state && pending > 0) {
+      status = navigator.onLine ? 'pending' : 'offline-pending';
+    }
+
+    const labels = {
+      online: 'Online',
+      offline: 'Offline - changes are saved on this device',
+      pending: `${pending} change${pending === 1 ? '' : 's'} waiting to sync`,
+      'offline-pending': `Offline - ${pending} change${pending === 1 ? '' : 's'} waiting to sync`,
+      syncing: 'Syncing...'
+    };
+
+    indicator.className = `sync-status sync-${status}`;
+    indicator.textContent = labels[status];
+    indicator.title = this.lastReport || labels[status];
+  }
+}
+
+// Create global instance
+window.syncManager = new SyncManager();
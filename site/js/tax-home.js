@@ -0,0 +1,81 @@
+//=============================================================================
+// TAX HOME - Travel Nurse Logbook
+// Distance checks against the declared tax home's 50-mile exclusion zone
+//=============================================================================
+
+const TAX_HOME_RADIUS_MILES = 50;
+const TAX_HOME_RADIUS_METERS = 80467; // 50 miles in meters
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Great-circle distance in miles between two points
+function distanceInMiles(lat1, lng1, lat2, lng2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return EARTH_RADIUS_MILES * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Get the declared tax home from the loaded profile, or null if none is set
+function getTaxHome() {
+    const profile = window.profileManager ? window.profileManager.getUserProfile() : null;
+    if (!profile) {
+        return null;
+    }
+
+    const latitude = parseFloat(profile.tax_home_latitude);
+    const longitude = parseFloat(profile.tax_home_longitude);
+
+    if (isNaN(latitude) || isNaN(longitude)) {
+        return null;
+    }
+
+    return {
+        address: profile.tax_home_address || '',
+        latitude,
+        longitude
+    };
+}
+
+// Radius of the exclusion zone, following the tax rules configuration when loaded
+function getExclusionRadiusMiles() {
+    if (window.TaxRules) {
+        return window.TaxRules.getConfig().distanceRadiusRule.radiusMiles;
+    }
+    return TAX_HOME_RADIUS_MILES;
+}
+
+// Check a location against the tax home exclusion zone
+// Returns null when no tax home is declared or the coordinates are invalid
+function checkTaxHomeDistance(latitude, longitude, radiusMiles = getExclusionRadiusMiles()) {
+    const taxHome = getTaxHome();
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (!taxHome || isNaN(lat) || isNaN(lng)) {
+        return null;
+    }
+
+    const miles = distanceInMiles(taxHome.latitude, taxHome.longitude, lat, lng);
+
+    return {
+        miles,
+        withinExclusionZone: miles < radiusMiles,
+        radiusMiles,
+        taxHome
+    };
+}
+
+//=============================================================================
+// TAX HOME API - Public Interface for External Access
+//=============================================================================
+
+window.TaxHome = {
+    RADIUS_MILES: TAX_HOME_RADIUS_MILES,
+    RADIUS_METERS: TAX_HOME_RADIUS_METERS,
+    distanceInMiles: distanceInMiles,
+    getRadiusMiles: getExclusionRadiusMiles,
+    get: getTaxHome,
+    checkDistance: checkTaxHomeDistance
+};
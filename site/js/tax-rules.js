@@ -0,0 +1,365 @@
+//=============================================================================
+// TAX RULES ENGINE - Travel Nurse Logbook
+// Evaluates contracts against configurable tax rules and explains the result
+//
+// Every evaluation returns:
+//   status        - 'current' | 'restricted' | 'available'
+//   statusClass   - card class for the status (contract-current, ...)
+//   label         - short status text ('Cannot Return Yet', ...)
+//   tooltipText   - label plus one line per reason
+//   reasons       - [{ rule, severity: 'violation' | 'warning' | 'info', message }]
+//   availableFrom - date the location can be worked again (restricted only)
+//=============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TAX_RULES = {
+    // Contracts within this distance of each other count as the same metro
+    metroRadiusMiles: 50,
+
+    // One-year realistic expectation: a stay at one location past this length is indefinite
+    oneYearRule: {
+        enabled: true,
+        maxMonths: 12,
+        gapDays: 30 // Back-to-back contracts with shorter gaps count as one stay
+    },
+
+    // Cumulative time in the same metro within a rolling window
+    cumulativeMetroRule: {
+        enabled: true,
+        windowMonths: 24,
+        maxMonths: 12,
+        returnWaitMonths: 24 // Conservative wait after leaving a metro (0 relies on the limit only)
+    },
+
+    // Distance from the declared tax home
+    distanceRadiusRule: {
+        enabled: true,
+        radiusMiles: 50
+    }
+};
+
+const STATUS_LABELS = {
+    current: 'Currently Working',
+    restricted: 'Cannot Return Yet',
+    available: 'Can Return Now'
+};
+
+const STATUS_COLORS = {
+    current: '#2196F3',    // Blue for current contracts (matches card theme)
+    restricted: '#F44336', // Red for restricted areas (matches card theme)
+    available: '#4CAF50'   // Green for available areas (matches card theme)
+};
+
+// Merged configuration for the profile's current overrides, rebuilt when they change
+let cachedOverrides;
+let cachedConfig = null;
+
+//=============================================================================
+// CONFIGURATION
+//=============================================================================
+
+// Merge stored overrides onto the defaults, one rule group at a time
+function mergeTaxRules(overrides) {
+    const merged = JSON.parse(JSON.stringify(DEFAULT_TAX_RULES));
+
+    Object.keys(overrides || {}).forEach(key => {
+        if (merged[key] && typeof merged[key] === 'object') {
+            merged[key] = { ...merged[key], ...overrides[key] };
+        } else if (key in merged) {
+            merged[key] = overrides[key];
+        }
+    });
+
+    return merged;
+}
+
+// Rule overrides saved in the user's profile (user_profiles.tax_rules), like the tax home
+function getProfileOverrides() {
+    const profile = window.profileManager ? window.profileManager.getUserProfile() : null;
+    return profile ? profile.tax_rules || null : null;
+}
+
+// Active configuration: the signed-in user's overrides on top of the defaults
+function getTaxRulesConfig() {
+    const overrides = getProfileOverrides();
+    if (!cachedConfig || overrides !== cachedOverrides) {
+        cachedOverrides = overrides;
+        cachedConfig = mergeTaxRules(overrides);
+    }
+    return cachedConfig;
+}
+
+//=============================================================================
+// DATE AND LOCATION HELPERS
+//=============================================================================
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Contracts without an end date are treated as running through today
+function contractEnd(contract, today) {
+    return parseDate(contract.end_date) || today;
+}
+
+function daysBetween(start, end) {
+    return Math.max(0, Math.round((end - start) / DAY_MS) + 1);
+}
+
+function formatMonthYear(date) {
+    return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
+// Two contracts share a location when they are within the metro radius,
+// or have the same hospital name when coordinates are missing
+function isSameLocation(a, b, config) {
+    if (a === b || (a.id && a.id === b.id)) {
+        return true;
+    }
+
+    const latA = parseFloat(a.latitude);
+    const lngA = parseFloat(a.longitude);
+    const latB = parseFloat(b.latitude);
+    const lngB = parseFloat(b.longitude);
+
+    if ([latA, lngA, latB, lngB].some(isNaN)) {
+        return (a.hospital_name || '').trim().toLowerCase() === (b.hospital_name || '').trim().toLowerCase();
+    }
+
+    return window.TaxHome.distanceInMiles(latA, lngA, latB, lngB) <= config.metroRadiusMiles;
+}
+
+//=============================================================================
+// RULES
+//=============================================================================
+
+// One-year realistic expectation rule for a single location
+function evaluateOneYearRule(contract, sameLocation, config, today) {
+    const rule = config.oneYearRule;
+    if (!rule.enabled) return [];
+
+    // Chain back-to-back contracts at this location into stays
+    const sorted = sameLocation
+        .filter(c => parseDate(c.start_date))
+        .sort((a, b) => parseDate(a.start_date) - parseDate(b.start_date));
+
+    const stays = [];
+    sorted.forEach(c => {
+        const start = parseDate(c.start_date);
+        const end = contractEnd(c, today);
+        const lastStay = stays[stays.length - 1];
+
+        if (lastStay && (start - lastStay.end) / DAY_MS <= rule.gapDays) {
+            lastStay.end = end > lastStay.end ? end : lastStay.end;
+            lastStay.contracts.push(c);
+        } else {
+            stays.push({ start, end, contracts: [c] });
+        }
+    });
+
+    const stay = stays.find(s => s.contracts.includes(contract));
+    if (!stay) return [];
+
+    const limit = addMonths(stay.start, rule.maxMonths);
+    const months = (stay.end - stay.start) / (DAY_MS * 30.44);
+
+    if (stay.end > limit) {
+        return [{
+            rule: 'oneYearRule',
+            severity: 'violation',
+            message: `Stay at this location runs ${months.toFixed(1)} months, past the ${rule.maxMonths}-month realistic-expectation limit`
+        }];
+    }
+
+    if (stay.end > addMonths(limit, -2)) {
+        return [{
+            rule: 'oneYearRule',
+            severity: 'warning',
+            message: `Stay at this location runs ${months.toFixed(1)} months, close to the ${rule.maxMonths}-month limit`
+        }];
+    }
+
+    return [];
+}
+
+// Days worked in the same metro within the window ending on windowEnd
+function metroDaysInWindow(sameLocation, windowEnd, windowMonths, today) {
+    const windowStart = addMonths(windowEnd, -windowMonths);
+
+    return sameLocation.reduce((total, c) => {
+        const start = parseDate(c.start_date);
+        if (!start) return total;
+
+        const clippedStart = start > windowStart ? start : windowStart;
+        const end = contractEnd(c, today);
+        const clippedEnd = end < windowEnd ? end : windowEnd;
+
+        return clippedEnd >= clippedStart ? total + daysBetween(clippedStart, clippedEnd) : total;
+    }, 0);
+}
+
+// Cumulative time in the same metro within a rolling window
+function evaluateCumulativeMetroRule(contract, sameLocation, config, today) {
+    const rule = config.cumulativeMetroRule;
+    if (!rule.enabled) return { reasons: [], availableFrom: null };
+
+    const reasons = [];
+    const maxDays = Math.round(rule.maxMonths * 30.44);
+
+    // Would this contract (as worked or planned) push the metro over the limit?
+    const usedThroughContract = metroDaysInWindow(sameLocation, contractEnd(contract, today), rule.windowMonths, today);
+    if (usedThroughContract > maxDays) {
+        reasons.push({
+            rule: 'cumulativeMetroRule',
+            severity: 'violation',
+            message: `${usedThroughContract} days in this area within ${rule.windowMonths} months (limit ${maxDays})`
+        });
+    }
+
+    // When can this metro be worked again?
+    const lastEnd = sameLocation.reduce((latest, c) => {
+        const end = contractEnd(c, today);
+        return !latest || end > latest ? end : latest;
+    }, null);
+
+    let availableFrom = null;
+
+    const usedToday = metroDaysInWindow(sameLocation, today, rule.windowMonths, today);
+    if (usedToday >= maxDays && lastEnd) {
+        // Days roll off one at a time; waiting out the window from the last day is the safe bound
+        availableFrom = addMonths(lastEnd, rule.windowMonths);
+    }
+
+    if (rule.returnWaitMonths > 0 && lastEnd) {
+        const waitEnds = addMonths(lastEnd, rule.returnWaitMonths);
+        if (waitEnds > today && (!availableFrom || waitEnds > availableFrom)) {
+            availableFrom = waitEnds;
+        }
+    }
+
+    if (usedToday > 0) {
+        reasons.push({
+            rule: 'cumulativeMetroRule',
+            severity: 'info',
+            message: `${usedToday} of ${maxDays} days used in this area over the last ${rule.windowMonths} months`
+        });
+    }
+
+    return { reasons, availableFrom: availableFrom && availableFrom > today ? availableFrom : null };
+}
+
+// Distance from the declared tax home
+function evaluateDistanceRadiusRule(contract, config) {
+    const rule = config.distanceRadiusRule;
+    if (!rule.enabled || !window.TaxHome) return [];
+
+    const check = window.TaxHome.checkDistance(contract.latitude, contract.longitude, rule.radiusMiles);
+    if (!check || !check.withinExclusionZone) return [];
+
+    return [{
+        rule: 'distanceRadiusRule',
+        severity: 'violation',
+        message: `${check.miles.toFixed(1)} miles from tax home (inside the ${rule.radiusMiles}-mile radius)`
+    }];
+}
+
+//=============================================================================
+// EVALUATION
+//=============================================================================
+
+// Evaluate one contract in the context of the whole logbook
+function evaluateContract(contract, allContracts = []) {
+    const config = getTaxRulesConfig();
+    const today = new Date();
+    const contracts = (allContracts.includes(contract) ? allContracts : [...allContracts, contract])
+        // Assignments cancelled before they started never counted toward time in an area
+        .filter(c => c === contract || !window.ContractLifecycle || window.ContractLifecycle.wasWorked(c));
+    const sameLocation = contracts.filter(c => isSameLocation(contract, c, config));
+
+    const end = parseDate(contract.end_date);
+    const isCurrent = !end || end > today;
+
+    const cumulative = evaluateCumulativeMetroRule(contract, sameLocation, config, today);
+    const reasons = [
+        ...evaluateDistanceRadiusRule(contract, config),
+        ...evaluateOneYearRule(contract, sameLocation, config, today),
+        ...cumulative.reasons
+    ];
+
+    let status = 'available';
+    if (isCurrent) {
+        status = 'current';
+    } else if (cumulative.availableFrom) {
+        status = 'restricted';
+        reasons.push({
+            rule: 'cumulativeMetroRule',
+            severity: 'warning',
+            message: `Area available again from ${formatMonthYear(cumulative.availableFrom)}`
+        });
+    }
+
+    const label = STATUS_LABELS[status];
+
+    return {
+        status,
+        statusClass: `contract-${status}`,
+        label,
+        tooltipText: [label, ...reasons.map(reason => reason.message)].join('\n'),
+        reasons,
+        availableFrom: status === 'restricted' ? cumulative.availableFrom : null
+    };
+}
+
+// Evaluate every contract, keyed by contract id
+function evaluateAllContracts(contracts = []) {
+    const evaluations = new Map();
+    contracts.forEach(contract => {
+        evaluations.set(contract.id, evaluateContract(contract, contracts));
+    });
+    return evaluations;
+}
+
+// Count statuses and flagged contracts for statistics displays
+function summarizeContracts(contracts = []) {
+    const summary = { current: 0, restricted: 0, available: 0, violations: 0, warnings: 0 };
+
+    contracts.forEach(contract => {
+        const evaluation = evaluateContract(contract, contracts);
+        summary[evaluation.status]++;
+        if (evaluation.reasons.some(reason => reason.severity === 'violation')) summary.violations++;
+        if (evaluation.reasons.some(reason => reason.severity === 'warning')) summary.warnings++;
+    });
+
+    return summary;
+}
+
+function getStatusColor(status) {
+    return STATUS_COLORS[status] || STATUS_COLORS.current;
+}
+
+//=============================================================================
+// TAX RULES API - Public Interface for External Access
+//=============================================================================
+
+window.TaxRules = {
+    DEFAULTS: DEFAULT_TAX_RULES,
+
+    // Configuration (saved with the profile, see ProfileManager.saveTaxRules)
+    getConfig: getTaxRulesConfig,
+    mergeConfig: mergeTaxRules,
+
+    // Evaluation
+    evaluate: evaluateContract,
+    evaluateAll: evaluateAllContracts,
+    summarize: summarizeContracts,
+    getStatusColor: getStatusColor
+};
@@ -0,0 +1,213 @@
+/**
+ * Contract Timeline
+ * Renders the assignment history as bars on a time axis and highlights employment gaps
+ */
+
+class ContractTimeline {
+  constructor() {
+    this.pixelsPerDay = 1.5;
+    this.laneHeight = 28;
+    this.axisHeight = 22;
+    this.defaultGapDays = 30;
+    this.gapStorageKey = 'tnl_timeline_gap_days';
+    this.initialized = false;
+  }
+
+  // Bind the gap threshold control once the timeline is in the DOM
+  initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    const gapInput = document.getElementById('timeline-gap-days');
+    if (gapInput) {
+      gapInput.value = this.getGapThreshold();
+      gapInput.addEventListener('change', () => {
+        const days = parseInt(gapInput.value, 10);
+        if (!isNaN(days) && days >= 0) {
+          localStorage.setItem(this.gapStorageKey, String(days));
+        }
+        gapInput.value = this.getGapThreshold();
+
+        if (window.logbookApp) {
+          this.render(window.logbookApp.contracts);
+        }
+      });
+    }
+
+    this.initialized = true;
+  }
+
+  // Gaps longer than this many days are highlighted
+  getGapThreshold() {
+    const stored = parseInt(localStorage.getItem(this.gapStorageKey), 10);
+    return isNaN(stored) ? this.defaultGapDays : stored;
+  }
+
+  // Day number since the epoch for a YYYY-MM-DD date, ignoring time zones
+  dayNumber(dateString) {
+    return Math.round(Date.parse(dateString) / (24 * 60 * 60 * 1000));
+  }
+
+  dateFromDayNumber(day) {
+    return new Date(day * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  }
+
+  // Contracts with usable dates as { contract, start, end } day ranges, oldest first
+  getRanges(contracts) {
+    const today = this.dayNumber(new Date().toISOString().split('T')[0]);
+
+    return contracts
+      .filter(contract => contract.start_date && !isNaN(Date.parse(contract.start_date)))
+      .map(contract => {
+        const start = this.dayNumber(contract.start_date);
+        const end = contract.end_date && !isNaN(Date.parse(contract.end_date)) ? this.dayNumber(contract.end_date) : today;
+        return { contract, start, end: Math.max(start, end) };
+      })
+      .sort((a, b) => a.start - b.start);
+  }
+
+  // Put overlapping contracts on separate lanes so every bar stays visible
+  assignLanes(ranges) {
+    const laneEnds = [];
+
+    ranges.forEach(range => {
+      let lane = laneEnds.findIndex(end => end < range.start);
+      if (lane === -1) {
+        lane = laneEnds.length;
+        laneEnds.push(range.end);
+      } else {
+        laneEnds[lane] = range.end;
+      }
+      range.lane = lane;
+    });
+
+    return laneEnds.length;
+  }
+
+  // Periods longer than the threshold where no contract was running
+  findGaps(ranges, thresholdDays) {
+    const gaps = [];
+    let coveredUntil = null;
+
+    ranges.forEach(range => {
+      // Assignments cancelled before they started do not cover any time
+      if (window.ContractLifecycle && !window.ContractLifecycle.wasWorked(range.contract)) {
+        return;
+      }
+
+      if (coveredUntil !== null) {
+        const gapDays = range.start - coveredUntil - 1;
+        if (gapDays > thresholdDays) {
+          gaps.push({ start: coveredUntil + 1, end: range.start - 1, days: gapDays });
+        }
+      }
+      coveredUntil = coveredUntil === null ? range.end : Math.max(coveredUntil, range.end);
+    });
+
+    return gaps;
+  }
+
+  formatGap(days) {
+    if (days < 60) {
+      return `${days} day gap`;
+    }
+    const months = Math.round(days / 30.44);
+    return `${months} month gap`;
+  }
+
+  render(contracts = []) {
+    const container = document.getElementById('timeline-canvas');
+    const summary = document.getElementById('timeline-summary');
+    if (!container) {
+      return;
+    }
+
+    this.initialize();
+    container.innerHTML = '';
+
+    const ranges = this.getRanges(contracts);
+    if (ranges.length === 0) {
+      container.innerHTML = '<div class="timeline-empty">No contracts to show yet</div>';
+      if (summary) summary.textContent = '';
+      return;
+    }
+
+    // Pad the axis to whole years so labels line up
+    const firstYear = new Date(this.dateFromDayNumber(ranges[0].start)).getUTCFullYear();
+    const lastYear = new Date(this.dateFromDayNumber(Math.max(...ranges.map(range => range.end)))).getUTCFullYear();
+    const axisStart = this.dayNumber(`${firstYear}-01-01`);
+    const axisEnd = this.dayNumber(`${lastYear + 1}-01-01`);
+    const x = day => (day - axisStart) * this.pixelsPerDay;
+
+    const laneCount = this.assignLanes(ranges);
+    const gaps = this.findGaps(ranges, this.getGapThreshold());
+
+    container.style.width = `${x(axisEnd)}px`;
+    container.style.height = `${this.axisHeight + laneCount * this.laneHeight + 8}px`;
+
+    // Year ticks
+    for (let year = firstYear; year <= lastYear; year++) {
+      const tick = document.createElement('div');
+      tick.className = 'timeline-year';
+      tick.style.left = `${x(this.dayNumber(`${year}-01-01`))}px`;
+      tick.textContent = year;
+      container.appendChild(tick);
+    }
+
+    // Gaps sit behind the bars and span every lane
+    gaps.forEach(gap => {
+      const block = document.createElement('div');
+      block.className = 'timeline-gap';
+      block.style.left = `${x(gap.start)}px`;
+      block.style.width = `${(gap.end - gap.start + 1) * this.pixelsPerDay}px`;
+      block.style.top = `${this.axisHeight}px`;
+      block.style.bottom = '0';
+      block.title = `${this.formatGap(gap.days)}: ${this.dateFromDayNumber(gap.start)} → ${this.dateFromDayNumber(gap.end)}`;
+      block.innerHTML = `<span>${this.formatGap(gap.days)}</span>`;
+      container.appendChild(block);
+    });
+
+    ranges.forEach(range => {
+      const { contract } = range;
+      const evaluation = window.logbookApp
+        ? window.logbookApp.calculateTaxComplianceStatus(contract)
+        : { statusClass: 'contract-current', tooltipText: '' };
+
+      const bar = document.createElement('button');
+      bar.type = 'button';
+      bar.className = `timeline-bar ${evaluation.statusClass}`;
+      if (window.ContractLifecycle) {
+        bar.classList.add(`lifecycle-${window.ContractLifecycle.getStatus(contract, contracts)}`);
+      }
+      bar.style.left = `${x(range.start)}px`;
+      bar.style.width = `${Math.max((range.end - range.start + 1) * this.pixelsPerDay, 4)}px`;
+      bar.style.top = `${this.axisHeight + range.lane * this.laneHeight}px`;
+      bar.title = `${contract.hospital_name}\n${contract.start_date} → ${contract.end_date || 'Ongoing'}\n${evaluation.tooltipText}`;
+      bar.textContent = contract.hospital_name || '';
+
+      bar.addEventListener('click', () => {
+        if (window.logbookApp) {
+          window.logbookApp.showContractDetails(contract);
+        }
+      });
+
+      container.appendChild(bar);
+    });
+
+    if (summary) {
+      summary.textContent = gaps.length > 0
+        ? `${gaps.length} gap${gaps.length === 1 ? '' : 's'} longer than ${this.getGapThreshold()} days`
+        : `No gaps longer than ${this.getGapThreshold()} days`;
+    }
+
+    // Start scrolled to the most recent work
+    const scroller = document.getElementById('contract-timeline-scroll');
+    if (scroller) {
+      scroller.scrollLeft = scroller.scrollWidth;
+    }
+  }
+}
+
+// Create global instance
+window.contractTimeline = new ContractTimeline();
@@ -0,0 +1,170 @@
+import { strToU8, zipSync } from 'https://esm.sh/fflate@0.8.2'
+import { SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2'
+
+// Private bucket for generated archives; only the service role can read or write it
+// (see supabase/migrations/0007_account_archives.sql)
+export const ARCHIVE_BUCKET = 'account-archives'
+export const DOCUMENTS_BUCKET = 'documents'
+
+// Download links last a day. Expired archives are removed hourly by the prune-archives
+// function (scheduled in supabase/migrations/0010_archive_cleanup.sql) and whenever a new one is stored
+const ARCHIVE_LIFETIME_SECONDS = 60 * 60 * 24
+
+// Storage lists and removes at most this many objects per call
+const PRUNE_PAGE_SIZE = 100
+
+// Every table holding a user's rows, keyed by the file name used in the archive
+const USER_TABLES: Record<string, string> = {
+  profile: 'user_profiles',
+  contracts: 'contracts',
+  licenses: 'licenses',
+  documents: 'contract_documents'
+}
+
+export interface UserData {
+  [name: string]: Record<string, unknown>[]
+}
+
+export interface StoredArchive {
+  url: string
+  file_name: string
+  size: number
+  expires_at: string
+}
+
+export async function collectUserData(supabaseAdmin: SupabaseClient, userId: string): Promise<UserData> {
+  const data: UserData = {}
+
+  for (const [name, table] of Object.entries(USER_TABLES)) {
+    const { data: rows, error } = await supabaseAdmin
+      .from(table)
+      .select('*')
+      .eq('user_id', userId)
+
+    if (error) {
+      throw new Error(`Failed to read ${table}: ${error.message}`)
+    }
+    data[name] = rows ?? []
+  }
+
+  return data
+}
+
+// Keep archive paths readable and safe on every operating system
+function safeName(value: unknown) {
+  return String(value ?? '').replace(/[\\/:*?"<>|]+/g, '-').replace(/\s+/g, ' ').trim() || 'untitled'
+}
+
+// ZIP with one JSON file per table and every uploaded document, filed under
+// its contract. Documents that can no longer be downloaded are listed in the README.
+export async function buildUserArchive(supabaseAdmin: SupabaseClient, user: User, data: UserData) {
+  const files: Record<string, Uint8Array> = {}
+  const missing: string[] = []
+
+  for (const [name, rows] of Object.entries(data)) {
+    files[`data/${name}.json`] = strToU8(JSON.stringify(name === 'profile' ? rows[0] ?? null : rows, null, 2))
+  }
+
+  const contracts = new Map(data.contracts.map(contract => [contract.id, contract]))
+
+  for (const document of data.documents) {
+    const { data: blob, error } = await supabaseAdmin.storage
+      .from(DOCUMENTS_BUCKET)
+      .download(String(document.file_path))
+
+    if (error || !blob) {
+      missing.push(String(document.file_name ?? document.file_path))
+      continue
+    }
+
+    const contract = contracts.get(document.contract_id)
+    const folder = contract ? safeName(`${contract.start_date} ${contract.hospital_name}`) : 'unlinked'
+    files[`documents/${folder}/${safeName(document.id)}_${safeName(document.file_name)}`] = new Uint8Array(await blob.arrayBuffer())
+  }
+
+  const readme = [
+    'Travel Nurse Logbook - account archive',
+    `Account: ${user.email ?? user.id}`,
+    `Created: ${new Date().toISOString()}`,
+    '',
+    'data/       Your profile, contracts, licenses and document details as JSON',
+    'documents/  Every uploaded document, in a folder per contract',
+    ...(missing.length > 0 ? ['', 'These documents could not be included:', ...missing.map(name => `- ${name}`)] : [])
+  ].join('\n')
+  files['README.txt'] = strToU8(readme)
+
+  return { bytes: zipSync(files), documentCount: data.documents.length - missing.length, missing }
+}
+
+// Upload the archive and return a download link that outlives the account
+export async function storeArchive(supabaseAdmin: SupabaseClient, userId: string, bytes: Uint8Array, prefix: string): Promise<StoredArchive> {
+  // Opportunistic only; the scheduled prune is what guarantees cleanup
+  try {
+    await pruneArchives(supabaseAdmin)
+  } catch (error) {
+    console.error(error.message)
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10)
+  const fileName = `${prefix}-${stamp}.zip`
+  const path = `${Date.now()}_${userId}.zip`
+
+  const { error: uploadError } = await supabaseAdmin.storage
+    .from(ARCHIVE_BUCKET)
+    .upload(path, bytes, { contentType: 'application/zip', upsert: false })
+
+  if (uploadError) {
+    throw new Error(`Failed to store archive: ${uploadError.message}`)
+  }
+
+  const { data, error } = await supabaseAdmin.storage
+    .from(ARCHIVE_BUCKET)
+    .createSignedUrl(path, ARCHIVE_LIFETIME_SECONDS, { download: fileName })
+
+  if (error || !data) {
+    throw new Error(`Failed to create archive link: ${error?.message ?? 'unknown error'}`)
+  }
+
+  return {
+    url: data.signedUrl,
+    file_name: fileName,
+    size: bytes.length,
+    expires_at: new Date(Date.now() + ARCHIVE_LIFETIME_SECONDS * 1000).toISOString()
+  }
+}
+
+// Archives hold copies of personal data (sometimes of deleted accounts), so each is
+// removed within an hour of its download link expiring. Returns how many were removed
+export async function pruneArchives(supabaseAdmin: SupabaseClient): Promise<number> {
+  const cutoff = Date.now() - ARCHIVE_LIFETIME_SECONDS * 1000
+  let removed = 0
+
+  // Oldest first: keep going while whole pages have expired
+  while (true) {
+    const { data: objects, error } = await supabaseAdmin.storage
+      .from(ARCHIVE_BUCKET)
+      .list('', { limit: PRUNE_PAGE_SIZE, sortBy: { column: 'created_at', order: 'asc' } })
+
+    if (error || !objects) {
+      throw new Error(`Could not list old archives: ${error?.message ?? 'unknown error'}`)
+    }
+
+    const expired = objects
+      .filter(object => object.created_at && Date.parse(object.created_at) < cutoff)
+      .map(object => object.name)
+
+    if (expired.length === 0) {
+      return removed
+    }
+
+    const { error: removeError } = await supabaseAdmin.storage.from(ARCHIVE_BUCKET).remove(expired)
+    if (removeError) {
+      throw new Error(`Could not remove old archives: ${removeError.message}`)
+    }
+    removed += expired.length
+
+    if (expired.length < objects.length || objects.length < PRUNE_PAGE_SIZE) {
+      return removed
+    }
+  }
+}
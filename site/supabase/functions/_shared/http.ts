@@ -0,0 +1,85 @@
+import { createClient, SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2'
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+export function jsonResponse(body: unknown, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status
+    }
+  )
+}
+
+// Service-role client: bypasses row-level security, so every query must filter by user
+export function createAdminClient(): SupabaseClient {
+  return createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    }
+  )
+}
+
+// Resolve the user from the caller's JWT
+export async function getRequestUser(req: Request, supabaseAdmin: SupabaseClient): Promise<User> {
+  const authHeader = req.headers.get('Authorization')?.replace('Bearer ', '')
+
+  if (!authHeader) {
+    throw new Error('Missing authorization header')
+  }
+
+  const { data: { user }, error: userError } = await supabaseAdmin.auth.getUser(authHeader)
+
+  if (userError || !user) {
+    throw new Error('Invalid token or user not found')
+  }
+
+  return user
+}
+
+// Authenticator assurance level of the caller's JWT: 'aal1' after a password,
+// 'aal2' once a second factor has been verified. The token was already checked by getRequestUser
+export function getAssuranceLevel(req: Request): string {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '') ?? ''
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    return JSON.parse(atob(payload)).aal ?? 'aal1'
+  } catch (_error) {
+    return 'aal1'
+  }
+}
+
+// Users with two-factor authentication must have passed it before touching their data
+export function requireAssurance(req: Request, user: User) {
+  const enrolled = (user.factors ?? []).some(factor => factor.status === 'verified')
+  if (enrolled && getAssuranceLevel(req) !== 'aal2') {
+    throw new Error('Two-factor verification required')
+  }
+}
+
+// Scheduled functions are called by the database with the service role key, never by users
+export function requireServiceRole(req: Request) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '')
+  if (!token || token !== Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) {
+    throw new Error('Service role required')
+  }
+}
+
+// Request body is optional; functions invoked without one get {}
+export async function readJsonBody(req: Request): Promise<Record<string, unknown>> {
+  try {
+    const body = await req.json()
+    return body && typeof body === 'object' ? body : {}
+  } catch (_error) {
+    return {}
+  }
+}
@@ -1,9 +1,84 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
-import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { corsHeaders, createAdminClient, getRequestUser, jsonResponse, readJsonBody, requireAssurance } from '../_shared/http.ts'
+import { buildUserArchive, collectUserData, DOCUMENTS_BUCKET, storeArchive, StoredArchive } from '../_shared/archive.ts'
 
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+// One entry per step so the client can show exactly what was removed
+interface StepReport {
+  step: string
+  status: 'done' | 'failed' | 'skipped'
+  count?: number
+  error?: string
+}
+
+// Storage accepts a limited number of paths per remove call
+const REMOVE_BATCH_SIZE = 100
+
+// Every stored file for the user: paths recorded in contract_documents plus anything
+// left in their contracts' folders without a row (e.g. an upload whose insert failed)
+async function listDocumentPaths(supabaseAdmin: SupabaseClient, userId: string) {
+  const paths = new Set<string>()
+
+  const { data: documents, error: documentsError } = await supabaseAdmin
+    .from('contract_documents')
+    .select('file_path')
+    .eq('user_id', userId)
+
+  if (documentsError) {
+    throw new Error(`Failed to read document records: ${documentsError.message}`)
+  }
+  documents?.forEach(document => paths.add(document.file_path))
+
+  const { data: contracts, error: contractsError } = await supabaseAdmin
+    .from('contracts')
+    .select('id')
+    .eq('user_id', userId)
+
+  if (contractsError) {
+    throw new Error(`Failed to read contracts: ${contractsError.message}`)
+  }
+
+  for (const contract of contracts ?? []) {
+    const folder = `contracts/${contract.id}`
+    const { data: objects, error } = await supabaseAdmin.storage
+      .from(DOCUMENTS_BUCKET)
+      .list(folder, { limit: 1000 })
+
+    if (error) {
+      throw new Error(`Failed to list ${folder}: ${error.message}`)
+    }
+    objects?.forEach(object => paths.add(`${folder}/${object.name}`))
+  }
+
+  return [...paths]
+}
+
+async function removeDocumentFiles(supabaseAdmin: SupabaseClient, userId: string) {
+  const paths = await listDocumentPaths(supabaseAdmin, userId)
+
+  for (let i = 0; i < paths.length; i += REMOVE_BATCH_SIZE) {
+    const { error } = await supabaseAdmin.storage
+      .from(DOCUMENTS_BUCKET)
+      .remove(paths.slice(i, i + REMOVE_BATCH_SIZE))
+
+    if (error) {
+      throw new Error(error.message)
+    }
+  }
+
+  return paths.length
+}
+
+async function deleteRows(supabaseAdmin: SupabaseClient, table: string, userId: string) {
+  const { count, error } = await supabaseAdmin
+    .from(table)
+    .delete({ count: 'exact' })
+    .eq('user_id', userId)
+
+  if (error) {
+    throw new Error(error.message)
+  }
+  return count ?? 0
 }
 
 serve(async (req) => {
@@ -12,93 +87,106 @@ serve(async (req) => {
     return new Response('ok', { headers: corsHeaders })
   }
 
-  try {
-    // Create supabase admin client
-    const supabaseAdmin = createClient(
-      Deno.env.get('SUPABASE_URL') ?? '',
-      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
-      {
-        auth: {
-          autoRefreshToken: false,
-          persistSession: false
-        }
-      }
-    )
+  const report: StepReport[] = []
 
-    // Get JWT token from request
-    const authHeader = req.headers.get('Authorization')?.replace('Bearer ', '')
-    
-    if (!authHeader) {
-      throw new Error('Missing authorization header')
+  // Run one step, record its outcome and report whether it succeeded
+  const runStep = async (step: string, action: () => Promise<number | void>) => {
+    try {
+      const count = await action()
+      report.push({ step, status: 'done', ...(typeof count === 'number' ? { count } : {}) })
+      return true
+    } catch (error) {
+      console.error(`Error during "${step}":`, error)
+      report.push({ step, status: 'failed', error: error.message })
+      return false
     }
+  }
 
-    // Verify the user token and get user info
-    const { data: { user }, error: userError } = await supabaseAdmin.auth.getUser(authHeader)
-    
-    if (userError || !user) {
-      throw new Error('Invalid token or user not found')
-    }
+  try {
+    // Create supabase admin client and verify the caller
+    const supabaseAdmin = createAdminClient()
+    const user = await getRequestUser(req, supabaseAdmin)
+    requireAssurance(req, user)
+    const { archive: wantsArchive } = await readJsonBody(req)
 
     console.log(`🗑️ Starting complete account deletion for user: ${user.id}`)
 
-    // Step 1: Delete all user contracts
-    console.log('Deleting contracts...')
-    const { error: contractsError } = await supabaseAdmin
-      .from('contracts')
-      .delete()
-      .eq('user_id', user.id)
+    // Step 1 (optional): archive everything before it is destroyed. If the archive
+    // cannot be made, nothing is deleted so the user can try again.
+    let archive: StoredArchive | null = null
+    if (wantsArchive) {
+      const archived = await runStep('Create data archive', async () => {
+        const data = await collectUserData(supabaseAdmin, user.id)
+        const { bytes, documentCount } = await buildUserArchive(supabaseAdmin, user, data)
+        archive = await storeArchive(supabaseAdmin, user.id, bytes, 'travel-nurse-logbook-archive')
+        return documentCount
+      })
 
-    if (contractsError) {
-      console.error('Error deleting contracts:', contractsError)
-      // Don't throw - continue with other deletions
+      if (!archived) {
+        return jsonResponse({
+          success: false,
+          error: 'Could not create the data archive, so nothing was deleted',
+          report
+        }, 500)
+      }
+    } else {
+      report.push({ step: 'Create data archive', status: 'skipped' })
     }
 
-    // Step 2: Delete user profile  
-    console.log('Deleting user profile...')
-    const { error: profileError } = await supabaseAdmin
-      .from('user_profiles')
-      .delete()
-      .eq('user_id', user.id)
+    // Steps 2-6: purge files first (their paths come from the rows), then rows
+    // from the leaves up. Every step runs even if an earlier one fails.
+    const purged = [
+      await runStep('Delete uploaded documents', () => removeDocumentFiles(supabaseAdmin, user.id)),
+      await runStep('Delete document records', () => deleteRows(supabaseAdmin, 'contract_documents', user.id)),
+      await runStep('Delete licenses', () => deleteRows(supabaseAdmin, 'licenses', user.id)),
+      await runStep('Delete contracts', () => deleteRows(supabaseAdmin, 'contracts', user.id)),
+      await runStep('Delete profile', () => deleteRows(supabaseAdmin, 'user_profiles', user.id))
+    ].every(Boolean)
 
-    if (profileError) {
-      console.error('Error deleting profile:', profileError)
-      // Don't throw - continue with auth deletion
+    // Step 7: delete the authentication account last, and only once everything else
+    // is gone - otherwise the user could not sign back in to retry and data would be orphaned
+    if (!purged) {
+      report.push({ step: 'Delete sign-in account', status: 'skipped', error: 'Kept so deletion can be retried' })
+      return jsonResponse({
+        success: false,
+        error: 'Some data could not be deleted. Your account was kept so you can try again.',
+        report,
+        archive
+      }, 500)
     }
 
-    // Step 3: Delete the authentication account (THIS IS THE KEY STEP)
-    console.log('Deleting auth account...')
-    const { error: deleteUserError } = await supabaseAdmin.auth.admin.deleteUser(user.id)
+    const accountDeleted = await runStep('Delete sign-in account', async () => {
+      const { error: deleteUserError } = await supabaseAdmin.auth.admin.deleteUser(user.id)
+      if (deleteUserError) {
+        throw new Error(deleteUserError.message)
+      }
+    })
 
-    if (deleteUserError) {
-      console.error('Error deleting auth user:', deleteUserError)
-      throw new Error(`Failed to delete auth account: ${deleteUserError.message}`)
+    if (!accountDeleted) {
+      return jsonResponse({
+        success: false,
+        error: 'Your data was deleted but the sign-in account could not be removed. Please try again.',
+        report,
+        archive
+      }, 500)
     }
 
     console.log('✅ Complete account deletion successful')
 
-    return new Response(
-      JSON.stringify({ 
-        success: true, 
-        message: 'Account completely deleted. User can now re-register with same email.' 
-      }),
-      { 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        status: 200 
-      }
-    )
+    return jsonResponse({
+      success: true,
+      message: 'Account completely deleted. User can now re-register with same email.',
+      report,
+      archive
+    })
 
   } catch (error) {
     console.error('Delete user function error:', error)
-    
-    return new Response(
-      JSON.stringify({ 
-        success: false, 
-        error: error.message 
-      }),
-      { 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        status: 400 
-      }
-    )
+
+    return jsonResponse({
+      success: false,
+      error: error.message,
+      report
+    }, 400)
   }
-})
\ No newline at end of file
+})
@@ -0,0 +1,47 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { corsHeaders, createAdminClient, getRequestUser, jsonResponse, requireAssurance } from '../_shared/http.ts'
+import { buildUserArchive, collectUserData, storeArchive } from '../_shared/archive.ts'
+
+// Self-service data export: a ZIP of the caller's profile, contracts, licenses,
+// document details and the documents themselves, returned as a time-limited link
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    // Create supabase admin client and verify the caller
+    const supabaseAdmin = createAdminClient()
+    const user = await getRequestUser(req, supabaseAdmin)
+    requireAssurance(req, user)
+
+    console.log(`📦 Exporting data for user: ${user.id}`)
+
+    const data = await collectUserData(supabaseAdmin, user.id)
+    const { bytes, documentCount, missing } = await buildUserArchive(supabaseAdmin, user, data)
+    const archive = await storeArchive(supabaseAdmin, user.id, bytes, 'travel-nurse-logbook-export')
+
+    console.log(`✅ Export ready: ${archive.size} bytes, ${documentCount} documents`)
+
+    return jsonResponse({
+      success: true,
+      archive,
+      counts: {
+        contracts: data.contracts.length,
+        licenses: data.licenses.length,
+        documents: documentCount
+      },
+      missing
+    })
+
+  } catch (error) {
+    console.error('Export user data function error:', error)
+
+    return jsonResponse({
+      success: false,
+      error: error.message
+    }, 400)
+  }
+})
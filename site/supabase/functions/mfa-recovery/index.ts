@@ -0,0 +1,155 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2'
+import { corsHeaders, createAdminClient, getRequestUser, jsonResponse, readJsonBody, requireAssurance } from '../_shared/http.ts'
+
+// Two-factor recovery codes. Supabase has no built-in recovery codes, so they live
+// in mfa_recovery_codes (see supabase/migrations/0008_mfa.sql) as salted hashes:
+//   { action: 'generate' }      -> new set of codes, shown once (needs a verified second factor)
+//   { action: 'redeem', code }  -> turns two-factor off so the user can sign in with their password
+
+const CODE_COUNT = 10
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789' // No look-alikes (0/o, 1/l/i)
+
+// Largest multiple of the alphabet size a byte can hold; bytes at or above it are
+// skipped so every character is equally likely
+const UNBIASED_BYTE_LIMIT = 256 - (256 % CODE_ALPHABET.length)
+
+// Ten characters as xxxxx-xxxxx
+function newRecoveryCode() {
+  let chars = ''
+  while (chars.length < 10) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(16))) {
+      if (byte < UNBIASED_BYTE_LIMIT && chars.length < 10) {
+        chars += CODE_ALPHABET[byte % CODE_ALPHABET.length]
+      }
+    }
+  }
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`
+}
+
+// Same code typed with spaces, dashes or capitals still matches
+function normalizeCode(code: string) {
+  return code.toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+async function hashCode(userId: string, code: string) {
+  const bytes = new TextEncoder().encode(`${userId}:${normalizeCode(code)}`)
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+async function generateCodes(supabaseAdmin: SupabaseClient, user: User) {
+  const codes = Array.from({ length: CODE_COUNT }, newRecoveryCode)
+
+  // A new set replaces the old one
+  const { error: deleteError } = await supabaseAdmin
+    .from('mfa_recovery_codes')
+    .delete()
+    .eq('user_id', user.id)
+
+  if (deleteError) {
+    throw new Error(`Failed to replace old recovery codes: ${deleteError.message}`)
+  }
+
+  const rows = await Promise.all(codes.map(async code => ({
+    user_id: user.id,
+    code_hash: await hashCode(user.id, code)
+  })))
+
+  const { error } = await supabaseAdmin.from('mfa_recovery_codes').insert(rows)
+  if (error) {
+    throw new Error(`Failed to save recovery codes: ${error.message}`)
+  }
+
+  return codes
+}
+
+// Remove every factor; the user sets up a new authenticator after signing in
+async function removeFactors(supabaseAdmin: SupabaseClient, user: User) {
+  const { data: factors, error: listError } = await supabaseAdmin.auth.admin.mfa.listFactors({ userId: user.id })
+  if (listError) {
+    throw new Error(`Failed to list factors: ${listError.message}`)
+  }
+
+  for (const factor of factors?.factors ?? []) {
+    const { error: deleteError } = await supabaseAdmin.auth.admin.mfa.deleteFactor({ id: factor.id, userId: user.id })
+    if (deleteError) {
+      throw new Error(`Failed to remove authenticator: ${deleteError.message}`)
+    }
+  }
+}
+
+async function redeemCode(supabaseAdmin: SupabaseClient, user: User, code: string) {
+  const codeHash = await hashCode(user.id, code)
+
+  // Mark the code used in the same statement that finds it, so it cannot be spent twice
+  const { data: redeemed, error } = await supabaseAdmin
+    .from('mfa_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', user.id)
+    .eq('code_hash', codeHash)
+    .is('used_at', null)
+    .select('id')
+
+  if (error) {
+    throw new Error(`Failed to check recovery code: ${error.message}`)
+  }
+  if (!redeemed || redeemed.length === 0) {
+    throw new Error('Invalid or already used recovery code')
+  }
+
+  // The code is only spent once two-factor is really off; otherwise give it back
+  try {
+    await removeFactors(supabaseAdmin, user)
+  } catch (factorError) {
+    await supabaseAdmin
+      .from('mfa_recovery_codes')
+      .update({ used_at: null })
+      .eq('id', redeemed[0].id)
+    throw factorError
+  }
+
+  // Remaining codes belonged to the removed setup
+  await supabaseAdmin.from('mfa_recovery_codes').delete().eq('user_id', user.id)
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    // Create supabase admin client and verify the caller
+    const supabaseAdmin = createAdminClient()
+    const user = await getRequestUser(req, supabaseAdmin)
+    const { action, code } = await readJsonBody(req)
+
+    if (action === 'generate') {
+      requireAssurance(req, user)
+      const codes = await generateCodes(supabaseAdmin, user)
+      console.log(`🔑 Generated recovery codes for user: ${user.id}`)
+      return jsonResponse({ success: true, codes })
+    }
+
+    // Redeeming is what a password-only session does when the authenticator is lost
+    if (action === 'redeem') {
+      if (typeof code !== 'string' || !normalizeCode(code)) {
+        throw new Error('Recovery code required')
+      }
+      await redeemCode(supabaseAdmin, user, code)
+      console.log(`🔓 Recovery code used, two-factor removed for user: ${user.id}`)
+      return jsonResponse({ success: true, message: 'Two-factor authentication turned off' })
+    }
+
+    throw new Error(`Unknown action: ${action}`)
+
+  } catch (error) {
+    console.error('MFA recovery function error:', error)
+
+    return jsonResponse({
+      success: false,
+      error: error.message
+    }, 400)
+  }
+})
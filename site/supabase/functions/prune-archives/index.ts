@@ -0,0 +1,31 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { corsHeaders, createAdminClient, jsonResponse, requireServiceRole } from '../_shared/http.ts'
+import { pruneArchives } from '../_shared/archive.ts'
+
+// Removes account archives whose download link has expired. pg_cron calls it every hour
+// (see supabase/migrations/0010_archive_cleanup.sql), so an archive of a deleted account
+// is gone even when no later deletion or export comes along to prune it
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    requireServiceRole(req)
+
+    const removed = await pruneArchives(createAdminClient())
+    console.log(`🧹 Removed ${removed} expired archive(s)`)
+
+    return jsonResponse({ success: true, removed })
+
+  } catch (error) {
+    console.error('Prune archives function error:', error)
+
+    return jsonResponse({
+      success: false,
+      error: error.message
+    }, 400)
+  }
+})
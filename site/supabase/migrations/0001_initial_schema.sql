@@ -0,0 +1,126 @@
+-- Initial Schema for Travel Nurse Logbook
+-- Creates the contracts, user_profiles and contract_documents tables with their
+-- indexes, updated_at triggers and row-level security policies
+
+-- Note: Safe to run more than once - tables, indexes and policies are only created when missing,
+-- so this can also be applied to a project that was set up by hand in the dashboard
+-- Every row belongs to one auth user; the policies below are what keep users apart,
+-- the client's user_id filters only narrow down what it asks for
+
+-- Shared trigger function: stamp updated_at on every change so offline sync can
+-- tell which copy of a row is newer
+CREATE OR REPLACE FUNCTION public.set_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$;
+
+-- Contracts: one row per assignment
+CREATE TABLE IF NOT EXISTS contracts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    hospital_name TEXT NOT NULL,
+    address TEXT NOT NULL,
+    latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+    longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contracts_user_id ON contracts(user_id);
+CREATE INDEX IF NOT EXISTS idx_contracts_user_id_start_date ON contracts(user_id, start_date DESC);
+
+-- User profiles: one row per auth user, keyed by user_id so upserts replace it
+CREATE TABLE IF NOT EXISTS user_profiles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    email TEXT,
+    first_name TEXT,
+    last_name TEXT,
+    full_name TEXT,
+    profile_complete BOOLEAN NOT NULL DEFAULT FALSE,
+    first_login BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Contract documents: metadata for files kept in the documents storage bucket
+-- (see 0006_documents_storage.sql); file_path is the object's path in the bucket
+CREATE TABLE IF NOT EXISTS contract_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    file_name TEXT NOT NULL,
+    file_path TEXT NOT NULL UNIQUE,
+    file_type TEXT,
+    file_size BIGINT CHECK (file_size >= 0),
+    document_type TEXT NOT NULL DEFAULT 'other'
+        CHECK (document_type IN ('contract', 'pay_stub', 'housing_lease', 'license', 'certification', 'timesheet', 'other')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_documents_contract_id ON contract_documents(contract_id);
+CREATE INDEX IF NOT EXISTS idx_contract_documents_user_id ON contract_documents(user_id);
+
+-- updated_at triggers
+DROP TRIGGER IF EXISTS set_contracts_updated_at ON contracts;
+CREATE TRIGGER set_contracts_updated_at
+    BEFORE UPDATE ON contracts
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_user_profiles_updated_at ON user_profiles;
+CREATE TRIGGER set_user_profiles_updated_at
+    BEFORE UPDATE ON user_profiles
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_contract_documents_updated_at ON contract_documents;
+CREATE TRIGGER set_contract_documents_updated_at
+    BEFORE UPDATE ON contract_documents
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+-- Users can only see and change their own rows
+ALTER TABLE contracts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contract_documents ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'contracts' AND policyname = 'Users manage own contracts') THEN
+        CREATE POLICY "Users manage own contracts" ON contracts
+            FOR ALL
+            TO authenticated
+            USING (auth.uid() = user_id)
+            WITH CHECK (auth.uid() = user_id);
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'user_profiles' AND policyname = 'Users manage own profile') THEN
+        CREATE POLICY "Users manage own profile" ON user_profiles
+            FOR ALL
+            TO authenticated
+            USING (auth.uid() = user_id)
+            WITH CHECK (auth.uid() = user_id);
+    END IF;
+
+    -- Documents may only be attached to the user's own contracts
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'contract_documents' AND policyname = 'Users manage own contract documents') THEN
+        CREATE POLICY "Users manage own contract documents" ON contract_documents
+            FOR ALL
+            TO authenticated
+            USING (auth.uid() = user_id)
+            WITH CHECK (
+                auth.uid() = user_id
+                AND EXISTS (SELECT 1 FROM contracts WHERE contracts.id = contract_id AND contracts.user_id = auth.uid())
+            );
+    END IF;
+END $$;
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Later migrations add the pay package, tax home, license and lifecycle columns
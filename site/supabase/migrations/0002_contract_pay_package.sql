@@ -0,0 +1,25 @@
+-- Pay Package Columns for Travel Nurse Logbook
+-- Adds pay package tracking to the contracts table
+
+-- Note: Safe to run more than once - columns are only added when missing
+-- Stipends are stored per week, bonuses as a total for the whole contract
+
+ALTER TABLE contracts
+    ADD COLUMN IF NOT EXISTS agency TEXT,
+    ADD COLUMN IF NOT EXISTS hourly_rate NUMERIC(10, 2) CHECK (hourly_rate >= 0),
+    ADD COLUMN IF NOT EXISTS guaranteed_hours NUMERIC(5, 2) CHECK (guaranteed_hours >= 0),
+    ADD COLUMN IF NOT EXISTS overtime_rate NUMERIC(10, 2) CHECK (overtime_rate >= 0),
+    ADD COLUMN IF NOT EXISTS housing_stipend NUMERIC(10, 2) CHECK (housing_stipend >= 0),
+    ADD COLUMN IF NOT EXISTS meals_stipend NUMERIC(10, 2) CHECK (meals_stipend >= 0),
+    ADD COLUMN IF NOT EXISTS bonuses NUMERIC(10, 2) CHECK (bonuses >= 0);
+
+COMMENT ON COLUMN contracts.hourly_rate IS 'Taxable base hourly rate';
+COMMENT ON COLUMN contracts.guaranteed_hours IS 'Guaranteed hours per week';
+COMMENT ON COLUMN contracts.overtime_rate IS 'Hourly rate paid past 40 hours per week';
+COMMENT ON COLUMN contracts.housing_stipend IS 'Weekly tax-free housing stipend';
+COMMENT ON COLUMN contracts.meals_stipend IS 'Weekly tax-free meals and incidentals (M&IE) stipend';
+COMMENT ON COLUMN contracts.bonuses IS 'Total sign-on, completion and extension bonuses';
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Existing contracts keep NULL pay fields and simply show no earnings
@@ -0,0 +1,13 @@
+-- Tax Home Columns for Travel Nurse Logbook
+-- Adds the declared tax home to user profiles for the 50-mile exclusion zone
+
+-- Note: Safe to run more than once - columns are only added when missing
+
+ALTER TABLE user_profiles
+    ADD COLUMN IF NOT EXISTS tax_home_address TEXT,
+    ADD COLUMN IF NOT EXISTS tax_home_latitude DOUBLE PRECISION CHECK (tax_home_latitude BETWEEN -90 AND 90),
+    ADD COLUMN IF NOT EXISTS tax_home_longitude DOUBLE PRECISION CHECK (tax_home_longitude BETWEEN -180 AND 180);
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Users set their tax home from the Profile slideout
@@ -0,0 +1,50 @@
+-- Licenses Table for Travel Nurse Logbook
+-- Tracks state nursing licenses (single-state and compact) and certifications like BLS/ACLS/PALS
+
+-- Note: Safe to run more than once - the table and policies are only created when missing
+-- State is required for licenses and left NULL for certifications
+
+CREATE TABLE IF NOT EXISTS licenses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    credential_type TEXT NOT NULL DEFAULT 'license' CHECK (credential_type IN ('license', 'certification')),
+    name TEXT NOT NULL,
+    state CHAR(2),
+    is_compact BOOLEAN NOT NULL DEFAULT FALSE,
+    license_number TEXT,
+    issue_date DATE,
+    expiry_date DATE NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (credential_type = 'certification' OR state IS NOT NULL),
+    CHECK (issue_date IS NULL OR expiry_date >= issue_date)
+);
+
+CREATE INDEX IF NOT EXISTS licenses_user_id_idx ON licenses (user_id);
+
+DROP TRIGGER IF EXISTS set_licenses_updated_at ON licenses;
+CREATE TRIGGER set_licenses_updated_at
+    BEFORE UPDATE ON licenses
+    FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+COMMENT ON COLUMN licenses.name IS 'Credential name, e.g. RN, LPN, BLS, ACLS, PALS';
+COMMENT ON COLUMN licenses.state IS 'Two-letter issuing state or territory code (licenses only)';
+COMMENT ON COLUMN licenses.is_compact IS 'Multistate license under the Nurse Licensure Compact';
+
+-- Users can only see and change their own licenses
+ALTER TABLE licenses ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'licenses' AND policyname = 'Users manage own licenses') THEN
+        CREATE POLICY "Users manage own licenses" ON licenses
+            FOR ALL
+            TO authenticated
+            USING (auth.uid() = user_id)
+            WITH CHECK (auth.uid() = user_id);
+    END IF;
+END $$;
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Users add licenses and certifications from the Profile slideout
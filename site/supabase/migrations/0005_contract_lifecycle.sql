@@ -0,0 +1,29 @@
+-- Contract Lifecycle Columns for Travel Nurse Logbook
+-- Adds lifecycle status, extension links and cancellation details to the contracts table
+
+-- Note: Safe to run more than once - columns are only added when missing
+-- Extensions are separate contract rows pointing at the original assignment
+-- A cancelled contract keeps its contracted end date in planned_end_date and
+-- its end_date is shortened to the last day worked
+
+ALTER TABLE contracts
+    ADD COLUMN IF NOT EXISTS status TEXT CHECK (status IN ('planned', 'active', 'extended', 'completed', 'cancelled')),
+    ADD COLUMN IF NOT EXISTS parent_contract_id UUID REFERENCES contracts(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS planned_end_date DATE,
+    ADD COLUMN IF NOT EXISTS cancelled_at DATE,
+    ADD COLUMN IF NOT EXISTS cancelled_by TEXT CHECK (cancelled_by IN ('nurse', 'facility', 'agency')),
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_contracts_parent_contract_id ON contracts(parent_contract_id);
+
+COMMENT ON COLUMN contracts.status IS 'Lifecycle state: planned, active, extended, completed or cancelled';
+COMMENT ON COLUMN contracts.parent_contract_id IS 'Original assignment this extension belongs to';
+COMMENT ON COLUMN contracts.planned_end_date IS 'Contracted end date of a contract cancelled early';
+COMMENT ON COLUMN contracts.cancelled_at IS 'Date the contract was cancelled';
+COMMENT ON COLUMN contracts.cancelled_by IS 'Who cancelled: nurse, facility or agency';
+COMMENT ON COLUMN contracts.cancellation_reason IS 'Free-text reason for the cancellation';
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Existing contracts keep a NULL status; the app derives it from their dates
+--    and stores it the next time each contract is saved
@@ -0,0 +1,53 @@
+-- Documents Storage Bucket for Travel Nurse Logbook
+-- Creates the private documents bucket and the policies that scope its files to their owner
+
+-- Note: Safe to run more than once - the bucket and policies are only created when missing
+-- Files are stored as contracts/{contract_id}/{file_name} (see uploadContractDocument in
+-- js/database.js), so a file belongs to whoever owns the contract in its path
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('documents', 'documents', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+-- True when the object path points into a contract owned by the signed-in user
+CREATE OR REPLACE FUNCTION public.owns_document_path(object_name TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+    SELECT (storage.foldername(object_name))[1] = 'contracts'
+        AND EXISTS (
+            SELECT 1 FROM public.contracts
+            WHERE contracts.id::TEXT = (storage.foldername(object_name))[2]
+              AND contracts.user_id = auth.uid()
+        );
+$$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE schemaname = 'storage' AND tablename = 'objects' AND policyname = 'Users read own documents') THEN
+        CREATE POLICY "Users read own documents" ON storage.objects
+            FOR SELECT
+            TO authenticated
+            USING (bucket_id = 'documents' AND public.owns_document_path(name));
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE schemaname = 'storage' AND tablename = 'objects' AND policyname = 'Users upload own documents') THEN
+        CREATE POLICY "Users upload own documents" ON storage.objects
+            FOR INSERT
+            TO authenticated
+            WITH CHECK (bucket_id = 'documents' AND public.owns_document_path(name));
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE schemaname = 'storage' AND tablename = 'objects' AND policyname = 'Users delete own documents') THEN
+        CREATE POLICY "Users delete own documents" ON storage.objects
+            FOR DELETE
+            TO authenticated
+            USING (bucket_id = 'documents' AND public.owns_document_path(name));
+    END IF;
+END $$;
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Files are never updated in place, so there is no UPDATE policy; uploads use upsert: false
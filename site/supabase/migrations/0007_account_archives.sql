@@ -0,0 +1,15 @@
+-- Account Archives Bucket for Travel Nurse Logbook
+-- Private bucket for the ZIP archives built by the delete-user and export-user-data edge functions
+
+-- Note: Safe to run more than once - the bucket is only created when missing
+-- There are deliberately no storage policies: only the service role used by edge
+-- functions reads and writes here, and users download through signed links that
+-- expire after a day. Expired archives are pruned hourly (see 0010_archive_cleanup.sql)
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('account-archives', 'account-archives', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Deploy the functions with `supabase functions deploy delete-user` and `supabase functions deploy export-user-data`
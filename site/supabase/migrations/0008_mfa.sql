@@ -0,0 +1,66 @@
+-- Two-Factor Authentication for Travel Nurse Logbook
+-- Adds recovery code storage and makes every table and document require the second
+-- factor for users who have turned two-factor authentication on
+
+-- Note: Safe to run more than once - the table, function and policies are only created when missing
+-- The restrictive policies combine with the ownership policies from earlier migrations:
+-- a row is reachable only when both allow it, so a stolen password alone is not enough
+
+-- Recovery codes: salted SHA-256 hashes written and checked by the mfa-recovery edge function
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, code_hash)
+);
+
+-- Row-level security with no policies: only the service role can read or write codes
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+-- True when the session has passed the second factor, or the user has none set up.
+-- Security definer because API roles cannot read auth.mfa_factors
+CREATE OR REPLACE FUNCTION public.mfa_satisfied()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2'
+        OR NOT EXISTS (
+            SELECT 1 FROM auth.mfa_factors
+            WHERE mfa_factors.user_id = auth.uid()
+              AND mfa_factors.status = 'verified'
+        );
+$$;
+
+DO $$
+DECLARE
+    protected_table TEXT;
+BEGIN
+    FOREACH protected_table IN ARRAY ARRAY['contracts', 'user_profiles', 'contract_documents', 'licenses'] LOOP
+        IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = protected_table AND policyname = 'Require second factor when enrolled') THEN
+            EXECUTE format(
+                'CREATE POLICY "Require second factor when enrolled" ON %I AS RESTRICTIVE FOR ALL TO authenticated '
+                'USING (public.mfa_satisfied()) WITH CHECK (public.mfa_satisfied())',
+                protected_table
+            );
+        END IF;
+    END LOOP;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE schemaname = 'storage' AND tablename = 'objects' AND policyname = 'Require second factor for documents') THEN
+        CREATE POLICY "Require second factor for documents" ON storage.objects
+            AS RESTRICTIVE
+            FOR ALL
+            TO authenticated
+            USING (bucket_id <> 'documents' OR public.mfa_satisfied())
+            WITH CHECK (bucket_id <> 'documents' OR public.mfa_satisfied());
+    END IF;
+END $$;
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Enable TOTP under Authentication > Multi-Factor in the Supabase dashboard
+-- 3. Deploy the recovery function with `supabase functions deploy mfa-recovery`
@@ -0,0 +1,13 @@
+-- Tax Rules Column for Travel Nurse Logbook
+-- Keeps each user's tax rule settings in their profile, next to the tax home, so they
+-- follow the user to every device and stay with their account on shared machines
+
+-- Note: Safe to run more than once - the column is only added when missing
+-- NULL means the app's default rules; otherwise the full rule configuration (see js/tax-rules.js)
+
+ALTER TABLE user_profiles
+    ADD COLUMN IF NOT EXISTS tax_rules JSONB;
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 2. Users change the rules from the Profile slideout (Tax Rules)
@@ -0,0 +1,44 @@
+-- Account Archive Cleanup for Travel Nurse Logbook
+-- Calls the prune-archives edge function every hour, so expired archives (which can hold
+-- a deleted account's data) are removed without waiting for the next deletion or export
+
+-- Note: Safe to run more than once - scheduling a job under an existing name replaces it
+-- Needs pg_cron and pg_net (both available on hosted projects) plus two Vault secrets,
+-- project_url and service_role_key. A database without the extensions (such as local
+-- Postgres with the shim) skips the schedule with a notice
+
+DO $$
+BEGIN
+    IF (SELECT COUNT(*) FROM pg_available_extensions WHERE name IN ('pg_cron', 'pg_net')) < 2 THEN
+        RAISE NOTICE 'pg_cron or pg_net not available - expired archives will not be pruned on a schedule';
+        RETURN;
+    END IF;
+
+    CREATE EXTENSION IF NOT EXISTS pg_cron;
+    CREATE EXTENSION IF NOT EXISTS pg_net;
+
+    PERFORM cron.schedule(
+        'prune-account-archives',
+        '0 * * * *',
+        $job$
+        SELECT net.http_post(
+            url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+                || '/functions/v1/prune-archives',
+            headers := jsonb_build_object(
+                'Content-Type', 'application/json',
+                'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+            ),
+            body := '{}'::jsonb
+        );
+        $job$
+    );
+END
+$$;
+
+-- Instructions for use:
+-- 1. Store the secrets once in the SQL editor:
+--    SELECT vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--    SELECT vault.create_secret('<service role key>', 'service_role_key');
+-- 2. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
+-- 3. Deploy the function with `supabase functions deploy prune-archives`
+-- 4. Check runs under Integrations > Cron, or with SELECT * FROM cron.job_run_details
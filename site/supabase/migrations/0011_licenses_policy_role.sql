@@ -0,0 +1,12 @@
+-- Licenses Policy Role for Travel Nurse Logbook
+-- Limits the licenses ownership policy to signed-in users, like every other table's policy.
+-- Databases that applied 0004_licenses.sql before it named the role have the policy
+-- applying to every role, anon included
+
+-- Note: Safe to run more than once - setting the role again changes nothing
+
+ALTER POLICY "Users manage own licenses" ON licenses
+    TO authenticated;
+
+-- Instructions for use:
+-- 1. Apply with supabase/migrate.sh (local Postgres) or `supabase db push` (hosted project)
@@ -0,0 +1,140 @@
+// Service worker for Travel Nurse Logbook
+// Caches the app shell and components so the logbook opens without a connection.
+// Contract and profile data live in IndexedDB (see js/offline-store.js), not here.
+
+const SHELL_CACHE = 'tnl-shell-v7';
+const LIBRARY_CACHE = 'tnl-libraries-v1';
+
+// Bump SHELL_CACHE when this list changes so old caches are replaced.
+// The runtime config.js is left out: each deployment serves its own, and it is
+// cached by networkFirst the first time a page loads it.
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'logbook.html',
+    'reset-password.html',
+    'css/auth.css',
+    'css/config-error.css',
+    'css/index.css',
+    'css/logbook.css',
+    'components/profile-form.html',
+    'components/unified-contract-form.html',
+    'components/import-form.html',
+    'data/us_geocode_dataset.json',
+    'images/favicon.ico',
+    'images/favicon.png',
+    'images/favicon-16.png',
+    'images/globe.png',
+    'images/map_pin.png',
+    'images/static_map.png',
+    'js/config.js',
+    'js/supabase_config.js',
+    'js/backend-supabase.js',
+    'js/backend-local.js',
+    'js/backend.js',
+    'js/auth.js',
+    'js/route-guard.js',
+    'js/index.js',
+    'js/reset-password.js',
+    'js/database.js',
+    'js/offline-store.js',
+    'js/sync.js',
+    'js/component-loader.js',
+    'js/tax-home.js',
+    'js/tax-rules.js',
+    'js/profile.js',
+    'js/licenses.js',
+    'js/mfa.js',
+    'js/contract-view.js',
+    'js/timeline.js',
+    'js/statistics.js',
+    'js/pay-package.js',
+    'js/geocoder.js',
+    'js/documents.js',
+    'js/lifecycle.js',
+    'js/contract-validation.js',
+    'js/importer.js',
+    'js/exporter.js',
+    'js/restore.js',
+    'js/contract.js',
+    'js/map.js',
+    'js/logbook.js'
+];
+
+// Third-party scripts and styles the pages load from unpkg
+const LIBRARY_HOSTS = ['unpkg.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== LIBRARY_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    // App files: network first so updates show up, cache when offline
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    // Libraries: answer from the cache and refresh it in the background
+    if (LIBRARY_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+
+    // Supabase, map tiles and everything else go straight to the network
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(LIBRARY_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}